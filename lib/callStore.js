@@ -0,0 +1,170 @@
+// lib/callStore.js — Per-call transcripts and outcomes, appended to a JSONL file
+// One line per event, so a crash loses at most the line being written:
+//   { type: "call",  callSid, at, from, to }
+//   { type: "turn",  callSid, at, channel, utterance, branch, intent, reply, latencyMs, totalMs, error?, cancelled? }
+//   { type: "end",   callSid, at, status, durationSec }
+//   { type: "note",  callSid, at, kind, ... }   (transfer outcome, voicemail, callback request)
+// The file is replayed into memory at startup; the newest CN_CALL_STORE_MAX calls stay queryable.
+// Only the last CN_CALL_LOG_MAX_BYTES of the file are replayed; a larger file is rotated to
+// <file>.1 at load and restarted with that tail, so disk use stays around twice the limit.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const storeFile = () => path.resolve(ROOT, process.env.CN_CALL_LOG_FILE || "data/calls.jsonl");
+const maxCalls = () => Number(process.env.CN_CALL_STORE_MAX || 1000);
+const maxBytes = () => Number(process.env.CN_CALL_LOG_MAX_BYTES || 20 * 1024 * 1024);
+
+const calls = new Map(); // callSid → call record (insertion order = oldest first)
+let writing = Promise.resolve();
+
+function blankCall(callSid, at) {
+  return { callSid, from: null, to: null, startedAt: at, endedAt: null, status: "in-progress", durationSec: null, turns: [], notes: [] };
+}
+
+function callFor(callSid, at = new Date().toISOString()) {
+  let c = calls.get(callSid);
+  if (!c) {
+    c = blankCall(callSid, at);
+    calls.set(callSid, c);
+    while (calls.size > maxCalls()) calls.delete(calls.keys().next().value);
+  }
+  return c;
+}
+
+function apply(evt) {
+  if (!evt?.callSid) return;
+  const c = callFor(evt.callSid, evt.at);
+  if (evt.type === "call") {
+    c.from = evt.from ?? c.from;
+    c.to = evt.to ?? c.to;
+  } else if (evt.type === "turn") {
+    const { type: _t, callSid: _c, ...turn } = evt;
+    c.turns.push(turn);
+  } else if (evt.type === "end") {
+    c.endedAt = evt.at;
+    c.status = evt.status || c.status;
+    c.durationSec = evt.durationSec ?? c.durationSec;
+  } else if (evt.type === "note") {
+    const { type: _t, callSid: _c, ...note } = evt;
+    c.notes.push(note);
+  }
+}
+
+// Writes are chained so lines land in the order events happened
+function append(evt) {
+  const line = `${JSON.stringify(evt)}\n`;
+  const file = storeFile();
+  writing = writing
+    .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+    .then(() => fs.promises.appendFile(file, line))
+    .catch((e) => console.error("Call store write failed:", e.message));
+}
+
+function record(evt) {
+  const full = { at: new Date().toISOString(), ...evt };
+  apply(full);
+  append(full);
+}
+
+// ---------- Load ----------
+export function loadCallStore(file = storeFile()) {
+  calls.clear();
+  if (!fs.existsSync(file)) return 0;
+  const { text, rotated } = readTail(file, maxBytes());
+  let bad = 0;
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      apply(JSON.parse(line));
+    } catch {
+      bad++;
+    }
+  }
+  console.log(`Loaded ${calls.size} calls from ${path.relative(ROOT, file)}${bad ? ` (${bad} unreadable lines skipped)` : ""}${rotated ? " (older lines rotated to .1)" : ""}`);
+  return calls.size;
+}
+
+// Reads at most `limit` bytes from the end of the file, starting on a whole line.
+// When the file is over the limit it is moved to <file>.1 and a fresh file holds the tail.
+function readTail(file, limit) {
+  const size = fs.statSync(file).size;
+  if (!(limit > 0) || size <= limit) return { text: fs.readFileSync(file, "utf8"), rotated: false };
+  const buf = Buffer.alloc(limit);
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.readSync(fd, buf, 0, limit, size - limit);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const start = buf.indexOf(0x0a) + 1; // drop the partial first line
+  const text = buf.subarray(start).toString("utf8");
+  fs.renameSync(file, `${file}.1`);
+  fs.writeFileSync(file, text);
+  return { text, rotated: true };
+}
+
+// ---------- Record ----------
+export function recordCallStart(callSid, { from = null, to = null } = {}) {
+  if (callSid) record({ type: "call", callSid, from, to });
+}
+
+export function recordTurn(callSid, turn = {}) {
+  if (callSid) record({ type: "turn", callSid, ...turn });
+}
+
+export function recordCallNote(callSid, note = {}) {
+  if (callSid) record({ type: "note", callSid, ...note });
+}
+
+export function recordCallEnd(callSid, { status = "completed", durationSec = null } = {}) {
+  if (callSid) record({ type: "end", callSid, status, durationSec });
+}
+
+// ---------- Query ----------
+function summary(c) {
+  const errors = c.turns.filter((t) => t.error).length;
+  const branches = {};
+  for (const t of c.turns) branches[t.branch || "none"] = (branches[t.branch || "none"] || 0) + 1;
+  return {
+    callSid: c.callSid,
+    from: c.from,
+    startedAt: c.startedAt,
+    endedAt: c.endedAt,
+    status: c.status,
+    durationSec: c.durationSec,
+    turns: c.turns.length,
+    errors,
+    branches,
+    transferred: c.turns.some((t) => t.branch === "transfer"),
+    voicemail: c.notes.some((n) => n.kind === "voicemail"),
+  };
+}
+
+// Newest first. Filters: status, branch (any turn answered by it), errors (only calls with errors)
+export function listCalls({ limit = 50, offset = 0, status, branch, errors } = {}) {
+  let rows = [...calls.values()].reverse();
+  if (status) rows = rows.filter((c) => c.status === status);
+  if (branch) rows = rows.filter((c) => c.turns.some((t) => t.branch === branch));
+  if (errors) rows = rows.filter((c) => c.turns.some((t) => t.error));
+  return { total: rows.length, calls: rows.slice(offset, offset + limit).map(summary) };
+}
+
+export function getCall(callSid) {
+  const c = calls.get(callSid);
+  return c ? { ...summary(c), turns: c.turns, notes: c.notes } : null;
+}
+
+// Every stored turn with its CallSid, oldest first; `since` (ISO or ms) drops older turns
+export function allTurns({ since } = {}) {
+  const cutoff = since ? new Date(since).getTime() : 0;
+  const out = [];
+  for (const c of calls.values()) {
+    for (const t of c.turns) {
+      if (!cutoff || new Date(t.at).getTime() >= cutoff) out.push({ callSid: c.callSid, ...t });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,276 @@
+// lib/catalog.js — Brand / strain / category lexicon for product questions
+// Seeded with brands we know callers ask for, then rebuilt whenever the menu snapshot refreshes.
+// Speech-to-text misspellings ("steezy", "stizzy", "raw gardin") resolve through squashed,
+// sound-alike and small-edit-distance matching instead of one-off regexes.
+
+// ---------- Categories, sizes, potency ----------
+// Patterns take English and (accent-free) Spanish words; `labelEs` is the Spanish spoken label
+export const CATEGORIES = {
+  flower: {
+    label: "flower",
+    labelEs: "flor",
+    re: /\b(flower|buds?|nugs|eighths?|quarters?|ounces?|oz|smalls|shake|flor(es)?|cogollos?|octavos?|onzas?)\b/,
+  },
+  vape: {
+    label: "vapes",
+    labelEs: "vapes",
+    re: /\b(vapes?|vape pens?|pens?|carts?|cartridges?|pods?|disposables?|all[\s-]?in[\s-]?ones?|vaporizador(es)?|plumas?|cartuchos?|desechables?)\b/,
+  },
+  "pre-roll": {
+    label: "pre-rolls",
+    labelEs: "pre-rolls",
+    re: /\b(pre[\s-]?rolls?|prerolls?|joints?|blunts?|doobies?|infused pre[\s-]?rolls?|porros?|pre[\s-]?rolados?|churros?)\b/,
+  },
+  edible: {
+    label: "edibles",
+    labelEs: "comestibles",
+    re: /\b(edibles?|gumm(y|ies)|chocolates?|candy|candies|chews?|mints?|drinks?|beverages?|baked goods?|comestibles?|gomitas?|dulces?|bebidas?)\b/,
+  },
+  concentrate: {
+    label: "concentrates",
+    labelEs: "concentrados",
+    re: /\b(concentrates?|extracts?|wax|shatter|rosin|live resin|badder|budder|diamonds|sauce|crumble|dabs?|hash|concentrados?|extractos?|cera)\b/,
+  },
+  tincture: { label: "tinctures", labelEs: "tinturas", re: /\b(tinctures?|drops|sublingual|tinturas?|gotas)\b/ },
+};
+
+// Jane "kind" / category names → our category keys
+const CATEGORY_ALIASES = {
+  flower: "flower", vape: "vape", vapes: "vape", cartridge: "vape", "pre-roll": "pre-roll",
+  preroll: "pre-roll", "pre-rolls": "pre-roll", edible: "edible", edibles: "edible",
+  extract: "concentrate", extracts: "concentrate", concentrate: "concentrate", concentrates: "concentrate",
+  tincture: "tincture", tinctures: "tincture",
+};
+
+export function normalizeCategory(raw) {
+  const k = String(raw || "").toLowerCase().trim();
+  return CATEGORY_ALIASES[k] || (CATEGORIES[k] ? k : null);
+}
+
+export function categoryLabel(category, lang = "en") {
+  const c = CATEGORIES[category];
+  return (lang === "es" ? c?.labelEs : c?.label) || category || "";
+}
+
+export function detectCategory(t = "") {
+  // Infused pre-rolls are pre-rolls, not concentrates
+  if (CATEGORIES["pre-roll"].re.test(t)) return "pre-roll";
+  for (const [key, c] of Object.entries(CATEGORIES)) if (c.re.test(t)) return key;
+  return null;
+}
+
+// "eighth" → "3.5g", "half ounce" → "14g", "7 grams" → "7g" (Spanish: "octavo", "media onza", "7 gramos")
+export function detectSize(t = "") {
+  if (/\bhalf\s*(a\s*)?gram\b|\bmedio gramo\b/.test(t)) return "0.5g";
+  if (/\b(eighth|8th|octavo)\b/.test(t)) return "3.5g";
+  if (/\b(quarter|cuarto de onza)\b/.test(t)) return "7g";
+  if (/\bhalf\s*(an?\s*)?(ounce|oz|o)\b|\bhalf\b|\bmedia onza\b/.test(t)) return "14g";
+  if (/\b(ounce|oz|onza)\b/.test(t)) return "28g";
+  const m = t.match(/\b(\d+(?:\.\d+)?)\s*(g|grams?|gramos?)\b/);
+  if (m) return `${Number(m[1])}g`;
+  if (/\b(a|one)\s+gram\b|\bun gramo\b/.test(t)) return "1g";
+  return null;
+}
+
+export function detectPotency(t = "") {
+  const out = {};
+  const pct = t.match(/\b(\d{1,2}(?:\.\d+)?)\s*(%|percent)/);
+  if (pct) out.thcMin = Number(pct[1]);
+  const mg = t.match(/\b(\d{1,4})\s*(mg|milligrams?)\b/);
+  if (mg) out.mg = Number(mg[1]);
+  if (/\b(strong(est)?|potent|most potent|high(est)? thc|heavy hitting|knock me out)\b/.test(t)) out.strength = "high";
+  if (/\b(mild|low dose|microdose|light|beginner)\b/.test(t)) out.strength = "low";
+  if (/\bcbd\b/.test(t)) out.cbd = true;
+  return Object.keys(out).length ? out : null;
+}
+
+// ---------- Fuzzy / phonetic matching ----------
+const STOPWORDS = new Set(
+  ("a an and any are at be but by can carry do does for from get got have how i im in is it its just " +
+    "me my of on or our right some that the they this to up we what whats when where which who will " +
+    "with would you your yall please thanks thank hi hello hey yes yeah no sell stock have got looking want " +
+    "de del la el los las un una que y o en con para por favor tienen tiene hay venden quiero busco hola gracias si")
+    .split(" ")
+);
+
+// Lowercase, letters/digits only, runs collapsed: "STIIIZY" → "stizy"
+export function squash(s = "") {
+  return String(s).toLowerCase().replace(/[^a-z0-9]/g, "").replace(/(.)\1+/g, "$1");
+}
+
+// Rough sound-alike key: first letter + consonant skeleton
+export function soundKey(s = "") {
+  const q = squash(s)
+    .replace(/ph/g, "f")
+    .replace(/ck|q/g, "k")
+    .replace(/z/g, "s")
+    .replace(/x/g, "ks");
+  if (!q) return "";
+  return (q[0] + q.slice(1).replace(/[aeiouyhw]/g, "")).replace(/(.)\1+/g, "$1");
+}
+
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > 2) return 99;
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+// ---------- Lexicon ----------
+const SEED_BRANDS = [
+  { name: "Maven", aliases: ["maven genetics"] },
+  { name: "STIIIZY", aliases: ["steezy", "stizzy", "stiizy", "stizy"] },
+  { name: "Raw Garden", aliases: [] },
+];
+const SEED_STRAINS = ["gelato", "zkittlez", "blueberry", "infused"];
+
+function entry(name, aliases = []) {
+  const forms = [name, ...aliases];
+  return {
+    name,
+    squashed: new Set(forms.map(squash).filter(Boolean)),
+    sounds: new Set(forms.map(soundKey).filter((k) => k.length >= 3)),
+    categories: new Set(),
+  };
+}
+
+function buildLexicon(items = []) {
+  const brands = new Map(SEED_BRANDS.map((b) => [squash(b.name), entry(b.name, b.aliases)]));
+  const strains = new Map(SEED_STRAINS.map((s) => [squash(s), entry(s)]));
+
+  // Items are in the common menu model (lib/menu/model.js)
+  for (const it of items) {
+    const brandName = String(it?.brand || "").trim();
+    const category = it?.category || null;
+    if (brandName) {
+      const key = squash(brandName);
+      if (!brands.has(key)) brands.set(key, entry(brandName));
+      if (category) brands.get(key).categories.add(category);
+    }
+    const strainName = String(it?.strain || "").trim();
+    if (strainName && !strains.has(squash(strainName))) strains.set(squash(strainName), entry(strainName));
+  }
+  return { brands: [...brands.values()], strains: [...strains.values()], builtAt: new Date().toISOString() };
+}
+
+let lexicon = buildLexicon();
+let lastRefresh = { at: null, items: 0 };
+
+// Rebuild from a full menu listing (called after each Jane snapshot refresh)
+export function updateCatalog(items = []) {
+  lexicon = buildLexicon(items);
+  lastRefresh = { at: new Date().toISOString(), items: items.length };
+  console.log(`Catalog rebuilt: ${lexicon.brands.length} brands, ${lexicon.strains.length} strains`);
+}
+
+export function catalogStatus() {
+  return { brands: lexicon.brands.length, strains: lexicon.strains.length, builtAt: lexicon.builtAt, lastRefresh };
+}
+
+// Best lexicon entry named in the utterance (1–3 word windows), or null
+function findEntry(words, entries) {
+  let best = null;
+  for (let n = 3; n >= 1; n--) {
+    for (let i = 0; i + n <= words.length; i++) {
+      const gram = words.slice(i, i + n);
+      if (n === 1 && STOPWORDS.has(gram[0])) continue;
+      const sq = squash(gram.join(""));
+      if (sq.length < 3) continue;
+      const sk = soundKey(sq);
+
+      for (const e of entries) {
+        let score = 0;
+        if (e.squashed.has(sq)) score = 3;
+        else if (sk.length >= 3 && e.sounds.has(sk)) score = 2;
+        else if (sq.length >= 5) {
+          const limit = sq.length >= 8 ? 2 : 1;
+          for (const form of e.squashed) {
+            if (editDistance(sq, form) <= limit) {
+              score = 1;
+              break;
+            }
+          }
+        }
+        if (score && (!best || score > best.score || (score === best.score && n > best.n))) {
+          best = { entry: e, score, n };
+        }
+      }
+    }
+    if (best?.score === 3) break;
+  }
+  return best?.entry || null;
+}
+
+// Structured product query from an utterance: { brand, strain, category, size, potency, asked }.
+// `asked` is true when it reads like a product question (carry/have/price/etc.).
+export function parseProductQuery(text = "") {
+  const t = String(text).toLowerCase();
+  const words = t.replace(/[^a-z0-9.\s'-]/g, " ").split(/\s+/).filter(Boolean).map((w) => w.replace(/'/g, ""));
+  const size = detectSize(t);
+  let category = detectCategory(t);
+  if (!category && size && size !== "0.5g" && size !== "1g") category = "flower";
+
+  const brand = findEntry(words, lexicon.brands);
+  const strain = findEntry(words, lexicon.strains);
+  const asked =
+    /\b(carry|have|stock|sell|got|get|available|in stock|how much|price|prices|cost)\b/.test(t) ||
+    /\bdo you (have|carry)\b/.test(t) ||
+    /\b(tienen|tienes|venden|manejan|hay|disponibles?|cuanto cuestan?|precios?)\b/.test(t);
+
+  return {
+    brand: brand?.name || null,
+    brandCategories: brand ? [...brand.categories] : [],
+    strain: strain && strain.name !== brand?.name ? strain.name : null,
+    category,
+    size,
+    potency: detectPotency(t),
+    asked,
+  };
+}
+
+const SIZE_LABELS = { "0.5g": "half grams", "1g": "grams", "3.5g": "eighths", "7g": "quarters", "14g": "half ounces", "28g": "ounces" };
+const SIZE_LABELS_ES = {
+  "0.5g": "medios gramos", "1g": "gramos", "3.5g": "octavos", "7g": "cuartos", "14g": "medias onzas", "28g": "onzas",
+};
+
+// Spoken label for a query: "STIIIZY vapes", "gelato pre-rolls", "flower in eighths"
+// (Spanish: "vapes de STIIIZY", "flor en octavos")
+export function productLabel(q = {}, lang = "en") {
+  if (lang === "es") {
+    const named = [q.brand, q.strain].filter(Boolean).join(" ");
+    const cat = q.category ? categoryLabel(q.category, "es") : null;
+    const base = cat ? `${cat}${named ? ` de ${named}` : ""}` : named;
+    const size = q.size ? SIZE_LABELS_ES[q.size] || q.size : null;
+    return size ? `${base} en ${size}` : base;
+  }
+  const base = [q.brand, q.strain, q.category ? categoryLabel(q.category) : null].filter(Boolean).join(" ");
+  const size = q.size ? SIZE_LABELS[q.size] || q.size : null;
+  return size ? `${base} in ${size}` : base;
+}
+
+// Text sent to the menu search endpoint
+export function productSearchText(q = {}) {
+  return [q.brand, q.strain, q.category === "pre-roll" ? "pre-roll" : q.category].filter(Boolean).join(" ");
+}
+
+// ---------- Result filtering ----------
+// Narrow menu results (common model) by category / size / potency. Items missing a field are kept.
+export function filterMenuItems(items = [], q = {}) {
+  return items.filter((it) => {
+    if (q.category && it.category && it.category !== q.category) return false;
+    if (q.size) {
+      const sizes = new Set((it.tiers || []).map((t) => t.weight).filter(Boolean));
+      if (sizes.size && !sizes.has(q.size)) return false;
+    }
+    if (q.potency?.thcMin && it.thc !== null && it.thc !== undefined && it.thc < q.potency.thcMin) return false;
+    return true;
+  });
+}
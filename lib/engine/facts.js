@@ -0,0 +1,157 @@
+// lib/engine/facts.js — Business facts the engine answers from: env values and defaults
+// Read once per loadFacts() call: server.js loads .env first, the conversation harness can pass overrides.
+// Staff edits made through /admin/facts are layered on top by lib/factsStore.js.
+// Spanish versions live under `es` (CN_*_ES overrides); factsFor(facts, "es") picks them for a Spanish call.
+
+export function loadFacts(overrides = {}) {
+  const env = process.env;
+  const address = env.CN_ADDRESS || "2300 J Street, Sacramento, CA 95816";
+  const website = env.CN_WEBSITE || "https://www.crystalnugs.com";
+
+  const facts = {
+    transferNumber:
+      env.TWILIO_TRANSFER_NUMBER || env.TWILIO_VOICE_FALLBACK || "+19167019777", // Crystal Nugs store line (E.164)
+
+    address,
+
+    idRules: env.CN_ID_RULES || "You’ll need a valid government-issued photo ID and be at least 21+.",
+
+    delivery:
+      env.CN_DELIVERY ||
+      "We deliver to Midtown and the greater Sacramento area including Citrus Heights, Roseville, Lincoln, Folsom, Elk Grove, and much more. Share your zip code to confirm delivery.",
+
+    deliveryMinimum:
+      env.CN_DELIVERY_MINIMUM ||
+      "Order minimums depend on where you’re located — for the immediate Sacramento area, it’s just $40.",
+
+    deliveryFee: env.CN_DELIVERY_FEE || "Enjoy fast delivery for just $1.99 on most orders.",
+
+    medPatients:
+      env.CN_MED_PATIENTS || "We also accept verified medical patients ages 18+ with a valid recommendation.",
+
+    parking:
+      env.CN_PARKING || "Plenty of street parking available right on J Street and 23rd — easy access to the shop!",
+
+    payment:
+      env.CN_PAYMENT ||
+      "We accept cash and JanePay for both in-store and delivery orders. If you need cash, we’ve got two ATMs in-store.",
+
+    specials:
+      env.CN_SPECIALS ||
+      "To check out today’s deals, just visit crystalnugs.com — our daily specials appear automatically. Deals change every day.",
+
+    returns:
+      env.CN_RETURN_POLICY ||
+      "Crystal Nugs may exchange most defective products within 24 hours of purchase when returned in original packaging with a valid receipt, per California DCC regulations.",
+
+    vendorInfo:
+      env.CN_VENDOR_INFO ||
+      "Vendors and brands can email chris at crystal nugs dot com — that's C-H-R-I-S at crystal nugs dot com — with your catalog, best pricing, and what makes your brand stand out. Our purchasing team reviews submissions weekly.",
+
+    vendorDemo:
+      env.CN_VENDOR_DEMO ||
+      "If you’d like to schedule an in-store demo or brand activation at Crystal Nugs, please email our demo coordinator at caprice at crystal nugs dot com — that's C-A-P-R-I-C-E at crystal nugs dot com — with your preferred dates, time slots, and sample information. Our events team will confirm availability and handle compliance details.",
+
+    website,
+
+    directions:
+      env.CN_DIRECTIONS_URL ||
+      "Crystal Nugs is at 2300 J Street in Midtown Sacramento — the neon green building on the corner of J and 23rd.",
+
+    // Real links for texts (spoken replies say "Crystal Nugs dot com")
+    mapsLink: env.CN_MAPS_LINK || `https://maps.google.com/?q=${encodeURIComponent(address)}`,
+    dealsLink: env.CN_DEALS_URL || website,
+    // {query} is replaced with the URL-encoded product search
+    menuSearchUrl: env.CN_MENU_SEARCH_URL || `${website}/menu?query={query}`,
+
+    // Venues policy (allowed when asked)
+    deliveryPlaces:
+      env.CN_DELIVERY_PLACES ||
+      "Yes — we deliver to hotels, motels, restaurants, bars, and truck stops within our service area. Please have a valid government ID (21+) and the name on the order present at handoff. For hotels, include the registered guest and room number; we can meet at the lobby or front desk if required. For restaurants, bars, or truck stops, we’ll meet at the main entrance, host stand, or a designated safe area. Payment: cash or JanePay.",
+  };
+  facts.es = {
+    idRules: env.CN_ID_RULES_ES || "Necesita una identificación oficial con foto vigente y tener 21 años o más.",
+
+    delivery:
+      env.CN_DELIVERY_ES ||
+      "Entregamos en Midtown y en toda el área de Sacramento, incluyendo Citrus Heights, Roseville, Lincoln, Folsom, Elk Grove y mucho más. Díganos su código postal para confirmar la entrega.",
+
+    deliveryMinimum:
+      env.CN_DELIVERY_MINIMUM_ES ||
+      "El pedido mínimo depende de su ubicación — para el área inmediata de Sacramento, es de solo $40.",
+
+    deliveryFee: env.CN_DELIVERY_FEE_ES || "La entrega cuesta solo $1.99 en la mayoría de los pedidos.",
+
+    medPatients:
+      env.CN_MED_PATIENTS_ES ||
+      "También atendemos a pacientes medicinales verificados de 18 años o más con una recomendación válida.",
+
+    parking:
+      env.CN_PARKING_ES || "Hay bastante estacionamiento en la calle, sobre J Street y la calle 23 — ¡muy fácil llegar a la tienda!",
+
+    payment:
+      env.CN_PAYMENT_ES ||
+      "Aceptamos efectivo y JanePay, tanto en la tienda como a domicilio. Si necesita efectivo, tenemos dos cajeros automáticos en la tienda.",
+
+    specials:
+      env.CN_SPECIALS_ES ||
+      "Para ver las ofertas de hoy, visite crystalnugs.com — las ofertas del día aparecen automáticamente. Cambian todos los días.",
+
+    returns:
+      env.CN_RETURN_POLICY_ES ||
+      "Crystal Nugs puede cambiar la mayoría de los productos defectuosos dentro de las 24 horas de la compra, en su empaque original y con su recibo, según las reglas del DCC de California.",
+
+    vendorInfo:
+      env.CN_VENDOR_INFO_ES ||
+      "Los proveedores y marcas pueden escribir a chris@crystalnugs.com con su catálogo, sus mejores precios y lo que distingue a su marca. Nuestro equipo de compras revisa las propuestas cada semana.",
+
+    vendorDemo:
+      env.CN_VENDOR_DEMO_ES ||
+      "Para programar una demostración o activación de marca en Crystal Nugs, escriba a nuestra coordinadora a caprice@crystalnugs.com con sus fechas, horarios preferidos e información de muestras. Nuestro equipo de eventos confirmará la disponibilidad.",
+
+    directions:
+      env.CN_DIRECTIONS_ES ||
+      "Crystal Nugs está en 2300 J Street, en Midtown Sacramento — el edificio verde neón en la esquina de J y la calle 23.",
+
+    deliveryPlaces:
+      env.CN_DELIVERY_PLACES_ES ||
+      "Sí — entregamos en hoteles, moteles, restaurantes, bares y paradas de camiones dentro de nuestra zona. Tenga a la mano una identificación oficial vigente (21+) y que esté presente la persona a nombre de quien está el pedido. En hoteles, indique el nombre del huésped y el número de habitación; podemos vernos en el lobby o la recepción. En restaurantes, bares o paradas de camiones, nos vemos en la entrada principal o en un lugar seguro. Pago: efectivo o JanePay.",
+  };
+  return { ...facts, ...overrides };
+}
+
+// Facts in the caller's language (anything without a Spanish version stays as is)
+export function factsFor(facts, lang = "en") {
+  return lang === "es" && facts.es ? { ...facts, ...facts.es } : facts;
+}
+
+// Prompt labels for the built-in facts. Facts added through /admin/facts are listed under their own key;
+// links and numbers the engine uses directly stay out of the prompt.
+export const FACT_LABELS = {
+  address: "Address",
+  website: "Website",
+  directions: "Directions",
+  parking: "Parking",
+  delivery: "Delivery",
+  deliveryMinimum: "Delivery minimum",
+  deliveryFee: "Delivery fee",
+  deliveryPlaces: "Hotels and venues",
+  idRules: "ID rules",
+  medPatients: "Medical patients",
+  payment: "Payment",
+  specials: "Specials",
+  returns: "Returns",
+  vendorInfo: "Vendors",
+  vendorDemo: "Vendor demos",
+};
+const NOT_IN_PROMPT = new Set(["transferNumber", "mapsLink", "dealsLink", "menuSearchUrl", "es"]);
+
+// [[label, value]] for the OpenAI system prompt, in the caller's language
+export function promptFacts(facts, lang = "en") {
+  const f = factsFor(facts, lang);
+  const extra = Object.keys(f).filter((k) => !(k in FACT_LABELS) && !NOT_IN_PROMPT.has(k) && typeof f[k] === "string");
+  return [
+    ...Object.entries(FACT_LABELS).filter(([k]) => f[k]).map(([k, label]) => [label, f[k]]),
+    ...extra.map((k) => [k.replace(/([A-Z])/g, " $1").replace(/^./, (c) => c.toUpperCase()), f[k]]),
+  ];
+}
@@ -0,0 +1,163 @@
+// lib/engine/fallback.js — OpenAI chat fallback for anything the local paths don't answer
+// The model sees the conversation's recent turns and can call tools backed by the same data the
+// local intents use. `ctx.chat` is lib/openai.js's runChatWithTools (the harness swaps in a stub).
+
+import { zoneByZip, computeEtaWindow } from "../zones.js";
+import { extractZip } from "../spokenNumbers.js";
+import { spokenAge } from "../jane.js";
+import { createSentenceChunker } from "../openai.js";
+import { formatMoney, money, toSpokenText, writtenPhone } from "../format.js";
+import { menuSearch, formatMenuItems, summarizeMenuItems } from "./products.js";
+import { languageOf } from "./language.js";
+import { promptFacts } from "./facts.js";
+import { dealLine } from "./specials.js";
+
+// Voice gets spoken phrasing and live transfers; SMS gets real links and the store number instead
+function systemPrompt(ctx, channel = "voice", lang = "en") {
+  const { facts, schedule } = ctx;
+  const style =
+    channel === "sms"
+      ? `You are the Crystal Nugs Sacramento AI assistant, answering a text message.
+Reply in plain text, two or three short sentences. No markdown.
+Use real links (${facts.website}) and dollar amounts like $40.
+If they want a person, or you can’t help, give them the store number: ${writtenPhone(facts.transferNumber)}.`
+      : `You are the Crystal Nugs Sacramento AI voice assistant.
+Speak in a warm, concierge tone. Keep sentences short. Use natural pauses.
+Never read raw URLs. Say "Crystal Nugs dot com" instead of a link.
+If the caller asks for a person, or you can’t help, call transfer_to_staff. Never say you are transferring unless you called it.`;
+  const language =
+    lang === "es" ? "\nThe caller is speaking Spanish: always answer in Spanish (Latin American, formal usted)." : "";
+  // Rebuilt every turn from the current facts, so edits made in /admin/facts apply mid-call
+  const lines = promptFacts(facts, lang).map(([label, value]) =>
+    label === "Website" && channel !== "sms" ? `${label}: ${toSpokenText(value)}` : `${label}: ${value}`
+  );
+  const deals = ctx.specials.dealsOn(schedule.status().at).map((d) => dealLine(d, lang));
+  if (deals.length) lines.push(`Today’s deals (the only ones running — never invent others): ${deals.join("; ")}`);
+  return `
+${style}${language}
+Use the delivery_by_zip tool for any delivery minimum, fee or ETA question — never guess delivery details.
+Use the search_menu tool for product, brand, stock or price questions — never invent products or prices.
+Right now: ${schedule.summary()}
+Hours: ${schedule.hoursAnswer(undefined, lang)}
+${lines.join("\n")}
+  `;
+}
+
+// Recent turns from the conversation (the current utterance is already the last user turn)
+function conversationMessages(ctx, session, userText) {
+  const turns = (session?.history || []).slice(-ctx.openai.historyTurns).map((t) => ({
+    role: t.role === "assistant" ? "assistant" : "user",
+    content: t.interrupted && t.heard ? `${t.heard} …` : t.text,
+  }));
+  const last = turns[turns.length - 1];
+  if (!last || last.role !== "user") turns.push({ role: "user", content: userText });
+  return turns;
+}
+
+// Function tools backed by the same data the local intents use
+function tools(ctx, { signal, onTransfer } = {}) {
+  return {
+    delivery_by_zip: {
+      description: "Delivery minimum, fee and ETA window for a 5-digit ZIP code in our service area.",
+      parameters: {
+        type: "object",
+        properties: { zip: { type: "string", description: "5-digit ZIP code" } },
+        required: ["zip"],
+      },
+      run: async ({ zip }) => {
+        const z = extractZip(String(zip || "")) || String(zip || "").replace(/[^\d]/g, "");
+        const rec = zoneByZip(z);
+        if (!rec) return { zip: z, inServiceArea: false };
+        return {
+          zip: z,
+          inServiceArea: true,
+          minimum: formatMoney(rec.minimum),
+          fee: formatMoney(rec.fee),
+          window: rec.window || computeEtaWindow(rec.minimum, z),
+          timing: ctx.schedule.deliveryNote(),
+        };
+      },
+    },
+    search_menu: {
+      description: "Search the live store menu for in-stock products by brand, strain or category.",
+      parameters: {
+        type: "object",
+        properties: { query: { type: "string", description: "e.g. 'STIIIZY vape' or 'gelato pre-rolls'" } },
+        required: ["query"],
+      },
+      run: async ({ query }) => {
+        if (!ctx.menuEnabled) return { error: "Live menu lookups are turned off." };
+        const ac = new AbortController();
+        const to = setTimeout(() => ac.abort("timeout"), 5000);
+        const onAbort = () => ac.abort(signal.reason);
+        signal?.addEventListener("abort", onAbort);
+        try {
+          const { items: results, source, ageMs } = await menuSearch(ctx.menu, String(query || ""), 12, ac.signal);
+          const sum = summarizeMenuItems(results);
+          return {
+            query,
+            ...(source === "snapshot" ? { menuAsOf: `${spokenAge(ageMs)} ago — stock may have changed` } : {}),
+            count: sum.count,
+            minPrice: money(sum.min),
+            maxPrice: money(sum.max),
+            topPicks: formatMenuItems(results, 3),
+          };
+        } finally {
+          clearTimeout(to);
+          signal?.removeEventListener("abort", onAbort);
+        }
+      },
+    },
+    ...(onTransfer ? { transfer_to_staff: transferTool(ctx, onTransfer) } : {}),
+  };
+}
+
+// Only offered where a live transfer is possible (phone calls)
+function transferTool(ctx, onTransfer) {
+  return {
+    description:
+      "Transfer the live call to a Crystal Nugs team: dispatch (delivery/order problems), store (products, in-store), purchasing (vendors, brands, wholesale), management (complaints, asks for a manager).",
+    parameters: {
+      type: "object",
+      properties: {
+        reason: { type: "string", description: "Why the caller needs a person" },
+        department: { type: "string", enum: ctx.router.keys(), description: "Team to route to, if clear" },
+      },
+    },
+    run: async ({ reason, department }) => {
+      const transferred = await onTransfer(reason, department);
+      return { transferred, endTurn: true };
+    },
+  };
+}
+
+// Sends the conversation's recent turns plus tools. Streams complete sentences to onChunk(text, last)
+// when given; resolves to { text, endedByTool }. Abort via `signal`.
+export async function askOpenAI(ctx, userText, { signal, onChunk, session = null, onTransfer, channel = "voice" } = {}) {
+  const lang = languageOf(session);
+  const body = {
+    model: ctx.openai.model,
+    temperature: 0.4,
+    messages: [{ role: "system", content: systemPrompt(ctx, channel, lang) }, ...conversationMessages(ctx, session, userText)],
+  };
+
+  const chunker = createSentenceChunker((sentence) => onChunk?.(sentence, false));
+  const { text, endedByTool } = await ctx.chat({
+    apiKey: ctx.openai.apiKey,
+    body,
+    tools: tools(ctx, { signal, onTransfer }),
+    signal,
+    onText: (delta) => chunker.push(delta),
+  });
+
+  const answer = text.trim();
+  // A transfer speaks for itself
+  if (endedByTool) return { text: answer, endedByTool };
+  if (!answer) {
+    const fallback = lang === "es" ? "Perdón, no le entendí." : "Sorry, I didn’t catch that.";
+    onChunk?.(fallback, true);
+    return { text: fallback, endedByTool };
+  }
+  onChunk?.(chunker.end(), true);
+  return { text: answer, endedByTool };
+}
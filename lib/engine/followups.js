@@ -0,0 +1,139 @@
+// lib/engine/followups.js — "Want me to text that to you?" on calls
+// Answers that have a written version (directions, deals, delivery quote, product list) remember it
+// on the session and offer to text it. A yes becomes a send_sms action; the adapter sends it, adds its
+// kind to session.sms.sent once it has gone out, and records the caller's consent when the action carries one.
+
+import { itemPrice, inStockItems } from "../menu/index.js";
+import { setPending, clearPending } from "../session.js";
+import { toWrittenText, money } from "../format.js";
+import { languageOf } from "./language.js";
+
+export const SMS_FOOTER = "Reply STOP to opt out.";
+const SMS_FOOTER_ES = "Responda STOP para darse de baja.";
+// Spanish forms are accent-free: the engine matches on fold()ed text. A yes to the offer is the whole reply,
+// fillers aside: "okay what time do you close" is a new question, not a yes.
+const YES_WORDS =
+  "yes|yeah|yep|yup|sure|ok(ay)?|all ?right|please( do)?|go ahead|do it|send it|text (it|me)( that)?|" +
+  "that('?d| would) be great|sounds good|" +
+  "si|claro|dale|por favor|esta bien|de acuerdo|mandamelo|mandelo|envialo|envielo";
+const YES_FILLERS = "thanks|thank you|gracias|(it|that) to me|to me";
+const SMS_YES = new RegExp(`^(${YES_WORDS})( (${YES_WORDS}|${YES_FILLERS}))*$`);
+const SMS_NO = /^(no|nope|nah|not now|no thanks|don'?t|i'?m good)\b|^(ahorita no|asi estoy bien|estoy bien)\b/;
+const SMS_ASK =
+  /\b(text|sms)\b.*\b(me|it|that|link|info|details|address|directions|deals?)\b|\bsend (me )?(the |a )?(link|text)\b|\b(mand|envi)(a|e|ame|eme)\b.*\b(mensaje|texto|link|enlace|informacion|direccion)\b|\bpor (mensaje|texto)\b/;
+
+export function smsFooter(lang = "en") {
+  return lang === "es" ? SMS_FOOTER_ES : SMS_FOOTER;
+}
+
+export function canText(ctx, session) {
+  return !!session?.caller && ctx.sms.enabled() && !ctx.sms.optedOut(session.caller);
+}
+
+// Remember what we could text; offer it once nothing else is pending and they haven't said no.
+// In a text thread the link just goes in the reply.
+export function offerText(ctx, session, text, sms) {
+  if (session?.channel === "sms") {
+    const url = sms?.link?.split(" ").pop();
+    return url && !toWrittenText(text, ctx.facts).includes(url) ? `${text}\n${sms.link}` : text;
+  }
+  if (!session || !sms || !canText(ctx, session)) return text;
+  session.textable = sms;
+  if (session.pending || session.sms.declined || session.sms.sent.includes(sms.kind) || session.sms.offers >= 3) {
+    return text;
+  }
+  session.sms.offers++;
+  setPending(session, { slot: "sms_confirm", kind: sms.kind });
+  return languageOf(session) === "es"
+    ? `${text} ¿Quiere que se lo envíe por mensaje de texto?`
+    : `${text} Want me to text that to you?`;
+}
+
+// Yes/no to our offer, or "can you text me that?".
+// Returns { text, action? } (action: send_sms), or null if this isn't about texting.
+export function textRequest(ctx, session, q) {
+  if (!session) return null;
+  const es = languageOf(session) === "es";
+  const offered = session.pending?.slot === "sms_confirm";
+  if (offered) {
+    clearPending(session);
+    if (SMS_NO.test(q)) {
+      session.sms.declined = true;
+      session.lastIntent = "sms_declined";
+      return { text: es ? "Está bien. ¿En qué más le puedo ayudar?" : "No problem. What else can I help with?" };
+    }
+    if (!isBareYes(q)) return null; // moved on to something else: normal matching takes it
+  } else if (!SMS_ASK.test(q)) {
+    return null;
+  }
+
+  session.lastIntent = "sms";
+  if (session.caller && ctx.sms.optedOut(session.caller)) {
+    return {
+      text: es
+        ? "Este número está dado de baja de nuestros mensajes. Envíe START a este número para volver a activarlos."
+        : "This number is opted out of our texts. Text START to this number to turn them back on.",
+    };
+  }
+  if (!canText(ctx, session)) {
+    return {
+      text: es
+        ? "Lo siento, no puedo enviar mensajes desde esta línea. Encuentra todo en crystalnugs.com."
+        : "Sorry, I can’t send texts on this line. You can find everything at crystalnugs.com.",
+    };
+  }
+
+  const sms = session.textable || {
+    kind: "website",
+    body: `${es ? "Menú de Crystal Nugs" : "Crystal Nugs menu"}: ${ctx.facts.website}\n${es ? SMS_FOOTER_ES : SMS_FOOTER}`,
+  };
+  return {
+    text: es
+      ? "Listo — revise sus mensajes. Responda STOP en cualquier momento para darse de baja. ¿Algo más en que le pueda ayudar?"
+      : "Sent — check your texts. Reply STOP anytime to opt out. Anything else I can help with?",
+    action: {
+      type: "send_sms",
+      to: session.caller,
+      body: sms.body,
+      kind: sms.kind,
+      // Saying yes on the call is the opt-in; the adapter keeps a record of it
+      consent: ctx.sms.consented(session.caller) ? null : { text: q },
+      fallback: es
+        ? "Lo siento, no pude enviar ese mensaje. Lo encuentra en crystalnugs.com."
+        : "Sorry, I couldn’t send that text just now. You can find it at crystalnugs.com.",
+    },
+  };
+}
+
+// A yes that can stand as consent to a text: nothing but the yes and a filler or two
+export function isBareYes(q = "") {
+  return SMS_YES.test(bareReply(q));
+}
+
+// "Yes, please!" → "yes please"
+function bareReply(q) {
+  return q
+    .replace(/[^\w\s']+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function menuLink(ctx, query = "") {
+  return ctx.facts.menuSearchUrl.replace("{query}", encodeURIComponent(query));
+}
+
+// Written version of a product answer: the items we quoted, with real prices and a menu link
+export function productSms(ctx, label, query, items, size, lang = "en") {
+  const lines = inStockItems(items)
+    .slice(0, 5)
+    .map((it) => {
+      const price = money(itemPrice(it, size));
+      return `• ${[it.brand, it.name].filter(Boolean).join(" ")}${price ? ` — ${price}` : ""}`;
+    });
+  return {
+    kind: "product",
+    body: [`Crystal Nugs — ${label}:`, ...lines, `${lang === "es" ? "Comprar" : "Shop"}: ${menuLink(ctx, query)}`, smsFooter(lang)].join(
+      "\n"
+    ),
+  };
+}
@@ -0,0 +1,349 @@
+// lib/engine/index.js — Channel-agnostic dialogue engine
+// One caller message in, one reply out: language switch → phone order → goodbye → SMS follow-up →
+// order status → menu lookup → local intents → OpenAI. Replies are in the session's language
+// (session.lang "en" | "es").
+//
+//   const engine = createEngine({ schedule, router, menu, sms, specials, openai });   // rules default to data/intents.json
+//   `specials` is lib/specials.js ({ dealsOn }); without it the bot has no deals to read out
+//   `orders` is { submit(order) → { id, via, checkoutUrl? }, handoff } (lib/orders.js); without it callers
+//   who want to order are sent to the website
+//   `orderStatus` is an order-status provider (lib/orderStatus/); without it "where's my order?" gets the
+//   rule's answer
+//   `facts` is an object or a function returning the current facts (lib/factsStore.js), read on every turn
+//   const out = await engine.respond(session, "do you deliver to 95816", { channel: "voice" });
+//
+// respond() resolves to { text, actions, streamed, turn }:
+//   text      plain reply ("crystalnugs.com", "(916) 701-9777"); the relay speaks it through brandVoice,
+//             /twilio/sms writes it through toWrittenText. null when `signal` aborted the turn.
+//   actions   side effects for the adapter, in order:
+//               { type: "transfer", department, fallback }
+//               { type: "send_sms", to, body, kind, consent, fallback }
+//               { type: "end_call", reason }
+//               { type: "language", lang }       first, when the caller switched languages this turn
+//             `fallback` is what to say instead when the side effect fails.
+//   streamed  the OpenAI answer already went out sentence by sentence through onChunk(text, last)
+//   turn      { branch, source?, outcome?, error?, department?, language? } for the call store and metrics
+// The engine keeps the session's turn history but never talks to Twilio; the scripted conversation
+// harness (scripts/converse.js) runs it with the file menu and a stub chat, no network.
+
+import { runChatWithTools } from "../openai.js";
+import { pushTurn } from "../session.js";
+import { capitalize, writtenPhone } from "../format.js";
+import { loadFacts } from "./facts.js";
+import { loadIntentRules } from "./rules.js";
+import { textRequest } from "./followups.js";
+import { detectProductQuery, productAnswer } from "./products.js";
+import { localIntent, hoursAnswer, intentReply, zipDeliveryAnswer, venueZipAnswer, TRANSFER_NOW } from "./intents.js";
+import { askOpenAI } from "./fallback.js";
+import { orderTurn, orderKeypad } from "./order.js";
+import { orderStatusTurn, orderStatusKeypad } from "./orderStatus.js";
+import { fold, languageOf, languageSwitch, switchedGreeting } from "./language.js";
+
+export { loadFacts } from "./facts.js";
+export { loadIntentRules } from "./rules.js";
+export { menuSearch } from "./products.js";
+
+const GOODBYE =
+  /^(ok(ay)?,? )?(bye|good ?bye|that'?s (all|it)|no,? that'?s (all|it)|i'?m (all )?(set|done)|thanks?( you)?,? (bye|that'?s (all|it)))\b|^((muchas )?gracias,? )?(adios|hasta luego|(no,? )?(eso )?es todo|nada mas)\b/;
+
+// No texting unless the adapter says so
+const NO_SMS = { enabled: () => false, optedOut: () => false, consented: () => false };
+// No deals on file: the specials rule answers from the {specials} fact
+const NO_SPECIALS = { dealsOn: () => [] };
+
+export function createEngine({
+  facts = loadFacts(),
+  rules = loadIntentRules(),
+  schedule,
+  router,
+  menu,
+  menuEnabled = true,
+  sms = NO_SMS,
+  specials = NO_SPECIALS,
+  orders = null,
+  orderStatus = null,
+  openai = {},
+  chat = runChatWithTools,
+} = {}) {
+  const ctx = {
+    get facts() {
+      return typeof facts === "function" ? facts() : facts;
+    },
+    rules,
+    schedule,
+    router,
+    menu,
+    menuEnabled,
+    sms: { ...NO_SMS, ...sms },
+    specials,
+    orders,
+    orderStatus,
+    chat,
+    openai: {
+      apiKey: openai.apiKey || "",
+      model: openai.model || "gpt-4o-mini",
+      historyTurns: Number(openai.historyTurns) || 12,
+    },
+  };
+
+  // Department for a transfer: the caller's words first, then what the conversation has been about
+  function transferDepartment(session, text = "", requested = null) {
+    const intents = (session?.history || [])
+      .filter((t) => t.role === "assistant" && t.intent && !/^(transfer|openai)$/.test(t.intent))
+      .map((t) => t.intent)
+      .reverse();
+    return router.choose({ text, intents, requested });
+  }
+
+  // Announcement + action; closed departments go to the missed-call fallback after the redirect.
+  // `lead` replaces the "No problem." opener when the reply already says why we're transferring.
+  function transfer(session, turn, department, { lead = null } = {}) {
+    const dept = router.department(department);
+    const es = languageOf(session) === "es";
+    const phone = writtenPhone(ctx.facts.transferNumber);
+    session.lastIntent = "transfer";
+    turn.branch = "transfer";
+    turn.department = dept.key;
+    if (es) {
+      return {
+        text: router.isOpen(dept.key)
+          ? `${lead || "Claro."} Le comunico con ${dept.labelEs} ahora.`
+          : `${lead ? `${lead} ` : ""}${capitalize(dept.labelEs)} no está disponible en este momento, así que le comunico para que deje un mensaje.`,
+        action: {
+          type: "transfer",
+          department: dept.key,
+          fallback: `No pude transferir la llamada en este momento. Nuestro número directo es ${phone}.`,
+        },
+      };
+    }
+    return {
+      text: router.isOpen(dept.key)
+        ? `${lead || "No problem."} Transferring you to ${dept.label} now.`
+        : `${lead ? `${lead} ` : ""}${capitalize(dept.label)} isn’t available right now, so I’ll connect you to leave a message.`,
+      action: {
+        type: "transfer",
+        department: dept.key,
+        fallback: `I couldn’t transfer the call just now. Here’s our direct line: ${phone}.`,
+      },
+    };
+  }
+
+  // A language switch this turn goes out ahead of everything else, so the reply is spoken in the new voice
+  function result(session, turn, text, actions = [], { signal, streamed = false } = {}) {
+    if (signal?.aborted || !text) return { text: null, actions: [], streamed: false, turn: trace(turn) };
+    pushTurn(session, "assistant", text, { intent: session.lastIntent || null });
+    const all = turn.language ? [{ type: "language", lang: turn.language }, ...actions] : actions;
+    return { text, actions: all, streamed, turn: trace(turn) };
+  }
+
+  function switchLanguage(session, turn, lang) {
+    session.lang = lang;
+    turn.language = lang;
+    console.log("Conversation language:", lang, session.id);
+  }
+
+  async function respond(session, utterance, { channel = "voice", signal, onChunk } = {}) {
+    const raw = String(utterance || "").trim();
+    const q = fold(raw);
+    const voice = channel === "voice";
+    const turn = { branch: null };
+    pushTurn(session, "user", raw);
+
+    // ---------- Language ("para español", "in English please", or just speaking Spanish) ----------
+    const switched = languageSwitch(q, languageOf(session));
+    if (switched) {
+      switchLanguage(session, turn, switched.lang);
+      if (switched.only) {
+        turn.branch = "local";
+        return result(session, turn, intentReply(session, "language", switchedGreeting(switched.lang)));
+      }
+    }
+    const es = languageOf(session) === "es";
+
+    // ---------- Phone order (calls only; an open order gets "no, that's it" before goodbye does) ----------
+    if (voice) {
+      const ordered = await orderTurn(ctx, session, q, raw, { signal });
+      if (ordered?.transfer) {
+        // The menu is down and they want a person to take the order
+        const t = transfer(session, turn, "dispatch", { lead: ordered.text });
+        return result(session, turn, t.text, [t.action], { signal });
+      }
+      if (ordered) {
+        turn.branch = "order";
+        return result(session, turn, ordered.text, ordered.actions, { signal });
+      }
+    }
+
+    // ---------- 0) Goodbye (calls only; checked first so "ok, bye" isn't a yes to a text offer) ----------
+    if (voice && GOODBYE.test(q)) {
+      turn.branch = "local";
+      const text = intentReply(
+        session,
+        "goodbye",
+        es ? "Gracias por llamar a Crystal Nugs. ¡Que tenga un excelente día!" : "Thanks for calling Crystal Nugs. Have a great day!"
+      );
+      return result(session, turn, text, [{ type: "end_call", reason: "goodbye" }]);
+    }
+
+    // ---------- 1) SMS follow-up ("Want me to text that to you?") ----------
+    if (voice) {
+      const texted = textRequest(ctx, session, q);
+      if (texted) {
+        turn.branch = "sms";
+        return result(session, turn, texted.text, texted.action ? [texted.action] : []);
+      }
+    }
+
+    // ---------- Order status ("where's my order?"; late or unknown orders go to dispatch) ----------
+    const status = await orderStatusTurn(ctx, session, q, { signal });
+    if (status) return orderStatusResult(session, turn, status, { voice, signal });
+
+    // ---------- 2) Product lookup via the menu provider (before local intents) ----------
+    const product = detectProductQuery(q, session);
+    if (product) {
+      turn.branch = "menu";
+      const text = await productAnswer(ctx, session, product, { channel, signal, out: turn });
+      return result(session, turn, text, [], { signal });
+    }
+
+    // ---------- 3) Local intents (fast path) ----------
+    const local = localIntent(ctx, q, session);
+    if (local === TRANSFER_NOW) {
+      turn.branch = "transfer";
+      if (!voice) {
+        const phone = writtenPhone(ctx.facts.transferNumber);
+        return result(
+          session,
+          turn,
+          es ? `Con gusto le ayudamos — llámenos al ${phone}.` : `Our team is happy to help — call us at ${phone}.`
+        );
+      }
+      const t = transfer(session, turn, transferDepartment(session, q));
+      return result(session, turn, t.text, [t.action]);
+    }
+    if (local) {
+      turn.branch = "local";
+      return result(session, turn, local);
+    }
+
+    // ---------- 4) OpenAI fallback ----------
+    session.lastIntent = "openai";
+    turn.branch = "openai";
+    if (!ctx.openai.apiKey) {
+      return result(
+        session,
+        turn,
+        es ? "Lo siento, tengo problemas para conectarme en este momento." : "Sorry, I’m having trouble connecting right now."
+      );
+    }
+
+    let handoff = null;
+    try {
+      const answer = await askOpenAI(ctx, q, {
+        signal,
+        session,
+        channel,
+        onChunk,
+        // The model asked for a person: the adapter transfers once this turn returns
+        onTransfer: voice
+          ? async (reason, department) => {
+              console.log("OpenAI requested transfer:", department || "(any)", reason || "(no reason)");
+              handoff = transfer(session, turn, transferDepartment(session, `${q} ${reason || ""}`, department));
+              return true;
+            }
+          : undefined,
+      });
+      if (handoff) return result(session, turn, handoff.text, [handoff.action], { signal });
+      return result(session, turn, answer.text, [], { signal, streamed: !!onChunk });
+    } catch (e) {
+      if (signal?.aborted) {
+        console.log("OpenAI stream aborted:", signal.reason || "cancelled");
+        return result(session, turn, null);
+      }
+      console.error("OpenAI HTTPS error:", e.message);
+      turn.error = `openai: ${e.message}`;
+      const busy = es
+        ? voice
+          ? "Lo siento, nuestro asistente está ocupado en este momento. Por favor llame de nuevo en unos minutos."
+          : "Lo siento, nuestro asistente está ocupado. Por favor intente de nuevo en unos minutos."
+        : voice
+          ? "Sorry, our assistant is currently busy. Please call back shortly."
+          : "Sorry, our assistant is busy right now. Please try again in a few minutes.";
+      return result(session, turn, busy);
+    }
+  }
+
+  // Dispatch takes over a late or unknown order: on a call it's a transfer, in a text the dispatch line
+  function orderStatusResult(session, turn, status, { voice = true, signal } = {}) {
+    turn.branch = "order_status";
+    if (!status.transfer) return result(session, turn, status.text, [], { signal });
+    if (!voice) {
+      const es = languageOf(session) === "es";
+      const phone = writtenPhone(ctx.facts.transferNumber);
+      return result(session, turn, `${status.text} ${es ? `Llámenos al ${phone}.` : `Call us at ${phone}.`}`, [], { signal });
+    }
+    const t = transfer(session, turn, "dispatch", { lead: status.text });
+    session.lastIntent = status.intent;
+    return result(session, turn, t.text, [t.action], { signal });
+  }
+
+  // Keypad on calls: "0" = team member, "1" = hours, "2" = español, "*" = start over, otherwise the digits of
+  // a ZIP (or of an order number, when we asked for one)
+  async function keypad(session, keys = "") {
+    const turn = { branch: "local" };
+    pushTurn(session, "user", `[keypad ${keys}]`);
+
+    if (keys === "2") {
+      if (languageOf(session) !== "es") switchLanguage(session, turn, "es");
+      return result(session, turn, intentReply(session, "language", switchedGreeting("es")));
+    }
+    const es = languageOf(session) === "es";
+    if (keys === "*") {
+      return result(
+        session,
+        turn,
+        es ? "Está bien, marque su código postal de 5 dígitos." : "Okay, go ahead and enter your 5-digit ZIP."
+      );
+    }
+    if (keys === "0") {
+      const t = transfer(session, turn, transferDepartment(session));
+      return result(session, turn, t.text, [t.action]);
+    }
+    if (keys === "1") return result(session, turn, intentReply(session, "hours", hoursAnswer(ctx, languageOf(session))));
+    const status = await orderStatusKeypad(ctx, session, keys);
+    if (status) return orderStatusResult(session, turn, status);
+    if (keys.length < 5) {
+      return result(
+        session,
+        turn,
+        es
+          ? "Ese código postal parece incompleto. Marque los 5 dígitos, u oprima 0 para hablar con alguien."
+          : "That ZIP looked short. Please enter all 5 digits, or press 0 for a team member."
+      );
+    }
+
+    const ordered = orderKeypad(ctx, session, keys);
+    if (ordered) {
+      turn.branch = "order";
+      return result(session, turn, ordered.text, ordered.actions);
+    }
+
+    const zip = keys.slice(0, 5);
+    session.slots.zip = zip;
+    const pending = session.pending;
+    return result(
+      session,
+      turn,
+      pending?.slot === "zip" && pending.intent === "venue"
+        ? venueZipAnswer(ctx, session, zip, pending.venue)
+        : zipDeliveryAnswer(ctx, session, zip, pending?.asks || {})
+    );
+  }
+
+  return { respond, keypad };
+}
+
+// Only the fields that were set, so stored turns stay small
+function trace(turn) {
+  return Object.fromEntries(Object.entries(turn).filter(([, v]) => v !== null && v !== undefined));
+}
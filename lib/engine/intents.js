@@ -0,0 +1,234 @@
+// lib/engine/intents.js — Local intents: rule-matched store facts (data/intents.json) and ZIP-aware delivery quotes
+// `session` is optional; with it, follow-up turns can fill a pending slot ("9 5 8 1 6" after we asked for a ZIP)
+// or reuse one given earlier ("and what about the fee?"). `q` is lowercased with accents dropped (fold()),
+// and a Spanish session (session.lang "es") matches Spanish patterns and answers from the Spanish facts.
+
+import { zoneByZip, computeEtaWindow } from "../zones.js";
+import { extractZip } from "../spokenNumbers.js";
+import { setPending } from "../session.js";
+import { formatMoney } from "../format.js";
+import { factsFor } from "./facts.js";
+import { languageOf } from "./language.js";
+import { offerText, smsFooter } from "./followups.js";
+import { matchIntent, renderTemplate } from "./rules.js";
+import { specialsAnswer } from "./specials.js";
+
+// Returned instead of reply text when the caller asked for a person
+export const TRANSFER_NOW = "__TRANSFER_NOW__";
+
+export function localIntent(ctx, q = "", session = null) {
+  const lang = languageOf(session);
+  const es = lang === "es";
+  const facts = factsFor(ctx.facts, lang);
+  const pending = session?.pending || null;
+  const spokenZip = extractZip(q);
+  if (spokenZip && session) session.slots.zip = spokenZip;
+  const knownZip = spokenZip || session?.slots?.zip || null;
+  const followUp = /^(and|also|ok(ay)?|so|what about|how about|y|tambien|entonces|que tal)\b/.test(q);
+
+  // Best-scoring rule from data/intents.json; "transfer", "delivery" and "specials" are answered here, the rest by template
+  const match = matchIntent(ctx.rules, q, lang);
+  if (match?.handler === "transfer") return intentReply(session, "transfer", TRANSFER_NOW);
+  if (match?.handler === "specials") {
+    const deals = specialsAnswer(ctx, session, q);
+    if (deals) return offerText(ctx, session, intentReply(session, "specials", deals.text), deals.sms);
+  }
+  const asksDelivery = match?.handler === "delivery";
+
+  // Which delivery detail (English and Spanish), for short answers on a ZIP already quoted
+  const asksMin = /\b(min|minimum|order minimum|what.*minimum|minimo)\b/.test(q);
+  const asksFee = /\b(fee|delivery fee|charge|cost|tarifa|cargo|cobran|cuesta)\b/.test(q);
+  const asks = { min: asksMin, fee: asksFee, eta: asksDelivery };
+
+  const asksDeliverTo =
+    /\b(can|do|will|y['’]?all|you)\s*(?:.*\s)?(deliver|drop\s?off|bring|meet)\s*(?:to|at)\b/.test(
+      q
+    ) ||
+    /\bdeliver\s*(?:to|at)\b/.test(q) ||
+    /\bdo you deliver\b/.test(q) ||
+    /\b(entregan|llevan|reparten|hacen entregas?)\b/.test(q);
+
+  const mentionsHotel = /\b(hotel|motel|inn|suite|resort|lodg(e|ing)|air\s?bnb|airbnb)s?\b|\b(hoteles|moteles)\b/.test(
+    q
+  );
+  const mentionsVenue =
+    /\b(restaurant|bar|club|truck\s?stop|truckstop|gas\s?station|parking\s?lot|diner|cafe|pub)s?\b/.test(q) ||
+    /\b(restaurantes?|bares|parada de camiones|gasolineras?|cafeterias?)\b/.test(q);
+  if (session && (mentionsHotel || mentionsVenue)) session.slots.venue = { mentionsHotel, mentionsVenue };
+
+  // Follow-up: the caller just gave the ZIP we asked for
+  if (pending?.slot === "zip" && spokenZip) {
+    if (pending.intent === "venue") return venueZipAnswer(ctx, session, spokenZip, pending.venue);
+    return zipDeliveryAnswer(ctx, session, spokenZip, pending.asks || {});
+  }
+
+  // Venue-specific answer when explicitly asked if we deliver *to* them
+  // (or "what about hotels?" right after a delivery answer)
+  const venueFollowUp = followUp && isDeliveryIntent(session?.lastIntent);
+  if ((asksDeliverTo || venueFollowUp) && (mentionsHotel || mentionsVenue)) {
+    const venue = { mentionsHotel, mentionsVenue };
+    if (knownZip) return venueZipAnswer(ctx, session, knownZip, venue);
+    return intentReply(
+      session,
+      "venue",
+      es
+        ? `${facts.deliveryPlaces} ¿Cuál es su código postal de 5 dígitos para confirmar el tiempo de entrega, el mínimo y la tarifa? Por ejemplo: 9-5-8-1-6.`
+        : `${facts.deliveryPlaces} What’s your 5-digit ZIP so I can confirm ETA, minimum, and fee? For example: 9-5-8-1-6.`,
+      { slot: "zip", intent: "venue", venue }
+    );
+  }
+
+  // ZIP-specific minimum/fee/ETA
+  if (asksDelivery && spokenZip) {
+    return zipDeliveryAnswer(ctx, session, spokenZip, asks);
+  }
+
+  // Follow-up on a ZIP given earlier in the call ("and what about the fee?")
+  if (asksDelivery && knownZip) {
+    return zipDeliveryAnswer(ctx, session, knownZip, asks, { remembered: true });
+  }
+
+  // A bare ZIP right after a delivery answer is a new ZIP to quote
+  if (spokenZip && isDeliveryIntent(session?.lastIntent)) {
+    return zipDeliveryAnswer(ctx, session, spokenZip, asks);
+  }
+
+  // Ask for ZIP first if they want delivery details but didn’t give one
+  if (asksDelivery) {
+    return intentReply(
+      session,
+      "delivery_ask_zip",
+      es
+        ? `¿Cuál es su código postal de 5 dígitos para confirmar su horario de entrega, el mínimo y la tarifa? Por ejemplo: 9-5-8-1-6.`
+        : `What’s your 5-digit ZIP so I can confirm your delivery window, minimum, and fee? For example: 9-5-8-1-6.`,
+      { slot: "zip", intent: "delivery", asks }
+    );
+  }
+
+  // Everything else answers from the rule's template
+  if (!match?.answer) return null;
+  const vars = {
+    ...facts,
+    openNow: ctx.schedule.openNowAnswer(undefined, lang),
+    hours: ctx.schedule.hoursAnswer(undefined, lang),
+    lastCall: ctx.schedule.lastCallAnswer(undefined, lang),
+    footer: smsFooter(lang),
+  };
+  const text = intentReply(session, match.id, renderTemplate(match.answer[lang], vars).replace(/\s+/g, " ").trim());
+  if (!match.text) return text;
+  const offer = match.text[lang];
+  return offerText(ctx, session, text, {
+    kind: offer.kind || match.id,
+    body: renderTemplate(offer.body, vars),
+    link: offer.link ? renderTemplate(offer.link, vars) : undefined,
+  });
+}
+
+export function hoursAnswer(ctx, lang = "en") {
+  const { schedule } = ctx;
+  return `${schedule.openNowAnswer(undefined, lang)} ${schedule.hoursAnswer(undefined, lang)} ${schedule.lastCallAnswer(undefined, lang)}`;
+}
+
+// Record which intent answered (and what we now wait for), then hand back the reply text
+export function intentReply(session, intent, text, pending = null) {
+  if (session) {
+    session.lastIntent = intent;
+    setPending(session, pending);
+  }
+  return text;
+}
+
+function isDeliveryIntent(intent) {
+  return /^(delivery|venue)/.test(String(intent || ""));
+}
+
+export function zipDeliveryAnswer(ctx, session, zip, asks = {}, { remembered = false } = {}) {
+  const lang = languageOf(session);
+  const es = lang === "es";
+  const rec = zoneByZip(zip);
+  if (!rec) {
+    return intentReply(
+      session,
+      "delivery_zip_unknown",
+      es
+        ? `Para el código postal ${zip}: no tengo una política de entrega establecida. Dígame un código postal cercano y le confirmo el horario, el mínimo y la tarifa.`
+        : `For ZIP ${zip}: I don’t have a set delivery policy. Share a nearby ZIP and I’ll confirm your window, minimum, and fee.`
+    );
+  }
+  const min = formatMoney(rec.minimum);
+  const fee = formatMoney(rec.fee);
+  const win = etaWindow(rec.window || computeEtaWindow(rec.minimum, zip), lang);
+
+  // Short answer for "and the fee?" style follow-ups on a ZIP we already quoted
+  if (remembered && (asks.min || asks.fee)) {
+    const parts = [];
+    if (asks.fee) parts.push(es ? `la tarifa de entrega es de ${fee}` : `the delivery fee is ${fee}`);
+    if (asks.min) parts.push(es ? `el mínimo de entrega es de ${min}` : `the delivery minimum is ${min}`);
+    return intentReply(
+      session,
+      "delivery_zip",
+      es ? `Para el código postal ${zip}, ${parts.join(" y ")}.` : `For ZIP ${zip}, ${parts.join(" and ")}.`
+    );
+  }
+
+  const note = ctx.schedule.deliveryNote(undefined, lang);
+  const answer = intentReply(
+    session,
+    "delivery_zip",
+    es
+      ? `Para el código postal ${zip}: entrega estimada en ${win}. Mínimo de entrega ${min}. Tarifa de entrega ${fee}. ${note}`
+      : `For ZIP ${zip}: estimated delivery ${win}. Delivery minimum ${min}. Delivery fee ${fee}. ${note}`
+  );
+  const { website } = ctx.facts;
+  return offerText(ctx, session, answer, {
+    kind: "delivery",
+    body: es
+      ? `Entrega de Crystal Nugs a ${zip}: mínimo ${min}, tarifa de entrega ${fee}, aprox. ${win}.\nOrdene: ${website}\n${smsFooter(lang)}`
+      : `Crystal Nugs delivery to ${zip}: ${min} minimum, ${fee} delivery fee, about ${win}.\nOrder: ${website}\n${smsFooter(lang)}`,
+    link: `${es ? "Ordene" : "Order"}: ${website}`,
+  });
+}
+
+export function venueZipAnswer(ctx, session, zip, venue = {}) {
+  const lang = languageOf(session);
+  const es = lang === "es";
+  const rec = zoneByZip(zip);
+  const placeLabel = venueLabel(venue, lang);
+  if (rec) {
+    const min = formatMoney(rec.minimum);
+    const fee = formatMoney(rec.fee);
+    const win = etaWindow(rec.window || computeEtaWindow(rec.minimum, zip), lang);
+    const note = ctx.schedule.deliveryNote(undefined, lang);
+    return intentReply(
+      session,
+      "venue_zip",
+      es
+        ? `Sí — entregamos en ${placeLabel} en el código postal ${zip}. Tiempo estimado ${win}. Mínimo ${min}. Tarifa ${fee}. ${note}`
+        : `Yes — we deliver to ${placeLabel} in ZIP ${zip}. ETA ${win}. Minimum ${min}. Fee ${fee}. ${note}`
+    );
+  }
+  return intentReply(
+    session,
+    "venue_zip_unknown",
+    es
+      ? `Sí — entregamos en ${placeLabel} en esa zona. Para el código postal ${zip}, no tengo un registro. Dígame un código postal cercano y le confirmo el tiempo, el mínimo y la tarifa.`
+      : `Yes — we deliver to ${placeLabel} in that area. For ZIP ${zip}, I don’t have a record on file. Share a nearby ZIP and I’ll confirm ETA, minimum, and fee.`
+  );
+}
+
+function venueLabel({ mentionsHotel, mentionsVenue }, lang = "en") {
+  if (lang === "es") {
+    if (mentionsHotel && mentionsVenue) return "hoteles, moteles, restaurantes, bares y paradas de camiones";
+    if (mentionsHotel) return "hoteles y moteles";
+    return "restaurantes, bares y paradas de camiones";
+  }
+  if (mentionsHotel && mentionsVenue)
+    return "hotels, motels, restaurants, bars, and truck stops";
+  if (mentionsHotel) return "hotels and motels";
+  return "restaurants, bars, and truck stops";
+}
+
+// Zone windows are stored as "30–60 minutes"
+function etaWindow(win, lang) {
+  return lang === "es" ? String(win).replace(/\bminutes\b/, "minutos") : win;
+}
@@ -0,0 +1,63 @@
+// lib/engine/language.js — English/Spanish: which one a conversation is in, and when to switch
+// A caller switches by asking ("para español", "in English please"), by pressing 2 on the keypad, or just by
+// speaking Spanish (a few common Spanish words and no English ones). session.lang is "en" or "es";
+// the relay turns the engine's { type: "language" } action into a ConversationRelay language switch.
+
+// Lowercase, accents dropped: "¿Dónde están?" → "¿donde estan?" (patterns are written without accents)
+export function fold(text = "") {
+  return String(text)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+export function languageOf(session) {
+  return session?.lang === "es" ? "es" : "en";
+}
+
+const ASKS_SPANISH = /\b(para|en) espanol\b|\bhabla(s|n)? espanol\b|\bespanol,? por favor\b|^espanol\b|\b(in |speak )spanish\b|^spanish\b/;
+const ASKS_ENGLISH = /\b(in|speak) english\b|^english\b|\b(en|hablan?|habla) ingles\b|^ingles\b/;
+
+const SPANISH_WORDS = new Set(
+  ("hola buenas buenos dias tardes noches que cual cuales cuanto cuanta cuantos donde como cuando quiero quisiera " +
+    "necesito tienen tiene tienes hay venden para por favor gracias si esta estan estoy es son los las una unos del " +
+    "mi su usted ustedes horario hora horas abren cierran entrega entregan envio domicilio direccion tienda " +
+    "precio precios cuesta cuestan pedido orden ayuda hablar alguien persona ofertas descuento pago efectivo tarjeta")
+    .split(" ")
+);
+const ENGLISH_WORDS = new Set(
+  ("the you your what where when how do does is are can could would have has hi hello hey thanks thank please " +
+    "i i'm my me we our it this that with and for of to deliver delivery open hours store price much")
+    .split(" ")
+);
+
+// True when an utterance reads as Spanish: two or more common Spanish words and none of the English ones
+export function looksSpanish(text = "") {
+  const words = fold(text)
+    .replace(/[^a-z'\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  const es = words.filter((w) => SPANISH_WORDS.has(w)).length;
+  const en = words.filter((w) => ENGLISH_WORDS.has(w)).length;
+  return es >= 2 && en === 0;
+}
+
+// Language the caller wants next, or null to stay. `only` means the utterance was just the request
+// ("español"), so the reply is a greeting instead of an answer.
+export function languageSwitch(q = "", current = "en") {
+  const text = fold(q).replace(/[¿?¡!.,]/g, "").trim();
+  const wants = ASKS_SPANISH.test(text) ? "es" : ASKS_ENGLISH.test(text) ? "en" : null;
+  if (wants) {
+    if (wants === current) return null;
+    const rest = text.replace(ASKS_SPANISH, " ").replace(ASKS_ENGLISH, " ").replace(/\b(please|por favor|ok|okay|si|yes)\b/g, " ");
+    return { lang: wants, only: rest.trim().split(/\s+/).filter(Boolean).length <= 2 };
+  }
+  if (current === "en" && looksSpanish(text)) return { lang: "es", only: false };
+  return null;
+}
+
+export function switchedGreeting(lang) {
+  return lang === "es"
+    ? "¡Claro! Con gusto le atiendo en español. ¿En qué le puedo ayudar?"
+    : "Sure — we can continue in English. What can I help you with?";
+}
@@ -0,0 +1,634 @@
+// lib/engine/order.js — Phone orders on calls: a cart built from the menu, checked against the ZIP's
+// delivery minimum, then a name, an address and a read-back before ctx.orders.submit (lib/orders.js).
+// While an order is open it lives on session.order:
+//   { stage: "item" | "pick" | "size" | "zip" | "name" | "address" | "confirm" | "change" | "menu_down",
+//     items: [{ id, brand, name, weight, label, price, qty }], choices, picked, qty, size, zip, zone, name, address,
+//     asked }                              asked: we already prompted for an item once
+// Every turn of an open order comes here first. A turn that doesn't answer the question we asked (an hours
+// question mid-order) returns null so the rest of the engine answers it; the order picks up on the next turn.
+// The ID reminder (facts.idRules) is said when the order starts and again in the read-back: the driver
+// checks ID at the door.
+// When the menu can't be reached we offer a person instead ("menu_down"); a yes comes back with
+// `transfer: true` and the engine hands the call to dispatch.
+
+import { zoneByZip, computeEtaWindow } from "../zones.js";
+import { extractZip } from "../spokenNumbers.js";
+import { availableTiers, inStockItems } from "../menu/index.js";
+import { parseProductQuery, detectSize } from "../catalog.js";
+import { formatMoney, money, writtenPhone } from "../format.js";
+import { factsFor } from "./facts.js";
+import { fold, languageOf } from "./language.js";
+import { matchIntent } from "./rules.js";
+import { menuSearch } from "./products.js";
+import { canText, isBareYes, smsFooter } from "./followups.js";
+
+// Matched on fold()ed text
+const DONE =
+  /^(no|nope|nah|that'?s (it|all|everything)|i'?m (good|done|all set)|nothing( else)?|done|check ?out|eso es todo|es todo|nada mas|ya( esta)?|listo)\b/;
+const YES = /^(yes|yeah|yep|yup|sure|correct|that'?s (right|correct)|sounds good|place it|go ahead|si|claro|correcto|asi es|esta bien|de acuerdo|dale)\b/;
+const NO = /^(no|nope|nah|wait|hold on|not yet|espere|todavia no)\b/;
+const CANCEL = /\b(cancel( (it|the order|my order))?|never ?mind|forget (it|the order)|cancela(r|lo)?|olvidelo|olvidalo)\b/;
+const START_OVER = /\b(start over|empty (the|my) cart|clear (the|my) cart|empezar de nuevo|borrar todo)\b/;
+const REMOVE = /\b(remove|take (off|out)|delete|drop|quit(a|e|ar)|elimin(a|e|ar)|saca|saque)\b/;
+
+const MAX_QTY = 10;
+const MAX_CHOICES = 3;
+
+const QTY_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, couple: 2,
+  uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10, par: 2,
+};
+// "the second one", or just "two" / "number 2"
+const ORDINALS = [/\b(first|1st|primer[oa]?)\b/, /\b(second|2nd|segund[oa])\b/, /\b(third|3rd|tercer[oa]?)\b/];
+const BARE_NUMBER = /^(?:(?:number|numero|el|la) )?(one|1|uno|two|2|dos|three|3|tres)\b/;
+const BARE_INDEX = { one: 0, 1: 0, uno: 0, two: 1, 2: 1, dos: 1, three: 2, 3: 2, tres: 2 };
+const SIZE_NAMES = {
+  "0.5g": ["half gram", "medio gramo"],
+  "1g": ["gram", "gramo"],
+  "3.5g": ["eighth", "octavo"],
+  "7g": ["quarter", "cuarto"],
+  "14g": ["half ounce", "media onza"],
+  "28g": ["ounce", "onza"],
+};
+
+// The "order" rule from data/intents.json ("I'd like to place an order"), on calls with ordering set up
+export function startsOrder(ctx, q, lang) {
+  return matchIntent(ctx.rules, q, lang)?.handler === "order";
+}
+
+// One turn of the order flow. Resolves to { text, actions, intent, transfer? } or null (not ours — answer it
+// elsewhere). `text` is null when `signal` aborted the menu lookup.
+export async function orderTurn(ctx, session, q, raw, { signal } = {}) {
+  if (!ctx.orders || !ctx.menuEnabled) return null;
+  const lang = languageOf(session);
+  const es = lang === "es";
+  let order = session.order;
+
+  if (!order) {
+    if (!startsOrder(ctx, q, lang)) return null;
+    order = session.order = { stage: "item", items: [], zip: session.slots.zip || null };
+    const intro = es
+      ? `Con gusto le tomo su pedido a domicilio. Un recordatorio: ${factsFor(ctx.facts, lang).idRules}`
+      : `Happy to take your delivery order. Quick reminder: ${ctx.facts.idRules}`;
+    const { brand, strain, category } = parseProductQuery(q);
+    if (brand || strain || category) {
+      const added = await itemTurn(ctx, session, q, { signal });
+      return added.text === null ? added : { ...added, text: `${intro} ${added.text}` };
+    }
+    order.asked = true;
+    return reply(
+      session,
+      "order_start",
+      es
+        ? `${intro} ¿Qué le gustaría pedir? Por ejemplo: dos pods de STIIIZY.`
+        : `${intro} What would you like? For example: two STIIIZY pods.`
+    );
+  }
+
+  // A person, a cancel, or starting over works from any stage
+  const match = matchIntent(ctx.rules, q, lang);
+  if (match?.handler === "transfer") return null;
+  if (CANCEL.test(q) && !/\b(don'?t|do not|no) cancel/.test(q)) {
+    session.order = null;
+    return reply(
+      session,
+      "order_cancelled",
+      es ? "Listo, cancelé el pedido. ¿En qué más le puedo ayudar?" : "Okay, I’ve cancelled that order. What else can I help with?"
+    );
+  }
+  if (START_OVER.test(q)) {
+    Object.assign(order, { stage: "item", items: [], choices: null, picked: null });
+    return reply(session, "order_item", es ? "Listo, empecemos de nuevo. ¿Qué le gustaría pedir?" : "Sure, let’s start over. What would you like?");
+  }
+
+  switch (order.stage) {
+    case "pick":
+      return pickTurn(ctx, session, q) || itemTurn(ctx, session, q, { signal });
+    case "size":
+      return sizeTurn(ctx, session, q) || itemTurn(ctx, session, q, { signal });
+    case "zip":
+      return zipTurn(ctx, session, extractZip(q)) || askZipAgain(ctx, session, raw);
+    case "name":
+      return nameTurn(ctx, session, raw);
+    case "address":
+      return addressTurn(ctx, session, raw);
+    case "confirm":
+      return confirmTurn(ctx, session, q);
+    case "change":
+      return changeTurn(ctx, session, q, { signal });
+    case "menu_down":
+      return menuDownTurn(ctx, session, q, { signal });
+    default:
+      return itemTurn(ctx, session, q, { signal });
+  }
+}
+
+// Keypad digits while we wait for the ZIP; null otherwise
+export function orderKeypad(ctx, session, keys) {
+  if (session.order?.stage !== "zip" || keys.length < 5) return null;
+  return zipTurn(ctx, session, keys.slice(0, 5));
+}
+
+function reply(session, intent, text, actions = []) {
+  session.lastIntent = intent;
+  return { text, actions, intent };
+}
+
+// ---------- Cart ----------
+async function itemTurn(ctx, session, q, { signal }) {
+  const es = languageOf(session) === "es";
+  const order = session.order;
+
+  if (order.items.length && DONE.test(q)) return checkout(ctx, session);
+  if (order.items.length && REMOVE.test(q)) return removeTurn(session, q);
+
+  const product = parseProductQuery(q);
+  if (!product.brand && !product.strain && !product.category) {
+    // Not a product: ask once more if the cart is still empty, otherwise it's an aside
+    if (order.stage === "item" && !order.items.length && !order.asked) {
+      order.asked = true;
+      return reply(
+        session,
+        "order_item",
+        es
+          ? "Dígame la marca y el producto, por ejemplo: dos pods de STIIIZY."
+          : "Tell me the brand and product, like: two STIIIZY pods."
+      );
+    }
+    return null;
+  }
+
+  let items;
+  try {
+    ({ items } = await menuSearch(ctx.menu, product, 12, signal));
+  } catch (e) {
+    if (signal?.aborted) return { text: null, actions: [], intent: null }; // barge-in: nothing to say
+    console.error("Order menu lookup failed:", e.message);
+    order.stage = "menu_down";
+    return reply(
+      session,
+      "order_menu_down",
+      es
+        ? "No puedo consultar el menú en este momento. ¿Quiere que le comunique con alguien que tome su pedido?"
+        : "I can’t pull up the menu right now. Want me to connect you with someone who can take your order?"
+    );
+  }
+  if (signal?.aborted) return { text: null, actions: [], intent: null };
+  const found = rankByName(inStockItems(items), q);
+  const qty = spokenQuantity(q);
+  if (!found.length) {
+    order.stage = "item";
+    return reply(
+      session,
+      "order_not_found",
+      es
+        ? "No encontré eso disponible en este momento. ¿Quiere pedir otra cosa?"
+        : "I couldn’t find that in stock right now. Would you like something else?"
+    );
+  }
+  if (found.length > 1) {
+    Object.assign(order, { stage: "pick", choices: found.slice(0, MAX_CHOICES), qty, size: product.size });
+    const list = order.choices.map((it, i) => `${i + 1}, ${itemName(it)} ${es ? "desde" : "from"} ${money(lowestPrice(it))}`);
+    return reply(
+      session,
+      "order_pick",
+      es ? `Encontré: ${list.join("; ")}. ¿Cuál quiere?` : `I found: ${list.join("; ")}. Which one would you like?`
+    );
+  }
+  Object.assign(order, { qty, size: product.size });
+  return chooseSize(ctx, session, found[0]);
+}
+
+// After "I can't pull up the menu": yes → a person, no → done, anything else is another try at the item
+function menuDownTurn(ctx, session, q, { signal }) {
+  const lang = languageOf(session);
+  const es = lang === "es";
+  const { website } = factsFor(ctx.facts, lang);
+  if (YES.test(q)) {
+    session.order = null;
+    return { ...reply(session, "order_transfer", es ? "Claro." : "Sure."), transfer: true };
+  }
+  if (NO.test(q) || DONE.test(q)) {
+    session.order = null;
+    return reply(
+      session,
+      "order_cancelled",
+      es
+        ? `Está bien. También puede hacer su pedido en ${website}. ¿En qué más le puedo ayudar?`
+        : `Okay. You can also order anytime at ${website}. What else can I help with?`
+    );
+  }
+  session.order.stage = "item";
+  return itemTurn(ctx, session, q, { signal });
+}
+
+function pickTurn(ctx, session, q) {
+  const { choices } = session.order;
+  const item = choices[pickIndex(q, choices.length)] || rankByName(choices, q, { strict: true })[0];
+  if (!item) return null;
+  Object.assign(session.order, { choices: null, size: detectSize(q) || session.order.size });
+  return chooseSize(ctx, session, item);
+}
+
+function chooseSize(ctx, session, item) {
+  const es = languageOf(session) === "es";
+  const order = session.order;
+  const tiers = availableTiers(item);
+  const sized = order.size ? tiers.filter((t) => t.weight === order.size) : [];
+  if (sized.length || tiers.length === 1) return addItem(ctx, session, item, sized[0] || tiers[0]);
+
+  Object.assign(order, { stage: "size", picked: item });
+  const options = tiers.map((t) => `${tierLabel(t, es ? "es" : "en")} ${es ? "por" : "for"} ${money(t.price)}`);
+  const joined = es ? options.join(" o ") : options.join(", or ");
+  return reply(session, "order_size", es ? `¿Qué tamaño: ${joined}?` : `Which size: ${joined}?`);
+}
+
+function sizeTurn(ctx, session, q) {
+  const { picked } = session.order;
+  const tiers = availableTiers(picked);
+  const size = detectSize(q);
+  const tier =
+    (size && tiers.find((t) => t.weight === size)) ||
+    tiers.find((t) => q.includes(t.label.toLowerCase())) ||
+    tiers[pickIndex(q, tiers.length)] ||
+    (/\b(smaller|small|cheaper|half|chico|pequeno|medio)\b/.test(q) ? tiers[0] : null) ||
+    (/\b(bigger|big|larger|full|grande|completo)\b/.test(q) ? tiers[tiers.length - 1] : null);
+  if (!tier) return null;
+  return addItem(ctx, session, picked, tier);
+}
+
+function addItem(ctx, session, item, tier) {
+  const lang = languageOf(session);
+  const es = lang === "es";
+  const order = session.order;
+  const wanted = order.qty || 1;
+  const qty = Math.min(wanted, MAX_QTY);
+  const label = item.tiers.length > 1 || tier.weight ? tierLabel(tier, lang) : null;
+  const line = { id: item.id, brand: item.brand, name: item.name, weight: tier.weight, label, price: tier.price, qty };
+  const same = order.items.find((l) => l.id === line.id && l.weight === line.weight);
+  if (same) same.qty = Math.min(same.qty + qty, MAX_QTY);
+  else order.items.push(line);
+  Object.assign(order, { stage: "item", choices: null, picked: null, qty: null, size: null });
+
+  const capped =
+    wanted > MAX_QTY
+      ? es
+        ? ` Por teléfono puedo tomar hasta ${MAX_QTY} de cada producto.`
+        : ` I can take up to ${MAX_QTY} of one item on a phone order.`
+      : "";
+  const each = qty > 1 ? (es ? ` a ${money(tier.price)} cada uno` : ` at ${money(tier.price)} each`) : ` ${es ? "por" : "for"} ${money(tier.price)}`;
+  return reply(
+    session,
+    "order_added",
+    es
+      ? `Agregué ${lineText(line)}${each}.${capped} Su subtotal es ${formatMoney(subtotal(order))}. ¿Algo más, o es todo?`
+      : `Added ${lineText(line)}${each}.${capped} Your subtotal is ${formatMoney(subtotal(order))}. Anything else, or is that everything?`
+  );
+}
+
+// "take off the gummies" / "remove the last one"
+function removeTurn(session, q) {
+  const es = languageOf(session) === "es";
+  const order = session.order;
+  const line = /\b(last|ultimo|ultima)\b/.test(q) ? order.items[order.items.length - 1] : rankByName(order.items, q, { strict: true })[0];
+  if (!line) {
+    return reply(
+      session,
+      "order_item",
+      es ? "¿Cuál producto quiere quitar?" : "Which item should I take off?"
+    );
+  }
+  order.items = order.items.filter((l) => l !== line);
+  const left = order.items.length
+    ? es
+      ? `Su subtotal ahora es ${formatMoney(subtotal(order))}. ¿Algo más, o es todo?`
+      : `Your subtotal is now ${formatMoney(subtotal(order))}. Anything else, or is that everything?`
+    : es
+      ? "Su carrito está vacío. ¿Qué le gustaría pedir?"
+      : "Your cart is empty now. What would you like?";
+  return reply(session, "order_removed", es ? `Quité ${lineText(line)}. ${left}` : `Took off ${lineText(line)}. ${left}`);
+}
+
+// ---------- Delivery details ----------
+function checkout(ctx, session) {
+  const es = languageOf(session) === "es";
+  const order = session.order;
+  if (!order.zip) {
+    order.stage = "zip";
+    return reply(
+      session,
+      "order_zip",
+      es ? "¿Cuál es el código postal de 5 dígitos para la entrega?" : "What’s the 5-digit ZIP for delivery?"
+    );
+  }
+  return zipTurn(ctx, session, order.zip);
+}
+
+function zipTurn(ctx, session, zip) {
+  const es = languageOf(session) === "es";
+  const order = session.order;
+  if (!zip) return null;
+  const rec = zoneByZip(zip);
+  if (!rec) {
+    Object.assign(order, { stage: "zip", zip: null });
+    return reply(
+      session,
+      "order_zip",
+      es
+        ? `No tenemos entrega al código postal ${zip}. ¿Tiene otro código postal, o prefiere cancelar?`
+        : `We don’t deliver to ZIP ${zip}. Is there another ZIP, or should I cancel?`
+    );
+  }
+  session.slots.zip = zip;
+  order.zip = zip;
+  const sub = subtotal(order);
+  if (sub < rec.minimum) {
+    order.stage = "item";
+    return reply(
+      session,
+      "order_minimum",
+      es
+        ? `Su subtotal es ${formatMoney(sub)} y el mínimo de entrega para el código postal ${zip} es ${formatMoney(rec.minimum)}. ¿Quiere agregar algo más?`
+        : `Your subtotal is ${formatMoney(sub)}, and the delivery minimum for ZIP ${zip} is ${formatMoney(rec.minimum)}. Would you like to add something?`
+    );
+  }
+  const window = rec.window || computeEtaWindow(rec.minimum);
+  order.zone = { minimum: rec.minimum, fee: rec.fee, window };
+  if (order.name && order.address) return readBack(ctx, session);
+  if (order.name) {
+    order.stage = "address";
+    return reply(session, "order_address", es ? "¿Cuál es la dirección de entrega?" : "What’s the delivery address?");
+  }
+  order.stage = "name";
+  const details = es
+    ? `La entrega al código postal ${zip} cuesta ${formatMoney(rec.fee)}, en unos ${window.replace(/\bminutes\b/, "minutos")}.`
+    : `Delivery to ZIP ${zip} is ${formatMoney(rec.fee)}, about ${window}.`;
+  return reply(
+    session,
+    "order_name",
+    es ? `${details} ¿A nombre de quién pongo el pedido?` : `${details} What name should I put the order under?`
+  );
+}
+
+function askZipAgain(ctx, session, raw) {
+  if (isAside(ctx, session, raw)) return null;
+  const es = languageOf(session) === "es";
+  return reply(
+    session,
+    "order_zip",
+    es
+      ? "No escuché el código postal. Dígalo o márquelo con el teclado, por favor."
+      : "I didn’t catch the ZIP. Please say it or key it in."
+  );
+}
+
+function nameTurn(ctx, session, raw) {
+  const es = languageOf(session) === "es";
+  if (isAside(ctx, session, raw)) return null;
+  const name = String(raw)
+    .replace(/^\s*(yes,?\s*|yeah,?\s*|si,?\s*)?(my name is|my name's|my names|name is|it'?s|this is|i'?m|i am|under|put it under|me llamo|mi nombre es|soy|a nombre de|es)\s+/i, "")
+    .replace(/[^\p{L}\s'-]/gu, "")
+    .trim()
+    .split(/\s+/)
+    .slice(0, 4)
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+  if (!name) return reply(session, "order_name", es ? "Perdón, ¿a nombre de quién?" : "Sorry, what name should I use?");
+  session.order.name = name;
+  if (session.order.address) return readBack(ctx, session);
+  session.order.stage = "address";
+  return reply(
+    session,
+    "order_address",
+    es
+      ? `Gracias, ${name}. ¿Cuál es la dirección de entrega? Incluya el número de departamento si tiene.`
+      : `Thanks, ${name}. What’s the delivery address? Include an apartment or unit number if there is one.`
+  );
+}
+
+function addressTurn(ctx, session, raw) {
+  const es = languageOf(session) === "es";
+  const address = String(raw)
+    .replace(/^\s*(it'?s|my address is|the address is|address is|mi direccion es|mi dirección es|la direccion es|la dirección es|es)\s+/i, "")
+    .replace(/[.\s]+$/, "")
+    .trim();
+  if (!/\d/.test(address)) {
+    if (isAside(ctx, session, raw)) return null;
+    return reply(
+      session,
+      "order_address",
+      es
+        ? "No escuché el número de la calle. ¿Cuál es la dirección completa?"
+        : "I didn’t catch a street number. What’s the full street address?"
+    );
+  }
+  session.order.address = address;
+  return readBack(ctx, session);
+}
+
+function readBack(ctx, session) {
+  const lang = languageOf(session);
+  const es = lang === "es";
+  const order = session.order;
+  const { fee } = order.zone;
+  const sub = subtotal(order);
+  const lines = order.items.map((l) => lineText(l));
+  const items = es ? joinList(lines, "y") : joinList(lines, "and");
+  const link = ctx.orders.handoff === "link" && canText(ctx, session);
+  order.stage = "confirm";
+  return reply(
+    session,
+    "order_confirm",
+    es
+      ? `Su pedido: ${items}. Subtotal ${formatMoney(sub)}, entrega ${formatMoney(fee)}, total ${formatMoney(sub + fee)} antes de impuestos. Entrega en ${order.address}, código postal ${order.zip}, a nombre de ${order.name}. ${factsFor(ctx.facts, lang).idRules} ${link ? "¿Le envío el enlace para pagar por mensaje de texto?" : "¿Hago el pedido?"}`
+      : `Here’s your order: ${items}. Subtotal ${formatMoney(sub)}, delivery ${formatMoney(fee)}, total ${formatMoney(sub + fee)} before tax. Delivering to ${order.address}, ZIP ${order.zip}, for ${order.name}. ${ctx.facts.idRules} ${link ? "Should I text you the checkout link?" : "Should I place the order?"}`
+  );
+}
+
+async function confirmTurn(ctx, session, q) {
+  const es = languageOf(session) === "es";
+  if (YES.test(q)) return placeOrder(ctx, session, q);
+  if (NO.test(q)) {
+    session.order.stage = "change";
+    return reply(
+      session,
+      "order_change",
+      es
+        ? "Claro. ¿Qué cambio: los productos, el nombre o la dirección? O diga cancelar."
+        : "No problem. What should I change: the items, the name, or the address? Or say cancel."
+    );
+  }
+  return reply(session, "order_confirm", es ? "¿Hago el pedido? Diga sí o no." : "Should I place the order? Just say yes or no.");
+}
+
+async function changeTurn(ctx, session, q, { signal }) {
+  const es = languageOf(session) === "es";
+  const order = session.order;
+  if (/\b(address|street|direccion|calle)\b/.test(q)) {
+    Object.assign(order, { stage: "address", address: null });
+    return reply(session, "order_address", es ? "¿Cuál es la dirección correcta?" : "What’s the right address?");
+  }
+  if (/\b(name|nombre)\b/.test(q)) {
+    Object.assign(order, { stage: "name", name: null });
+    return reply(session, "order_name", es ? "¿A nombre de quién?" : "What name should I use?");
+  }
+  if (/\b(zip|zip code|codigo postal)\b/.test(q)) {
+    Object.assign(order, { stage: "zip", zip: null });
+    return reply(session, "order_zip", es ? "¿Cuál es el código postal?" : "What’s the ZIP?");
+  }
+  order.stage = "item";
+  if (/\b(items?|cart|products?|productos?|carrito)\b/.test(q) && !REMOVE.test(q)) {
+    return reply(
+      session,
+      "order_item",
+      es
+        ? "Claro. Dígame qué agregar, o qué quitar."
+        : "Sure. Tell me what to add, or what to take off."
+    );
+  }
+  return itemTurn(ctx, session, q, { signal });
+}
+
+async function placeOrder(ctx, session, q) {
+  const lang = languageOf(session);
+  const es = lang === "es";
+  const order = session.order;
+  const sub = subtotal(order);
+  const total = Math.round((sub + order.zone.fee) * 100) / 100;
+  let placed;
+  try {
+    placed = await ctx.orders.submit({
+      callSid: session.id,
+      caller: session.caller,
+      lang,
+      name: order.name,
+      address: order.address,
+      zip: order.zip,
+      items: order.items,
+      subtotal: sub,
+      fee: order.zone.fee,
+      total,
+    });
+  } catch (e) {
+    console.error("Order submit failed:", e.message);
+    const phone = writtenPhone(ctx.facts.transferNumber);
+    const { website } = factsFor(ctx.facts, lang);
+    return reply(
+      session,
+      "order_failed",
+      es
+        ? `Lo siento, no pude registrar el pedido en este momento. Llámenos al ${phone} o haga su pedido en ${website}.`
+        : `Sorry, I couldn’t place the order just now. Please call us at ${phone} or order at ${website}.`
+    );
+  }
+
+  session.order = null;
+  session.slots.orderId = placed.id;
+  const number = placed.id.split("").join("-");
+  // Texting the link needs consent: a bare yes, or one already on file. "Yes, but don't text me" still
+  // places the order, and staff call back instead.
+  const consented = ctx.sms.consented(session.caller);
+  if (placed.checkoutUrl && canText(ctx, session) && !consented && !isBareYes(q)) {
+    return reply(
+      session,
+      "order_placed",
+      es
+        ? `Listo — su número de pedido es ${number}. No le enviaré mensajes; un miembro del equipo le llamará para confirmar y tomar el pago. ¿Algo más?`
+        : `Done — your order number is ${number}. I won’t text you; a team member will call to confirm and take payment. Anything else?`
+    );
+  }
+  if (placed.checkoutUrl && canText(ctx, session)) {
+    return reply(
+      session,
+      "order_placed",
+      es
+        ? `Listo — su número de pedido es ${number}. Le envié un mensaje con el enlace para pagar. ¿Algo más?`
+        : `Done — your order number is ${number}. I’ve texted you the link to check out and pay. Anything else?`,
+      [
+        {
+          type: "send_sms",
+          to: session.caller,
+          body: es
+            ? `Pedido ${placed.id} de Crystal Nugs — complete su pago aquí: ${placed.checkoutUrl}\n${smsFooter(lang)}`
+            : `Crystal Nugs order ${placed.id} — finish checking out here: ${placed.checkoutUrl}\n${smsFooter(lang)}`,
+          kind: "order",
+          consent: consented ? null : { text: q },
+          fallback: es
+            ? `Su número de pedido es ${number}. No pude enviar el mensaje; un miembro del equipo le llamará para confirmar.`
+            : `Your order number is ${number}. I couldn’t send the text, so a team member will call to confirm.`,
+        },
+      ]
+    );
+  }
+  return reply(
+    session,
+    "order_placed",
+    es
+      ? `Listo — su pedido está hecho. Su número de pedido es ${number}. Un miembro del equipo lo confirmará en breve y llegará en unos ${order.zone.window.replace(/\bminutes\b/, "minutos")}. ¿Algo más?`
+      : `You’re all set — your order number is ${number}. A team member will confirm it shortly, and it should arrive in about ${order.zone.window}. Anything else?`
+  );
+}
+
+// ---------- Helpers ----------
+function subtotal(order) {
+  return Math.round(order.items.reduce((n, l) => n + l.price * l.qty, 0) * 100) / 100;
+}
+
+function itemName(it) {
+  return [it.brand, it.name].filter(Boolean).join(" ");
+}
+
+function lowestPrice(it) {
+  return Math.min(...availableTiers(it).map((t) => t.price));
+}
+
+// "2 STIIIZY Blue Burst Original Pod, gram" / "1 Kiva Wild Cherry Gummies"
+function lineText(line) {
+  const size = line.label ? `, ${line.label}` : "";
+  return `${line.qty} ${itemName(line)}${size}`;
+}
+
+function tierLabel(tier, lang = "en") {
+  const names = SIZE_NAMES[tier.weight];
+  return names ? names[lang === "es" ? 1 : 0] : tier.label;
+}
+
+function pickIndex(q, count) {
+  const word = ORDINALS.findIndex((re) => re.test(q));
+  const bare = q.match(BARE_NUMBER);
+  const i = word >= 0 ? word : bare ? BARE_INDEX[bare[1]] : /\b(last|ultim[oa])\b/.test(q) ? count - 1 : -1;
+  return i >= 0 && i < count ? i : -1;
+}
+
+// Something the rest of the engine should answer ("what time do you close?" when we asked for a name)
+function isAside(ctx, session, raw) {
+  const match = matchIntent(ctx.rules, fold(raw), languageOf(session));
+  return !!match || /\?\s*$/.test(raw);
+}
+
+function joinList(parts, and) {
+  if (parts.length <= 1) return parts.join("");
+  return `${parts.slice(0, -1).join(", ")} ${and} ${parts[parts.length - 1]}`;
+}
+
+// Best name matches first. Without `strict`, items that match no name word stay in (menu order).
+function rankByName(items, q, { strict = false } = {}) {
+  const words = q.split(/[^a-z0-9]+/).filter((w) => w.length >= 3);
+  const scored = items.map((it) => {
+    const hay = itemName(it).toLowerCase();
+    return { it, score: words.filter((w) => hay.includes(w.replace(/s$/, ""))).length };
+  });
+  const best = Math.max(0, ...scored.map((s) => s.score));
+  if (strict && !best) return [];
+  const top = best ? scored.filter((s) => s.score === best) : scored;
+  return top.map((s) => s.it);
+}
+
+// "two STIIIZY pods", "3 of the gummies", "dos paquetes"; a number right before g / grams is a size.
+// `fallback` when no count was said.
+function spokenQuantity(q, fallback = null) {
+  const re = /\b(\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten|couple|uno|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|diez|par)\b(?![.:\d])(?!\s*(g|grams?|gramos?|mg|ml|oz|%)\b)/;
+  const m = q.match(re);
+  if (!m) return fallback;
+  return QTY_WORDS[m[1]] || Number(m[1]) || fallback;
+}
@@ -0,0 +1,194 @@
+// lib/engine/orderStatus.js — "Where's my order?": status, driver ETA and any hold-up, read from the
+// order-status provider (ctx.orderStatus, lib/orderStatus/).
+// The caller is found by an order number they say or key in, the order placed earlier on this call, or
+// the number they're calling or texting from. When none of those finds an order we ask for the number
+// once (pending slot "order_number"). Only an order that is running late, or one we can't find, goes to
+// dispatch; everything else is answered here.
+
+import { extractOrderNumber } from "../spokenNumbers.js";
+import { setPending } from "../session.js";
+import { isOpenOrder } from "../orderStatus/index.js";
+import { languageOf } from "./language.js";
+import { matchIntent } from "./rules.js";
+
+// Minutes past the promised time before an order counts as late
+const LATE_GRACE_MIN = 10;
+
+// Matched on fold()ed text, after we asked for the order number
+const NO_NUMBER =
+  /\b(i )?(don'?t|do not) (have|know)( it| the (order )?number)?\b|\bno (lo )?(tengo|se)\b|\bno (order )?number\b|\bsin numero\b/;
+
+// One turn. Resolves to null (not about order status) or { text, intent, transfer } — `transfer` means the
+// engine hands the call to dispatch, with `text` said first.
+export async function orderStatusTurn(ctx, session, q, { signal } = {}) {
+  const waiting = session.pending?.slot === "order_number";
+  const asked = matchIntent(ctx.rules, q, languageOf(session))?.handler === "order_status";
+  if (!ctx.orderStatus || (!asked && !waiting)) return null;
+
+  const spoken = extractOrderNumber(q);
+  if (waiting && !spoken) {
+    if (NO_NUMBER.test(q)) return notFound(session, null);
+    if (!asked) return null;
+  }
+  return lookupTurn(ctx, session, { id: spoken || (waiting ? null : session.slots.orderId) }, { signal });
+}
+
+// Keypad digits while we wait for an order number; null otherwise
+export async function orderStatusKeypad(ctx, session, keys, { signal } = {}) {
+  if (!ctx.orderStatus || session.pending?.slot !== "order_number" || keys.length < 4) return null;
+  return lookupTurn(ctx, session, { id: keys.replace(/\D/g, "") }, { signal });
+}
+
+async function lookupTurn(ctx, session, { id }, { signal }) {
+  const es = languageOf(session) === "es";
+  const byPhone = !id;
+  if (byPhone && !session.caller) return askNumber(session);
+
+  let orders;
+  try {
+    orders = await ctx.orderStatus.lookup(byPhone ? { phone: session.caller } : { id }, { signal });
+  } catch (e) {
+    if (signal?.aborted) return { text: null, intent: null, transfer: false }; // barge-in: nothing to say
+    console.error("Order status lookup failed:", e.message);
+    return reply(
+      session,
+      "order_status_unavailable",
+      es
+        ? "No puedo consultar los pedidos en este momento."
+        : "I can’t pull up orders right now.",
+      true
+    );
+  }
+
+  if (!orders.length) {
+    // Nothing under the caller's number: ask for the order number before handing off
+    if (byPhone && session.pending?.slot !== "order_number") return askNumber(session, { tried: true });
+    return notFound(session, id);
+  }
+
+  const open = orders.filter(isOpenOrder);
+  const more =
+    byPhone && open.length > 1
+      ? es
+        ? `Veo ${open.length} pedidos abiertos con este número; este es el más reciente. `
+        : `I see ${open.length} open orders on this number; here’s the latest. `
+      : "";
+  const { text, late } = describe(ctx, orders[0], languageOf(session));
+  session.slots.orderId = orders[0].id;
+  return reply(session, late ? "order_status_late" : "order_status", `${more}${text}`, late);
+}
+
+function askNumber(session, { tried = false } = {}) {
+  const es = languageOf(session) === "es";
+  const lead = tried
+    ? es
+      ? "No encuentro un pedido con el número desde el que nos contacta. "
+      : "I don’t see an order under the number you’re calling from. "
+    : "";
+  const out = reply(
+    session,
+    "order_status_ask",
+    es
+      ? `${lead}¿Cuál es su número de pedido? Puede decirlo o marcarlo con el teclado.`
+      : `${lead}What’s the order number? You can say it or key it in.`
+  );
+  setPending(session, { slot: "order_number", intent: "order_status" });
+  return out;
+}
+
+function notFound(session, id) {
+  const es = languageOf(session) === "es";
+  const n = id ? spokenOrderNumber(id) : null;
+  return reply(
+    session,
+    "order_status_unknown",
+    es
+      ? n
+        ? `No encuentro el pedido ${n}.`
+        : "Sin el número no puedo encontrar el pedido."
+      : n
+        ? `I couldn’t find order ${n}.`
+        : "I can’t find the order without the number.",
+    true
+  );
+}
+
+function reply(session, intent, text, transfer = false) {
+  session.lastIntent = intent;
+  setPending(session, null);
+  return { text, intent, transfer };
+}
+
+// ---------- Reading an order out ----------
+// → { text, late }
+function describe(ctx, order, lang) {
+  const es = lang === "es";
+  const now = ctx.schedule.now();
+  const at = (iso) => ctx.schedule.timeOf(new Date(iso), lang);
+  const minutesUntil = (iso) => Math.ceil((Date.parse(iso) - now.getTime()) / 60000);
+  const n = spokenOrderNumber(order.id);
+  const open = isOpenOrder(order);
+
+  let text;
+  switch (order.status) {
+    case "out_for_delivery": {
+      const driver = order.driver ? (es ? ` con ${order.driver}` : ` with ${order.driver}`) : "";
+      const mins = order.eta ? minutesUntil(order.eta) : null;
+      const eta =
+        mins === null
+          ? "."
+          : mins <= 2
+            ? es
+              ? " y debe llegar en cualquier momento."
+              : ", and should be there any minute."
+            : es
+              ? ` y está a unos ${mins} minutos, cerca de ${at(order.eta)}.`
+              : `, about ${mins} minutes away — around ${at(order.eta)}.`;
+      text = es ? `El pedido ${n} va en camino${driver}${eta}` : `Order ${n} is out for delivery${driver}${eta}`;
+      break;
+    }
+    case "delivered": {
+      const sameDay = order.deliveredAt && ctx.schedule.status(new Date(order.deliveredAt)).at.date === ctx.schedule.status(now).at.date;
+      const when = sameDay ? (es ? ` a ${at(order.deliveredAt)}` : ` at ${at(order.deliveredAt)}`) : "";
+      text = es
+        ? `El pedido ${n} se entregó${when}. Si falta algo, pida hablar con el equipo de entregas.`
+        : `Order ${n} was delivered${when}. If anything’s missing, just ask for dispatch.`;
+      break;
+    }
+    case "cancelled":
+      text = es ? `El pedido ${n} fue cancelado.` : `Order ${n} was cancelled.`;
+      break;
+    case "preparing":
+      text = es ? `Estamos preparando el pedido ${n} en este momento.` : `Order ${n} is being packed now.`;
+      break;
+    case "confirmed":
+      text = es ? `El pedido ${n} está confirmado y en fila para prepararse.` : `Order ${n} is confirmed and in line to be packed.`;
+      break;
+    default:
+      text = es
+        ? `Recibimos el pedido ${n}; un miembro del equipo lo confirmará en breve.`
+        : `Order ${n} has been received, and a team member will confirm it shortly.`;
+  }
+
+  if (open && order.status !== "out_for_delivery" && order.promisedBy && minutesUntil(order.promisedBy) > 0) {
+    text += es ? ` Debe llegar antes de ${at(order.promisedBy)}.` : ` It’s due by ${at(order.promisedBy)}.`;
+  }
+  if (order.issue) {
+    const issue = order.issue.replace(/[.\s]+$/, "");
+    text += es ? ` Un detalle: ${issue}.` : ` One thing to know: ${issue}.`;
+  }
+
+  const due = order.promisedBy ? Date.parse(order.promisedBy) + LATE_GRACE_MIN * 60000 : null;
+  const late = open && !!due && (now.getTime() > due || (!!order.eta && Date.parse(order.eta) > due));
+  if (late) {
+    text += es
+      ? ` Va retrasado: debía llegar antes de ${at(order.promisedBy)}.`
+      : ` It’s running behind: it was due by ${at(order.promisedBy)}.`;
+  }
+  return { text, late };
+}
+
+// "731904" → "7-3-1-9-0-4", read digit by digit
+function spokenOrderNumber(id) {
+  return String(id).split("").join("-");
+}
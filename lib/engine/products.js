@@ -0,0 +1,196 @@
+// lib/engine/products.js — Product questions answered from the menu provider
+// detectProductQuery turns an utterance into a structured query (lib/catalog.js lexicon);
+// productAnswer looks it up and words the reply (in Spanish on a Spanish session), adding any deal the
+// quoted brand has today (lib/engine/specials.js). Items are in the common menu model (lib/menu/model.js).
+
+import { spokenAge } from "../jane.js";
+import { itemPrice, availableTiers, inStockItems } from "../menu/index.js";
+import { parseProductQuery, productLabel, productSearchText, filterMenuItems, categoryLabel } from "../catalog.js";
+import { setPending, clearPending } from "../session.js";
+import { money } from "../format.js";
+import { languageOf } from "./language.js";
+import { offerText, productSms, menuLink } from "./followups.js";
+import { ASKS_DEALS, dealMention } from "./specials.js";
+
+// `q` is free text or a structured product query from detectProductQuery (results then get
+// narrowed by category / size / potency). Resolves to { items, source, ageMs } in the common menu model.
+export async function menuSearch(menu, q, limit = 6, signal) {
+  const structured = q && typeof q === "object" ? q : null;
+  const text = structured ? productSearchText(structured) : q;
+  const res = await menu.search(text, { limit, signal });
+  return structured ? { ...res, items: filterMenuItems(res.items, structured) } : res;
+}
+
+// "Brand Name at $45, …" for the first few in-stock items (priced for `size` when asked)
+export function formatMenuItems(items = [], max = 3, size = null, lang = "en") {
+  const priced = [];
+  for (const it of inStockItems(items)) {
+    const price = money(itemPrice(it, size));
+    if (!price) continue;
+    const brand = it.brand ? `${it.brand} ` : "";
+    priced.push(`${brand}${it.name} ${lang === "es" ? "a" : "at"} ${price}`);
+    if (priced.length >= max) break;
+  }
+  return priced.length ? priced.join(", ") : null;
+}
+
+// Count + price range over in-stock tiers (only the asked-for size when there is one)
+export function summarizeMenuItems(items = [], size = null) {
+  const valid = inStockItems(items);
+  const nums = valid.flatMap((it) => availableTiers(it, size).map((t) => t.price)).sort((a, b) => a - b);
+  if (!nums.length) return { count: valid.length, min: null, max: null };
+  return { count: valid.length, min: nums[0], max: nums[nums.length - 1] };
+}
+
+// Product question → structured query (brand / strain / category / size / potency) via the menu lexicon.
+// Returns { ...parsed, label, query } or null. `query` is null when a brand was named without a category,
+// so the engine can ask which kind and finish on the next turn.
+export function detectProductQuery(text = "", session = null) {
+  // "any deals on STIIIZY?" is for the specials answer
+  if (ASKS_DEALS.test(text)) return null;
+  const q = parseProductQuery(text);
+  const pending = session?.pending;
+  const productQuestion = q.asked || !!q.size || !!q.potency || q.category === "pre-roll";
+
+  // Follow-up: caller answered "flower, vapes, or pre-rolls?"
+  if (!q.brand && q.category && pending?.slot === "category" && pending.brand) {
+    return productQuery({ ...q, brand: pending.brand });
+  }
+
+  // Follow-up: "what about vapes?" right after a product answer (a fresh "do you have gummies?" is not)
+  const followUp = !q.asked || /^(and|also|what about|how about|y|tambien|que tal)\b/.test(text);
+  if (followUp && !q.brand && !q.strain && q.category && session?.lastIntent === "product" && session.slots?.brand) {
+    return productQuery({ ...q, brand: session.slots.brand });
+  }
+
+  if ((q.brand || q.strain || q.category) && productQuestion) return productQuery(q);
+  return null;
+}
+
+function productQuery(q) {
+  const complete = !q.brand || !!(q.category || q.strain || q.size || q.potency);
+  return { ...q, label: productLabel(q), query: complete ? q : null };
+}
+
+// "flower, vapes, or pre-rolls" — limited to what the brand has on the menu when we know
+function categoryChoices(categories = [], lang = "en") {
+  const labels = (categories.length ? categories : ["flower", "vape", "pre-roll"]).map((c) => categoryLabel(c, lang));
+  if (lang === "es") {
+    return labels.length <= 2 ? labels.join(" o ") : `${labels.slice(0, -1).join(", ")} o ${labels[labels.length - 1]}`;
+  }
+  if (labels.length <= 2) return labels.join(" or ");
+  return `${labels.slice(0, -1).join(", ")}, or ${labels[labels.length - 1]}`;
+}
+
+// Reply to a detected product question. `out` collects source / outcome / error for the turn record.
+// Resolves to reply text, or null when `signal` aborted the lookup.
+export async function productAnswer(ctx, session, product, { channel, signal, out }) {
+  const lang = languageOf(session);
+  const es = lang === "es";
+  // Brand without a category: ask, and finish the lookup on the next turn
+  if (!product.query) {
+    session.lastIntent = "product_category";
+    setPending(session, { slot: "category", intent: "product", brand: product.brand });
+    const choices = categoryChoices(product.brandCategories, lang);
+    return es
+      ? `Con gusto reviso ${product.brand}. ¿Busca ${choices}?`
+      : `Happy to check ${product.brand} for you. Are you looking for ${choices}?`;
+  }
+  const label = es ? productLabel(product, "es") : product.label;
+
+  session.lastIntent = "product";
+  session.slots.brand = product.brand || session.slots.brand;
+  session.slots.category = product.category || session.slots.category;
+  clearPending(session);
+
+  if (!ctx.menuEnabled) {
+    if (es) {
+      return product.brand
+        ? `Sí — tenemos ${product.brand}. Vea variedades y precios en crystalnugs.com.`
+        : `Vea el inventario en vivo de ${label} en crystalnugs.com.`;
+    }
+    return product.brand
+      ? `Yes — we carry ${product.brand}. Check crystalnugs.com for varieties and prices.`
+      : `Check crystalnugs.com for live inventory on ${label}.`;
+  }
+
+  // Own controller: a timeout still answers from the snapshot, a barge-in drops the answer
+  const ac = new AbortController();
+  const to = setTimeout(() => ac.abort("timeout"), 5000);
+  const onAbort = () => ac.abort(signal.reason);
+  signal?.addEventListener("abort", onAbort);
+  try {
+    const { items: results, source, ageMs } = await menuSearch(ctx.menu, product.query, 12, ac.signal);
+    out.source = source;
+    // No brand or strain recognized: insights checks whether the caller named one we missed
+    if (!product.brand && !product.strain) out.outcome = "category_only";
+    if (signal?.aborted) return null;
+
+    const list = formatMenuItems(results, 3, product.size, lang);
+    const sum = summarizeMenuItems(results, product.size);
+    if (!sum.count) out.outcome = "not_found";
+
+    const deal = sum.count ? dealMention(ctx, product, lang) : "";
+    const msgOut = `${es ? productReplyEs(label, sum, list) : productReply(label, sum, list)}${deal}`;
+    const stale =
+      source === "snapshot"
+        ? es
+          ? ` Eso es de nuestro menú de hace ${spokenAge(ageMs, "es")}, así que el inventario pudo haber cambiado.`
+          : ` That’s from our menu as of ${spokenAge(ageMs)} ago, so stock may have changed.`
+        : "";
+    const search = productSearchText(product.query);
+    if (channel !== "voice") {
+      return `${msgOut}${stale}${sum.count > 0 ? `\n${menuLink(ctx, search)}` : ""}`;
+    }
+    const sms = sum.count > 0 ? productSms(ctx, label, search, results, product.size, lang) : null;
+    return offerText(ctx, session, `${msgOut}${stale}`, sms);
+  } catch (e) {
+    if (signal?.aborted) {
+      console.log("Menu lookup cancelled:", signal.reason);
+      return null;
+    }
+    console.error("Menu lookup error:", e.message);
+    out.error = `menu: ${e.message}`;
+    // Nice fallback: still answer yes generically if brand matched
+    if (es) {
+      return product.brand
+        ? `Sí — tenemos ${product.brand}. Puede ver las variedades y precios actuales en crystalnugs.com.`
+        : "No pude conectar con nuestro menú en vivo. Consulte crystalnugs.com para ver el inventario actual.";
+    }
+    return product.brand
+      ? `Yes — we carry ${product.brand}. You can check current varieties and prices at crystalnugs.com.`
+      : "I couldn’t reach our live menu just now. Please check crystalnugs.com for current stock.";
+  } finally {
+    clearTimeout(to);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// "Yes — we carry STIIIZY vapes. I’m seeing about 4 items right now. …"
+function productReply(label, sum, list) {
+  if (!sum.count) return `I didn’t see ${label} available right now. Please check crystalnugs.com for live inventory.`;
+  const minS = money(sum.min);
+  const maxS = money(sum.max);
+  let headline = `I’m seeing about ${sum.count} items right now.`;
+  if (minS && maxS && minS !== maxS) headline += ` Current price range is ${minS} to ${maxS}.`;
+  else if (minS) headline += ` Current price is around ${minS}.`;
+  else headline += " Pricing varies by strain.";
+  return list
+    ? `Yes — we carry ${label}. ${headline} Top picks: ${list}. You can order at crystalnugs.com.`
+    : `Yes — we carry ${label}. ${headline} You can check varieties and prices at crystalnugs.com.`;
+}
+
+function productReplyEs(label, sum, list) {
+  if (!sum.count) {
+    return `No veo ${label} disponible en este momento. Consulte crystalnugs.com para ver el inventario en vivo.`;
+  }
+  const minS = money(sum.min);
+  const maxS = money(sum.max);
+  let headline = `Veo unos ${sum.count} productos en este momento.`;
+  if (minS && maxS && minS !== maxS) headline += ` Los precios van de ${minS} a ${maxS}.`;
+  else if (minS) headline += ` El precio es de alrededor de ${minS}.`;
+  else headline += " El precio varía según la variedad.";
+  return list
+    ? `Sí — tenemos ${label}. ${headline} Recomendados: ${list}. Puede ordenar en crystalnugs.com.`
+    : `Sí — tenemos ${label}. ${headline} Puede ver variedades y precios en crystalnugs.com.`;
+}
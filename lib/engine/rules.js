@@ -0,0 +1,184 @@
+// lib/engine/rules.js — FAQ/intent rules: a data file of phrases and answers, matched by score
+// Config lives in data/intents.json (override with CN_INTENTS_FILE):
+//   minScore                                   score an intent needs before it answers (default 1)
+//   intents: [{
+//     id,                                      session.lastIntent when it answers
+//     priority,                                breaks ties between equal scores (higher wins)
+//     keywords: ["opening hours", …],          whole words or phrases; each hit scores its word count
+//     patterns: ["\\bwhat time\\b", …],        regexes; each hit scores 2
+//     negatives: ["\\bselling\\b", …],         any hit rules the intent out
+//     examples: ["what time do you close", …], a close paraphrase scores up to 2; every one is also checked
+//                                              by scripts/check-intents.js
+//     minScore,                                per-intent override
+//     answer: "{idRules} {medPatients}",       template over the business facts (factsFor) and the
+//                                              engine's extras ({openNow}, {hours}, {lastCall}, {footer})
+//     text: { kind, body, link },              optional "Want me to text that to you?" offer, templates too
+//     handler: "transfer" | "delivery" | "specials" | "order" | "order_status",   answered in code (live
+//                                              transfer; ZIP-aware quote; today's deals; phone order on calls;
+//                                              order lookup) instead — the last three fall back to `answer`
+//                                              (no deals, texts, ordering off, no order-status provider)
+//     es: { keywords, patterns, negatives, examples, answer, text }   the same for Spanish calls
+//   }]
+// Matching runs on folded text (lowercase, no accents or apostrophes, punctuation as spaces), so keywords
+// and patterns are written that way: "whats", "direccion". Intents without an `es` section match Spanish
+// calls with the English lists.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { fold } from "./language.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+const DEFAULT_FILE = path.join(ROOT, "data", "intents.json");
+
+export const HANDLERS = ["transfer", "delivery", "specials", "order", "order_status"];
+
+const PATTERN_SCORE = 2;
+const EXAMPLE_SCORE = 2;
+const EXAMPLE_MIN_OVERLAP = 0.6;
+
+// Words that say nothing about what the caller wants ("what do you …")
+const FILLER = new Set(
+  ("a an the do does did you your youre i im me my is are was to of for in on at we our it its can could will " +
+    "would please and or what how hi hey hello ok okay so just like um uh " +
+    "el la los las un una de del en y o que me mi su es son por para se lo le usted ustedes hola")
+    .split(" ")
+);
+
+export function loadIntentRules(file = process.env.CN_INTENTS_FILE || DEFAULT_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(path.resolve(ROOT, file), "utf8"));
+    if (!Array.isArray(config.intents)) throw new Error("no intents array");
+  } catch (e) {
+    console.error("Intent rules load failed, local answers are off:", e.message);
+    config = { intents: [] };
+  }
+  const rules = compileRules(config);
+  for (const problem of rules.problems) console.error("Intent rules:", problem);
+  return rules;
+}
+
+// Regexes compiled and lists normalized once; bad entries are skipped and listed in `problems`
+export function compileRules(config = {}) {
+  const problems = [];
+  const seen = new Set();
+  const intents = [];
+
+  for (const [i, raw] of (config.intents || []).entries()) {
+    const id = raw?.id;
+    if (!id) {
+      problems.push(`intent #${i + 1} has no id`);
+      continue;
+    }
+    if (seen.has(id)) problems.push(`${id}: duplicate id (the first one wins ties)`);
+    seen.add(id);
+    if (raw.handler && !HANDLERS.includes(raw.handler)) problems.push(`${id}: unknown handler "${raw.handler}"`);
+    if (!raw.handler && !raw.answer) problems.push(`${id}: needs an answer or a handler`);
+
+    const side = (src, lang) => ({
+      keywords: (src.keywords || []).map((k) => normalize(k)).filter(Boolean),
+      patterns: compileList(src.patterns, `${id}.${lang}.patterns`, problems),
+      negatives: compileList(src.negatives, `${id}.${lang}.negatives`, problems),
+      examples: (src.examples || []).map((e) => ({ text: e, words: contentWords(normalize(e)) })),
+    });
+    const en = side(raw, "en");
+    intents.push({
+      id,
+      priority: Number(raw.priority) || 0,
+      minScore: Number(raw.minScore) || Number(config.minScore) || 1,
+      handler: raw.handler || null,
+      answer: { en: raw.answer || null, es: raw.es?.answer || raw.answer || null },
+      text: raw.text ? { en: raw.text, es: { ...raw.text, ...(raw.es?.text || {}) } } : null,
+      en,
+      es: raw.es ? side(raw.es, "es") : en,
+    });
+  }
+  return { intents, problems };
+}
+
+function compileList(list = [], where, problems) {
+  const out = [];
+  for (const src of list) {
+    try {
+      out.push(new RegExp(src));
+    } catch (e) {
+      problems.push(`${where}: ${e.message}`);
+    }
+  }
+  return out;
+}
+
+// "¿What's the ID rule?" → "whats the id rule"
+export function normalize(text = "") {
+  return fold(text)
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9+\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function contentWords(text) {
+  return [...new Set(text.split(" ").filter((w) => w && !FILLER.has(w)))];
+}
+
+// Every intent that scored, best first: [{ id, score, priority, handler, hits }]
+export function rankIntents(rules, q = "", lang = "en") {
+  const text = normalize(q);
+  const padded = ` ${text} `;
+  const words = new Set(contentWords(text));
+  const ranked = [];
+
+  for (const intent of rules?.intents || []) {
+    const side = intent[lang === "es" ? "es" : "en"];
+    if (side.negatives.some((re) => re.test(text))) continue;
+
+    let score = 0;
+    const hits = [];
+    for (const k of side.keywords) {
+      if (padded.includes(` ${k} `)) {
+        score += k.split(" ").length;
+        hits.push(k);
+      }
+    }
+    for (const re of side.patterns) {
+      if (re.test(text)) {
+        score += PATTERN_SCORE;
+        hits.push(`/${re.source}/`);
+      }
+    }
+    let best = 0;
+    let example = null;
+    for (const e of side.examples) {
+      if (!e.words.length) continue;
+      const overlap = e.words.filter((w) => words.has(w)).length / e.words.length;
+      if (overlap > best) [best, example] = [overlap, e.text];
+    }
+    if (best >= EXAMPLE_MIN_OVERLAP) {
+      score += EXAMPLE_SCORE * best;
+      hits.push(`"${example}"`);
+    }
+
+    if (score >= intent.minScore) {
+      ranked.push({ id: intent.id, score: Math.round(score * 100) / 100, priority: intent.priority, handler: intent.handler, hits });
+    }
+  }
+  return ranked.sort((a, b) => b.score - a.score || b.priority - a.priority);
+}
+
+// The intent that answers `q`, or null
+export function matchIntent(rules, q = "", lang = "en") {
+  const top = rankIntents(rules, q, lang)[0];
+  return top ? rules.intents.find((i) => i.id === top.id) : null;
+}
+
+// "{idRules}" → vars.idRules; unknown fields are left as written so a typo shows up in the reply and the check
+export function renderTemplate(template = "", vars = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (m, k) =>
+    vars[k] === undefined || vars[k] === null || typeof vars[k] === "object" ? m : String(vars[k])
+  );
+}
+
+export function templateFields(template = "") {
+  return [...String(template).matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+}
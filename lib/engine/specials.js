@@ -0,0 +1,88 @@
+// lib/engine/specials.js — Today's deals from the specials feed (lib/specials.js), read out to the caller
+// ctx.specials.dealsOn(day, { brand, category }) gives the deals running on a store-local day; the
+// "specials" rule in data/intents.json hands its matches here and keeps its {specials} answer for days
+// with no deals on file. Product answers add a line when the quoted brand has a deal of its own.
+
+import { parseProductQuery, productLabel } from "../catalog.js";
+import { languageOf } from "./language.js";
+import { smsFooter } from "./followups.js";
+
+// "any deals on STIIIZY?" goes to the specials answer, not the menu lookup (matched on fold()ed text)
+export const ASKS_DEALS =
+  /\b(deals?|specials?|discounts?|promos?|promotions?|on sale|ofertas?|especiales|descuentos?|promocion(es)?)\b/;
+
+// Read out on a call; the rest are on the website and in the text
+const MAX_SPOKEN = 3;
+
+// "20% off all STIIIZY pods (while supplies last)" in the session's language
+export function dealLine(deal, lang = "en") {
+  const es = lang === "es";
+  const title = ((es && deal.titleEs) || deal.title).replace(/[.\s]+$/, "");
+  const fine = (es && deal.finePrintEs) || deal.finePrint;
+  return fine ? `${title} (${fine.replace(/[.\s]+$/, "")})` : title;
+}
+
+function today(ctx) {
+  return ctx.schedule.status().at;
+}
+
+// { text, sms } for the specials intent, or null when nothing is running today (the rule's template answers then)
+export function specialsAnswer(ctx, session, q) {
+  const lang = languageOf(session);
+  const es = lang === "es";
+  const { brand, category } = parseProductQuery(q);
+  const all = ctx.specials.dealsOn(today(ctx));
+  if (!all.length) return null;
+
+  const target = brand || category ? { brand, category } : null;
+  const deals = target ? ctx.specials.dealsOn(today(ctx), target) : all;
+  // Storewide deals apply to everything, so they only answer "any deals on X?" when X has none of its own
+  const specific = deals.filter((d) => d.brands.length || d.categories.length);
+  const label = target ? productLabel(target, lang) : null;
+  const spoken = (list) => {
+    const lines = list.slice(0, MAX_SPOKEN).map((d) => dealLine(d, lang));
+    const more = list.length - lines.length;
+    const tail = more > 0 ? (es ? ` Y ${more} más en crystalnugs.com.` : ` Plus ${more} more at crystalnugs.com.`) : "";
+    return `${lines.join(". ")}.${tail}`;
+  };
+
+  let text;
+  if (!target) {
+    text = es ? `Las ofertas de hoy: ${spoken(deals)}` : `Here are today’s deals: ${spoken(deals)}`;
+  } else if (specific.length) {
+    text = es
+      ? `Sí — hoy hay ${specific.length === 1 ? "una oferta" : "ofertas"} en ${label}: ${spoken(specific)}`
+      : `Yes — there’s ${specific.length === 1 ? "a deal" : "deals"} on ${label} today: ${spoken(specific)}`;
+  } else {
+    text = es
+      ? `Hoy no hay oferta en ${label}, pero estas son las ofertas de hoy: ${spoken(all)}`
+      : `There’s no deal on ${label} today, but here’s what is on: ${spoken(all)}`;
+  }
+
+  const { dealsLink } = ctx.facts;
+  const written = (target && specific.length ? specific : all).map((d) => `• ${dealLine(d, lang)}`).join("\n");
+  return {
+    text,
+    sms: {
+      kind: "specials",
+      body: es
+        ? `Ofertas de hoy en Crystal Nugs:\n${written}\n${dealsLink}\n${smsFooter(lang)}`
+        : `Today’s Crystal Nugs deals:\n${written}\n${dealsLink}\n${smsFooter(lang)}`,
+      link: `${es ? "Ofertas" : "Deals"}: ${dealsLink}`,
+    },
+  };
+}
+
+// " Good news — STIIIZY has a deal today: …" for a product answer; only deals naming the brand,
+// so a storewide deal isn't repeated on every product question
+export function dealMention(ctx, product, lang = "en") {
+  if (!product.brand) return "";
+  const deals = ctx.specials
+    .dealsOn(today(ctx), { brand: product.brand, category: product.category })
+    .filter((d) => d.brands.length);
+  if (!deals.length) return "";
+  const line = dealLine(deals[0], lang);
+  return lang === "es"
+    ? ` Buenas noticias — hoy hay una oferta en ${product.brand}: ${line}.`
+    : ` Good news — ${product.brand} has a deal today: ${line}.`;
+}
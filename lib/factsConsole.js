@@ -0,0 +1,144 @@
+// lib/factsConsole.js — The /admin/facts/console page: edit business facts in a browser
+// One static page on top of the /admin/facts API. The browser's Basic auth prompt does the login:
+// any username (recorded in the audit trail as who made the change), CN_ADMIN_TOKEN as the password.
+// Changes go out as JSON with X-Requested-With, which the write routes require (requireAdminWrite).
+// Values are put into the page with textContent/value only, never as HTML.
+
+export function factsConsolePage() {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Crystal Nugs — business facts</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #1b1b1b; }
+  h1 { font-size: 1.4rem; } h2 { font-size: 1.1rem; margin-top: 2rem; }
+  .fact { border-top: 1px solid #ddd; padding: .75rem 0; }
+  .fact header { display: flex; gap: .5rem; align-items: baseline; }
+  .fact header b { font-family: ui-monospace, monospace; }
+  .meta { color: #666; font-size: 12px; }
+  .lang { display: grid; grid-template-columns: 2.5rem 1fr auto; gap: .5rem; margin-top: .4rem; align-items: start; }
+  textarea { width: 100%; min-height: 3.2em; font: inherit; box-sizing: border-box; }
+  textarea.dirty { outline: 2px solid #f0b400; }
+  button { font: inherit; cursor: pointer; }
+  #status { position: sticky; top: 0; background: #effaf0; padding: .4rem .6rem; display: none; }
+  #status.error { background: #fdeaea; }
+  form.new { display: grid; grid-template-columns: 12rem 4rem 1fr auto; gap: .5rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  td { border-top: 1px solid #eee; padding: .3rem; vertical-align: top; }
+</style>
+</head>
+<body>
+<div id="status"></div>
+<h1>Business facts</h1>
+<p class="meta">Saved changes apply to the next reply on every live call and text. Revert drops an edit and goes back to the environment value.</p>
+<div id="facts">Loading…</div>
+
+<h2>Add a fact</h2>
+<p class="meta">Use it in an answer template in data/intents.json as {yourKey}; the assistant also sees it.</p>
+<form class="new" id="new">
+  <input name="key" placeholder="covidPolicy" required pattern="[a-z][a-zA-Z0-9]{1,40}">
+  <select name="lang"><option>en</option><option>es</option></select>
+  <textarea name="value" placeholder="What callers should hear" required></textarea>
+  <button>Add</button>
+</form>
+
+<h2>Recent changes</h2>
+<table id="audit"></table>
+
+<script>
+const api = (path, opts = {}) =>
+  fetch("/admin/facts" + path, {
+    credentials: "same-origin",
+    headers: { "content-type": "application/json", "x-requested-with": "fetch" },
+    ...opts,
+  })
+    .then(async (r) => {
+      const body = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(body.error || r.statusText);
+      return body;
+    });
+
+function show(message, error = false) {
+  const el = document.getElementById("status");
+  el.textContent = message;
+  el.className = error ? "error" : "";
+  el.style.display = "block";
+}
+
+function el(tag, props = {}, ...children) {
+  const node = Object.assign(document.createElement(tag), props);
+  for (const c of children) node.append(c);
+  return node;
+}
+
+function when(row) {
+  return row.source === "admin" ? "edited by " + row.actor + " " + new Date(row.at).toLocaleString() : "from the environment";
+}
+
+function langRow(key, lang, row) {
+  const box = el("textarea", { value: row ? row.value : "", placeholder: lang === "es" ? "(English is used)" : "", disabled: !!row?.readOnly });
+  box.oninput = () => box.classList.toggle("dirty", box.value !== (row ? row.value : ""));
+  const save = el("button", { textContent: "Save", disabled: !!row?.readOnly });
+  save.onclick = () =>
+    api("/" + key, { method: "PUT", body: JSON.stringify({ lang, value: box.value }) })
+      .then(() => { show("Saved " + key + " (" + lang + ")"); load(); })
+      .catch((e) => show(e.message, true));
+  const actions = el("div", {}, save);
+  if (row?.source === "admin") {
+    const revert = el("button", { textContent: "Revert" });
+    revert.onclick = () =>
+      api("/" + key + "?lang=" + lang, { method: "DELETE" })
+        .then(() => { show("Reverted " + key + " (" + lang + ")"); load(); })
+        .catch((e) => show(e.message, true));
+    actions.append(" ", revert);
+  }
+  return el("div", { className: "lang" }, el("span", { className: "meta", textContent: lang }), box, actions);
+}
+
+async function load() {
+  const { facts } = await api("");
+  const byKey = new Map();
+  for (const row of facts) {
+    if (!byKey.has(row.key)) byKey.set(row.key, {});
+    byKey.get(row.key)[row.lang] = row;
+  }
+  const list = document.getElementById("facts");
+  list.replaceChildren();
+  for (const [key, rows] of byKey) {
+    const first = rows.en || rows.es;
+    const notes = ["en", "es"].filter((l) => rows[l]).map((l) => l + ": " + when(rows[l])).join(" · ");
+    list.append(
+      el("section", { className: "fact" },
+        el("header", {}, el("b", { textContent: key }), el("span", { className: "meta", textContent: (first.builtIn ? "" : "added · ") + (first.readOnly ? "environment only · " : "") + notes })),
+        langRow(key, "en", rows.en),
+        langRow(key, "es", rows.es))
+    );
+  }
+  const { changes } = await api("/audit?limit=50");
+  const table = document.getElementById("audit");
+  table.replaceChildren(
+    ...changes.map((c) =>
+      el("tr", {},
+        el("td", { textContent: new Date(c.at).toLocaleString() }),
+        el("td", { textContent: c.actor }),
+        el("td", { textContent: c.action + " " + c.key + " (" + c.lang + ")" }),
+        el("td", { textContent: c.after ?? "(removed)" }))
+    )
+  );
+}
+
+document.getElementById("new").onsubmit = (e) => {
+  e.preventDefault();
+  const form = new FormData(e.target);
+  api("", { method: "POST", body: JSON.stringify(Object.fromEntries(form)) })
+    .then(() => { show("Added " + form.get("key")); e.target.reset(); load(); })
+    .catch((err) => show(err.message, true));
+};
+
+load().catch((e) => show(e.message, true));
+</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,188 @@
+// lib/factsStore.js — Business facts staff edit at runtime (/admin/facts), with an audit trail
+// Edits are kept in CN_FACTS_FILE (default data/facts.json) on top of lib/engine/facts.js's env/default values:
+//   { "en": { "specials": { value, at, actor } }, "es": { "specials": { … } } }
+// A key that isn't a built-in fact is a new one: answer templates in data/intents.json can use it
+// ("{covidPolicy}") and the OpenAI prompt lists it under its own name.
+// Every change is appended to CN_FACTS_AUDIT_FILE (default data/facts-audit.jsonl):
+//   { at, actor, action: "create" | "update" | "delete", key, lang, before, after }
+// currentFacts() is what the engine reads on every turn, so an edit applies to the next reply on live calls.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadFacts } from "./engine/facts.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const storeFile = () => path.resolve(ROOT, process.env.CN_FACTS_FILE || "data/facts.json");
+const auditFile = () => path.resolve(ROOT, process.env.CN_FACTS_AUDIT_FILE || "data/facts-audit.jsonl");
+
+export const FACT_LANGS = ["en", "es"];
+// Wired into routing and Twilio (env only)
+const READ_ONLY = new Set(["transferNumber"]);
+const MAX_LENGTH = 2000;
+
+let defaults = null; // loadFacts() on first use, after .env is loaded
+let edits = { en: {}, es: {} };
+let merged = null;
+let writing = Promise.resolve();
+
+// ---------- Load ----------
+export function loadFactsStore({ facts = loadFacts(), file = storeFile() } = {}) {
+  defaults = facts;
+  edits = { en: {}, es: {} };
+  merged = null;
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const lang of FACT_LANGS) edits[lang] = saved?.[lang] && typeof saved[lang] === "object" ? saved[lang] : {};
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error("Facts store load failed, using env/default facts:", e.message);
+  }
+  const count = FACT_LANGS.reduce((n, lang) => n + Object.keys(edits[lang]).length, 0);
+  if (count) console.log(`Loaded ${count} edited facts from ${path.relative(ROOT, file)}`);
+  return count;
+}
+
+// The facts the engine answers from: env/defaults with every edit applied (Spanish ones under `es`)
+export function currentFacts() {
+  if (merged) return merged;
+  const pick = (lang) => Object.fromEntries(Object.entries(edits[lang]).map(([k, e]) => [k, e.value]));
+  merged = { ...base(), ...pick("en"), es: { ...(base().es || {}), ...pick("es") } };
+  return merged;
+}
+
+function base() {
+  defaults ??= loadFacts();
+  return defaults;
+}
+
+function baseValue(key, lang) {
+  return lang === "es" ? base().es?.[key] : base()[key];
+}
+
+function isBuiltIn(key) {
+  return (key in base() && key !== "es") || key in (base().es || {});
+}
+
+// ---------- Query ----------
+// One row per key and language: [{ key, lang, value, source: "admin" | "config", builtIn, at, actor }]
+export function listFacts() {
+  const keys = new Set(Object.keys(base()).filter((k) => typeof base()[k] === "string"));
+  for (const k of Object.keys(base().es || {})) keys.add(k);
+  for (const lang of FACT_LANGS) for (const k of Object.keys(edits[lang])) keys.add(k);
+
+  const rows = [];
+  for (const key of [...keys].sort()) {
+    for (const lang of FACT_LANGS) {
+      const row = getFact(key, lang);
+      if (row) rows.push(row);
+    }
+  }
+  return rows;
+}
+
+export function getFact(key, lang = "en") {
+  const edit = edits[lang]?.[key];
+  const value = edit ? edit.value : baseValue(key, lang);
+  if (value === undefined) return null;
+  return {
+    key,
+    lang,
+    value,
+    source: edit ? "admin" : "config",
+    builtIn: isBuiltIn(key),
+    readOnly: READ_ONLY.has(key),
+    at: edit?.at || null,
+    actor: edit?.actor || null,
+  };
+}
+
+// Newest first; `key` narrows to one fact
+export function factsAudit({ limit = 100, key } = {}) {
+  let lines = [];
+  try {
+    lines = fs.readFileSync(auditFile(), "utf8").split("\n").filter(Boolean);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error("Facts audit read failed:", e.message);
+  }
+  const out = [];
+  for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+    try {
+      const evt = JSON.parse(lines[i]);
+      if (!key || evt.key === key) out.push(evt);
+    } catch {
+      // a torn last line from a crash
+    }
+  }
+  return out;
+}
+
+// ---------- Change ----------
+// { ok: true, fact } or { ok: false, status, error } for the admin routes to pass on
+export function setFact(key, value, { lang = "en", actor = "admin", create = false } = {}) {
+  const problem = checkEdit(key, lang) || checkValue(value);
+  if (problem) return { ok: false, status: 400, error: problem };
+  const before = getFact(key, lang);
+  if (create && before) return { ok: false, status: 409, error: `${key} (${lang}) already exists` };
+  // Updating covers a language the key doesn't have yet ("address" in Spanish); creating is for new keys
+  const known = before || isBuiltIn(key) || FACT_LANGS.some((l) => edits[l][key]);
+  if (!create && !known) return { ok: false, status: 404, error: `No fact ${key} — create it first` };
+
+  const text = String(value).trim();
+  edits[lang][key] = { value: text, at: new Date().toISOString(), actor };
+  changed({ actor, action: before ? "update" : "create", key, lang, before: before?.value ?? null, after: text });
+  return { ok: true, fact: getFact(key, lang) };
+}
+
+// Drops the edit: built-in facts go back to their env/default value, new ones are removed
+export function deleteFact(key, { lang = "en", actor = "admin" } = {}) {
+  const problem = checkEdit(key, lang);
+  if (problem) return { ok: false, status: 400, error: problem };
+  const edit = edits[lang][key];
+  if (!edit) {
+    return getFact(key, lang)
+      ? { ok: false, status: 409, error: `${key} (${lang}) has no edit to remove — it comes from the environment` }
+      : { ok: false, status: 404, error: `No fact ${key} (${lang})` };
+  }
+  delete edits[lang][key];
+  const after = getFact(key, lang);
+  changed({ actor, action: "delete", key, lang, before: edit.value, after: after?.value ?? null });
+  return { ok: true, fact: after };
+}
+
+function checkEdit(key, lang) {
+  if (!FACT_LANGS.includes(lang)) return `lang must be one of ${FACT_LANGS.join(", ")}`;
+  if (!/^[a-z][a-zA-Z0-9]{1,40}$/.test(String(key || ""))) return "key must be camelCase letters and digits, like covidPolicy";
+  if (key === "es") return "es is reserved — pass lang: \"es\" instead";
+  if (READ_ONLY.has(key)) return `${key} is set in the environment only`;
+  if (key === "hours") return "hours come from the schedule (data/schedule.json), not from facts";
+  return null;
+}
+
+function checkValue(value) {
+  if (typeof value !== "string" || !value.trim()) return "value must be a non-empty string";
+  if (value.length > MAX_LENGTH) return `value is longer than ${MAX_LENGTH} characters`;
+  return null;
+}
+
+function changed(evt) {
+  merged = null;
+  save();
+  const line = `${JSON.stringify({ at: new Date().toISOString(), ...evt })}\n`;
+  const file = auditFile();
+  writing = writing
+    .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+    .then(() => fs.promises.appendFile(file, line))
+    .catch((e) => console.error("Facts audit write failed:", e.message));
+  console.log(`Fact ${evt.action}: ${evt.key} (${evt.lang}) by ${evt.actor}`);
+}
+
+function save() {
+  const file = storeFile();
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(edits, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (e) {
+    console.error("Facts store save failed:", e.message);
+  }
+}
@@ -0,0 +1,162 @@
+// lib/format.js — Turning engine replies into speech (relay) or text (SMS)
+// Engine replies are plain text with real links ("crystalnugs.com") and spelled-out emails;
+// the relay runs them through brandVoice, /twilio/sms through toWrittenText.
+// Spanish replies (lang "es") are spoken with "punto com" / "arroba", spelled-out ZIPs after "código postal"
+// and prices read as dólares. With SSML on (the persona's ssml.enabled, or CN_USE_SSML=true) spoken replies
+// are wrapped in the persona's prosody, with a lightly emphasized lead and a pause between sentences.
+
+const useSsml = () => String(process.env.CN_USE_SSML || "false").toLowerCase() === "true";
+
+// ---------- Numbers ----------
+// "+19167019777" → "9-1-6, 7-0-1, 9-7-7-7"
+export function speakPhone(e164 = "+19167019777") {
+  const digits = String(e164).replace(/[^\d]/g, "");
+  const parts =
+    digits.startsWith("1") && digits.length === 11
+      ? [digits.slice(1, 4), digits.slice(4, 7), digits.slice(7)]
+      : digits.length === 10
+      ? [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6)]
+      : [digits];
+  return parts
+    .map((seg, i) => seg.split("").join("-") + (i < parts.length - 1 ? "," : ""))
+    .join(" ")
+    .trim();
+}
+
+// "+19167019777" → "(916) 701-9777" for written replies
+export function writtenPhone(e164 = "") {
+  const d = String(e164).replace(/[^\d]/g, "").replace(/^1(?=\d{10}$)/, "");
+  return d.length === 10 ? `(${d.slice(0, 3)}) ${d.slice(3, 6)}-${d.slice(6)}` : e164;
+}
+
+export function speakZip(zip = "") {
+  const z = String(zip).replace(/[^\d]/g, "").slice(0, 5);
+  return z.split("").join("-");
+}
+
+export function formatMoney(n) {
+  const num = Number(n);
+  if (Number.isNaN(num)) return String(n);
+  const s = num.toFixed(2);
+  return s.endsWith(".00") ? `$${parseInt(s, 10)}` : `$${s}`;
+}
+
+// Menu prices: null for missing or zero
+export function money(num) {
+  if (!Number.isFinite(num) || num <= 0) return null;
+  const s = num.toFixed(2);
+  return s.endsWith(".00") ? `$${parseInt(s, 10)}` : `$${s}`;
+}
+
+// "$1.99" → "1 dólar con 99 centavos", "$40" → "40 dólares" (Spanish TTS reads "$1.99" as a decimal)
+export function speakMoneyEs(amount = "") {
+  const [whole, cents = "00"] = String(amount).replace(/[$,]/g, "").split(".");
+  const n = Number(whole);
+  const head = `${n} ${n === 1 ? "dólar" : "dólares"}`;
+  return Number(cents) ? `${head} con ${Number(cents)} centavos` : head;
+}
+
+export function capitalize(s = "") {
+  return s ? s[0].toUpperCase() + s.slice(1) : s;
+}
+
+// ---------- Spoken ----------
+export function toSpokenText(text = "", lang = "en") {
+  if (!text) return "";
+  if (lang === "es") return toSpokenSpanish(text);
+  let out = String(text);
+  out = out.replace(/https?:\/\/(www\.)?crystalnugs\.com\/?/gi, "Crystal Nugs dot com");
+  out = out.replace(/\bwww\.crystalnugs\.com\b/gi, "Crystal Nugs dot com");
+  out = out.replace(/\bcrystalnugs\.com\b/gi, "Crystal Nugs dot com");
+  out = out.replace(
+    /\b([a-z0-9._%+-]+)@crystalnugs\.com\b/gi,
+    (_m, user) => `${user} at crystal nugs dot com`
+  );
+  out = out.replace(/https?:\/\//gi, "");
+  out = out.replace(/\bZIP (\d{5})\b/g, (_m, zip) => `ZIP ${speakZip(zip)}`);
+  out = out.replace(/\(\d{3}\) \d{3}-\d{4}/g, (m) => speakPhone(m));
+  return out;
+}
+
+function toSpokenSpanish(text) {
+  let out = String(text);
+  out = out.replace(/\b([a-z0-9._%+-]+)@crystalnugs\.com\b/gi, (_m, user) => `${user} arroba Crystal Nugs punto com`);
+  out = out.replace(/(https?:\/\/)?(www\.)?crystalnugs\.com(\/[^\s]*[^\s.,;])?\/?/gi, "Crystal Nugs punto com");
+  out = out.replace(/https?:\/\//gi, "");
+  out = out.replace(/\b(código postal|ZIP) (\d{5})\b/gi, (_m, word, zip) => `${word} ${speakZip(zip)}`);
+  out = out.replace(/\(\d{3}\) \d{3}-\d{4}/g, (m) => speakPhone(m));
+  out = out.replace(/\$\d+(,\d{3})*(\.\d{2})?/g, (m) => speakMoneyEs(m));
+  return out;
+}
+
+// Brand voice: plain or SSML, in the reply's language
+// `style` is the persona's { ssml, prosody: { rate, pitch, volume }, breakMs, emphasisWords } (lib/persona.js)
+export function brandVoice(raw = "", lang = "en", style = {}) {
+  const cleaned = toSpokenText(raw, lang).trim();
+
+  if (!(style.ssml ?? useSsml())) {
+    return cleaned
+      .replace(/\s+/g, " ")
+      .replace(/\s-\s/g, " — ")
+      .replace(/:\s+/g, ": ")
+      .replace(/,{2,}/g, ",")
+      .replace(/\.\s*\./g, ".")
+      .replace(/\s{2,}/g, " ");
+  }
+
+  const parts = cleaned
+    .split(/(?<=[\.\?!])\s+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const { prosody = DEFAULT_PROSODY, breakMs = 240, emphasisWords = 3 } = style;
+  const ssmlBody = parts
+    .map((s) => (emphasisWords > 0 ? emphasisLead(s, emphasisWords) : escapeSSML(s)))
+    .join(breakMs > 0 ? `<break time="${breakMs}ms"/>` : " ");
+  const attrs = Object.entries(prosody)
+    .filter(([k, v]) => /^(rate|pitch|volume)$/.test(k) && v)
+    .map(([k, v]) => `${k}="${escapeSSML(String(v).replace(/"/g, ""))}"`)
+    .join(" ");
+  if (!attrs) return `<speak>${ssmlBody}</speak>`;
+
+  return `<speak>
+    <prosody ${attrs}>
+      ${ssmlBody}
+    </prosody>
+  </speak>`;
+}
+
+const DEFAULT_PROSODY = { rate: "fast", pitch: "+8%", volume: "medium" };
+
+function emphasisLead(sentence = "", n = 3) {
+  const tokens = sentence.split(/\s+/).filter(Boolean);
+  const lead = tokens.slice(0, n).join(" ");
+  const tail = tokens.slice(n).join(" ");
+  const leadEsc = escapeSSML(lead);
+  const tailEsc = escapeSSML(tail);
+  return tail
+    ? `<emphasis level="moderate">${leadEsc}</emphasis> ${tailEsc}`
+    : `<emphasis level="moderate">${leadEsc}</emphasis>`;
+}
+
+function escapeSSML(str = "") {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// ---------- Written ----------
+// Written replies (SMS): real links and email addresses instead of the spoken forms
+export function toWrittenText(text = "", { website = "https://www.crystalnugs.com" } = {}) {
+  if (!text) return "";
+  let out = String(text);
+  // "chris at crystal nugs dot com — that's C-H-R-I-S at crystal nugs dot com —" → "chris@crystalnugs.com"
+  out = out.replace(/\s*—\s*that['’]s (?:[A-Z]-)+[A-Z] at crystal nugs dot com\s*—?\s*/gi, " ");
+  out = out.replace(/\b([a-z0-9._%+-]+) at crystal nugs dot com\b/gi, (_m, user) => `${user.toLowerCase()}@crystalnugs.com`);
+  out = out.replace(/\bcrystal nugs dot com\b/gi, "crystalnugs.com");
+  out = out.replace(/(^|[\s(])(?:www\.)?crystalnugs\.com\b(?!\/)/gi, (_m, pre) => `${pre}${website}`);
+  // Spelled-out digits ("9-5-8-1-6") read as a plain ZIP
+  out = out.replace(/\b\d(?:-\d){4}\b/g, (m) => m.replace(/-/g, ""));
+  return out;
+}
@@ -0,0 +1,127 @@
+// lib/insights.js — What callers ask that we don't answer well
+// Takes stored turns (lib/callStore.js) and groups the ones that fell through to the OpenAI fallback,
+// came back "I didn't see that available", or named a product we didn't recognize, into clusters of
+// similar wording, so it's clear which local intents and brands to add next.
+
+import { detectCategory, detectSize } from "./catalog.js";
+import { fold } from "./engine/language.js";
+
+const STOPWORDS = new Set(
+  ("a an and any are at be but by can could do does did for from get got have how i im i'm in is it its " +
+    "just me my of on or our please right so some that the then there they this to uh um up us was we " +
+    "what whats what's when where which who will with would you your yall y'all hi hello hey yes yeah okay ok " +
+    // Spanish, accent-free like the fold()ed text
+    "el la los las un una unos unas de del al en con por para que se su sus mi me lo le les es son hay y o " +
+    "si no como cuando donde cual tienen tiene usted ustedes hola bueno")
+    .split(" ")
+);
+
+export function keyTerms(text = "") {
+  // Folded first, so "mañana" stays one word ("manana") instead of breaking at the ñ
+  return fold(text)
+    .replace(/[^a-z0-9'\s]/g, " ")
+    .split(/\s+/)
+    .map((w) => w.replace(/'s$/, "").replace(/'/g, ""))
+    .filter((w) => w.length > 1 && !STOPWORDS.has(w));
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let both = 0;
+  for (const x of a) if (b.has(x)) both++;
+  return both / (a.size + b.size - both);
+}
+
+// Asking words that don't name a product ("do you carry …", "how much …")
+const ASK_WORDS = new Set(
+  "carry sell stock got have any available price prices much cost costs brand brands kind kinds type types sort looking find buy need want".split(" ")
+);
+
+// Words left over once category, size and asking words are removed: "cookies" in "do you have cookies flower"
+export function unrecognizedTerms(text = "") {
+  return keyTerms(text).filter((w) => !ASK_WORDS.has(w) && !detectCategory(w) && !detectSize(w) && !/^\d/.test(w));
+}
+
+// Why a turn counts as unanswered, or null
+export function missReason(turn = {}) {
+  if (turn.channel && turn.channel !== "speech") return null;
+  if (turn.outcome === "not_found") return "menu_not_found";
+  if (turn.outcome === "category_only" && unrecognizedTerms(turn.utterance).length) return "menu_unrecognized";
+  if (turn.branch === "openai") return "fallback";
+  if (turn.branch === "menu" && turn.error) return "menu_error";
+  return null;
+}
+
+// Greedy single-pass clustering: each utterance joins the most similar cluster at or above `threshold`
+export function clusterUtterances(rows = [], { threshold = 0.5 } = {}) {
+  const clusters = [];
+  for (const row of rows) {
+    const terms = new Set(keyTerms(row.utterance));
+    if (!terms.size) continue;
+    let best = null;
+    let bestScore = 0;
+    for (const c of clusters) {
+      const score = jaccard(terms, c.terms);
+      if (score > bestScore) {
+        best = c;
+        bestScore = score;
+      }
+    }
+    if (best && bestScore >= threshold) {
+      best.rows.push(row);
+      for (const t of terms) best.termCounts.set(t, (best.termCounts.get(t) || 0) + 1);
+    } else {
+      clusters.push({ terms, rows: [row], termCounts: new Map([...terms].map((t) => [t, 1])) });
+    }
+  }
+
+  return clusters
+    .map((c) => {
+      const top = [...c.termCounts].sort((a, b) => b[1] - a[1]).slice(0, 4).map(([t]) => t);
+      const reasons = {};
+      for (const r of c.rows) reasons[r.reason] = (reasons[r.reason] || 0) + 1;
+      return {
+        label: top.join(" "),
+        count: c.rows.length,
+        calls: new Set(c.rows.map((r) => r.callSid)).size,
+        reasons,
+        examples: [...new Set(c.rows.map((r) => r.utterance))].slice(0, 5),
+        lastAt: c.rows[c.rows.length - 1].at,
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+}
+
+// Full report for /admin/insights
+export function buildInsights(turns = [], { threshold = 0.5, limit = 25 } = {}) {
+  const speech = turns.filter((t) => !t.channel || t.channel === "speech");
+  const missed = [];
+  for (const t of speech) {
+    const reason = missReason(t);
+    if (reason) missed.push({ ...t, reason });
+  }
+
+  const termCounts = new Map();
+  for (const m of missed) for (const term of new Set(keyTerms(m.utterance))) termCounts.set(term, (termCounts.get(term) || 0) + 1);
+
+  // Likely brands/strains to add to the lexicon
+  const candidates = new Map();
+  for (const m of missed) {
+    if (m.reason !== "menu_unrecognized" && m.reason !== "menu_not_found") continue;
+    for (const term of new Set(unrecognizedTerms(m.utterance))) candidates.set(term, (candidates.get(term) || 0) + 1);
+  }
+
+  const intents = {};
+  for (const t of speech) if (t.intent) intents[t.intent] = (intents[t.intent] || 0) + 1;
+
+  return {
+    turns: speech.length,
+    unanswered: missed.length,
+    unansweredRate: speech.length ? Number((missed.length / speech.length).toFixed(4)) : 0,
+    byReason: missed.reduce((acc, m) => ((acc[m.reason] = (acc[m.reason] || 0) + 1), acc), {}),
+    intents,
+    productCandidates: [...candidates].sort((a, b) => b[1] - a[1]).slice(0, 20).map(([term, count]) => ({ term, count })),
+    topTerms: [...termCounts].sort((a, b) => b[1] - a[1]).slice(0, 20).map(([term, count]) => ({ term, count })),
+    clusters: clusterUtterances(missed, { threshold }).slice(0, limit),
+  };
+}
@@ -0,0 +1,254 @@
+// lib/jane.js — iHeartJane menu client: TTL query cache, full-menu snapshot, jittered retries, circuit breaker
+// When Jane is slow or blocked (Cloudflare 403), answers come from the last good snapshot with its age
+// so the bot can say how stale they are. `stats()` feeds /jane/debug.
+
+import fetch from "node-fetch";
+import { normalizeCategory } from "./catalog.js";
+
+const num = (v, d) => (Number.isFinite(Number(v)) && v !== "" && v != null ? Number(v) : d);
+
+// Canonicalize base to api.iheartjane.com
+export function canonicalJaneBase(input) {
+  const def = "https://api.iheartjane.com";
+  let u = String(input || "").trim().toLowerCase();
+  if (!u) return def;
+  if (u.includes("iheartjane.com") && !u.includes("api.iheartjane.com")) return def;
+  if (!/^https?:\/\//.test(u)) u = `https://${u}`;
+  return u.replace(/\/+$/, "");
+}
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason || new Error("aborted"));
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(t);
+      reject(signal.reason || new Error("aborted"));
+    }, { once: true });
+  });
+
+class JaneHttpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+    // 4xx (other than 429) won't get better by retrying
+    this.retryable = !status || status === 429 || status >= 500;
+  }
+}
+
+export function createJaneClient(opts = {}) {
+  const cfg = () => ({
+    base: canonicalJaneBase(opts.base || process.env.JANE_API_BASE || "https://api.iheartjane.com"),
+    storeId: opts.storeId || process.env.JANE_STORE_ID,
+    token: opts.token || process.env.JANE_API_TOKEN,
+    cacheTtlMs: num(process.env.JANE_CACHE_TTL_MS, 2 * 60 * 1000),
+    cacheMax: num(process.env.JANE_CACHE_MAX, 200),
+    retries: num(process.env.JANE_RETRIES, 2),
+    breakerThreshold: num(process.env.JANE_BREAKER_THRESHOLD, 3),
+    breakerCooldownMs: num(process.env.JANE_BREAKER_COOLDOWN_MS, 30 * 1000),
+    snapshotLimit: num(process.env.JANE_SNAPSHOT_LIMIT, 500),
+  });
+
+  const cache = new Map(); // key → { at, items }
+  let snapshot = null; // { at, items }
+  let snapshotTimer = null;
+  const breaker = { state: "closed", failures: 0, openedAt: null, lastError: null };
+  const counters = { requests: 0, cacheHits: 0, cacheMisses: 0, liveCalls: 0, liveFailures: 0, retries: 0, snapshotServes: 0 };
+
+  // ---------- HTTP ----------
+  async function fetchItems(q, limit, signal) {
+    const { base, storeId, token } = cfg();
+    if (!token || !storeId) throw new JaneHttpError("Missing Jane API env vars", 400);
+
+    const url = new URL(`/v1/stores/${storeId}/menu/items`, base);
+    if (q) url.searchParams.set("q", q);
+    url.searchParams.set("limit", String(limit));
+    url.searchParams.set("availability", "available");
+
+    const resp = await fetch(url.toString(), {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: "application/json",
+        "User-Agent": "CrystalNugs-VoiceBot/1.0",
+      },
+      signal,
+    });
+
+    if (!resp.ok) {
+      const text = await resp.text().catch(() => "");
+      if (resp.status === 403 || /cloudflare/i.test(text)) {
+        throw new JaneHttpError(
+          "Jane API blocked (403). Check JANE_API_BASE and token; may need IP allowlist.",
+          403
+        );
+      }
+      throw new JaneHttpError(`Jane ${resp.status}: ${text.slice(0, 300)}`, resp.status);
+    }
+
+    const data = await resp.json();
+    return Array.isArray(data) ? data : data?.items || [];
+  }
+
+  // ---------- Circuit breaker ----------
+  function breakerAllows() {
+    if (breaker.state !== "open") return true;
+    if (Date.now() - breaker.openedAt >= cfg().breakerCooldownMs) {
+      breaker.state = "half-open"; // let one trial request through
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess() {
+    if (breaker.state !== "closed") console.log("Jane circuit closed");
+    breaker.state = "closed";
+    breaker.failures = 0;
+    breaker.lastError = null;
+  }
+
+  function recordFailure(err) {
+    counters.liveFailures++;
+    breaker.failures++;
+    breaker.lastError = err.message;
+    if (breaker.state === "half-open" || breaker.failures >= cfg().breakerThreshold) {
+      if (breaker.state !== "open") console.warn("Jane circuit open:", err.message);
+      breaker.state = "open";
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  // Live call with jittered exponential backoff, guarded by the breaker
+  async function liveItems(q, limit, signal) {
+    const { retries } = cfg();
+    let lastErr;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        counters.retries++;
+        await sleep(200 * 2 ** (attempt - 1) + Math.random() * 150, signal);
+      }
+      try {
+        counters.liveCalls++;
+        const items = await fetchItems(q, limit, signal);
+        recordSuccess();
+        return items;
+      } catch (e) {
+        if (signal?.aborted) {
+          // A timeout is Jane being slow; a barge-in is not Jane's fault
+          if (signal.reason === "timeout") recordFailure(new Error("Jane request timed out"));
+          throw e;
+        }
+        lastErr = e;
+        if (e.retryable === false) break;
+      }
+    }
+    recordFailure(lastErr);
+    throw lastErr;
+  }
+
+  // ---------- Snapshot ----------
+  function snapshotSearch(q, limit) {
+    const words = String(q || "").toLowerCase().split(/\s+/).filter(Boolean);
+    const hits = snapshot.items.filter((it) => {
+      const hay = [it?.brand?.name || it?.brand, it?.name, it?.kind, it?.category?.name || it?.category]
+        .filter((x) => typeof x === "string")
+        .join(" ")
+        .toLowerCase();
+      const itemCat = normalizeCategory(it?.kind || it?.category?.name || it?.category || it?.type);
+      return words.every((w) => {
+        const cat = normalizeCategory(w);
+        if (cat && itemCat) return cat === itemCat;
+        return hay.includes(w.replace(/s$/, ""));
+      });
+    });
+    return hits.slice(0, limit);
+  }
+
+  async function refreshSnapshot() {
+    if (!breakerAllows()) throw new Error("Jane circuit open");
+    const ac = new AbortController();
+    const to = setTimeout(() => ac.abort("timeout"), 15000);
+    try {
+      const items = await liveItems("", cfg().snapshotLimit, ac.signal);
+      snapshot = { at: Date.now(), items };
+      return snapshot;
+    } finally {
+      clearTimeout(to);
+    }
+  }
+
+  // Refresh now and every `intervalMs`; `onSnapshot(items)` runs after each good refresh
+  function startSnapshotRefresh(intervalMs = 10 * 60 * 1000, onSnapshot) {
+    const run = async () => {
+      try {
+        const snap = await refreshSnapshot();
+        console.log(`Jane snapshot refreshed: ${snap.items.length} items`);
+        onSnapshot?.(snap.items);
+      } catch (e) {
+        console.error("Jane snapshot refresh failed, keeping previous:", e.message);
+      }
+    };
+    if (snapshotTimer) clearInterval(snapshotTimer);
+    snapshotTimer = setInterval(run, intervalMs);
+    snapshotTimer.unref?.();
+    return run();
+  }
+
+  // ---------- Public search ----------
+  // Resolves to { items, source: "cache" | "live" | "snapshot", ageMs }.
+  async function search(q = "", { limit = 6, signal } = {}) {
+    counters.requests++;
+    const { cacheTtlMs, cacheMax } = cfg();
+    const key = `${String(q).toLowerCase().trim()}|${limit}`;
+
+    const hit = cache.get(key);
+    if (hit && Date.now() - hit.at < cacheTtlMs) {
+      counters.cacheHits++;
+      return { items: hit.items, source: "cache", ageMs: Date.now() - hit.at };
+    }
+    counters.cacheMisses++;
+
+    const fromSnapshot = (why) => {
+      if (!snapshot) throw why;
+      counters.snapshotServes++;
+      return { items: snapshotSearch(q, limit), source: "snapshot", ageMs: Date.now() - snapshot.at };
+    };
+
+    if (!breakerAllows()) return fromSnapshot(new Error(`Jane circuit open: ${breaker.lastError || "recent failures"}`));
+
+    try {
+      const items = await liveItems(q, limit, signal);
+      cache.set(key, { at: Date.now(), items });
+      if (cache.size > cacheMax) cache.delete(cache.keys().next().value);
+      return { items, source: "live", ageMs: 0 };
+    } catch (e) {
+      if (signal?.aborted && signal.reason !== "timeout") throw e;
+      return fromSnapshot(e);
+    }
+  }
+
+  function stats() {
+    const lookups = counters.cacheHits + counters.cacheMisses;
+    return {
+      ...counters,
+      cacheSize: cache.size,
+      cacheHitRate: lookups ? Number((counters.cacheHits / lookups).toFixed(3)) : null,
+      snapshot: snapshot
+        ? { items: snapshot.items.length, ageSeconds: Math.round((Date.now() - snapshot.at) / 1000) }
+        : null,
+      breaker: { ...breaker, openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null },
+    };
+  }
+
+  return { search, refreshSnapshot, startSnapshotRefresh, stats };
+}
+
+// "about 20 minutes" / "about 3 hours" — for "menu as of … ago" disclaimers
+export function spokenAge(ms = 0, lang = "en") {
+  const mins = Math.max(1, Math.round(ms / 60000));
+  const hrs = Math.round(mins / 60);
+  if (lang === "es") {
+    return mins < 60 ? `unos ${mins} minuto${mins === 1 ? "" : "s"}` : `unas ${hrs} hora${hrs === 1 ? "" : "s"}`;
+  }
+  if (mins < 60) return `about ${mins} minute${mins === 1 ? "" : "s"}`;
+  return `about ${hrs} hour${hrs === 1 ? "" : "s"}`;
+}
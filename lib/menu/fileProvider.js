@@ -0,0 +1,64 @@
+// lib/menu/fileProvider.js — Menu provider backed by a local JSON file
+// For development and tests where Jane isn't reachable (its API is IP-allowlisted).
+// The file is an array of items in the common model (lib/menu/model.js); raw Jane items are accepted too.
+// It's re-read whenever its mtime changes.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { menuItem, normalizeJaneItem, itemMatchesText } from "./model.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+export function createFileProvider({ file } = {}) {
+  const resolve = () => path.resolve(ROOT, file || process.env.MENU_FILE || "data/menu.fixture.json");
+  let cached = { mtimeMs: 0, items: [] };
+
+  function load() {
+    const f = resolve();
+    const { mtimeMs } = fs.statSync(f);
+    if (mtimeMs !== cached.mtimeMs) {
+      const rows = JSON.parse(fs.readFileSync(f, "utf8"));
+      if (!Array.isArray(rows)) throw new Error(`${path.basename(f)} must be a JSON array`);
+      cached = { mtimeMs, items: rows.map((r) => (Array.isArray(r?.tiers) ? menuItem(r) : normalizeJaneItem(r))) };
+    }
+    return cached.items;
+  }
+
+  async function search(text = "", { limit = 6 } = {}) {
+    const items = load().filter((it) => it.inStock && itemMatchesText(it, text));
+    return { items: items.slice(0, limit), source: "file", ageMs: 0 };
+  }
+
+  async function getItem(id) {
+    return load().find((it) => it.id === String(id)) || null;
+  }
+
+  async function listCategories() {
+    return [...new Set(load().map((it) => it.category).filter(Boolean))];
+  }
+
+  // Same contract as the Jane provider: hand the full menu to onItems now and on each interval
+  function startRefresh(intervalMs, onItems) {
+    const run = () => {
+      try {
+        onItems?.(load());
+      } catch (e) {
+        console.error("Menu file load failed:", e.message);
+      }
+    };
+    const t = setInterval(run, intervalMs);
+    t.unref?.();
+    run();
+  }
+
+  return {
+    name: "file",
+    search,
+    getItem,
+    listCategories,
+    startRefresh,
+    configured: () => fs.existsSync(resolve()),
+    stats: () => ({ file: path.relative(ROOT, resolve()), items: cached.items.length }),
+  };
+}
@@ -0,0 +1,25 @@
+// lib/menu/index.js — Pick the menu provider (MENU_PROVIDER=jane | file)
+// Every provider implements:
+//   name
+//   search(text, { limit, signal })  → { items: MenuItem[], source, ageMs }
+//   getItem(id)                      → MenuItem | null
+//   listCategories()                 → string[]
+//   startRefresh(intervalMs, onItems)   full-menu refresh; onItems(MenuItem[])
+//   configured()                     → boolean
+//   stats()                          → provider-specific debug info
+
+import { createJaneProvider } from "./janeProvider.js";
+import { createFileProvider } from "./fileProvider.js";
+
+export function createMenuProvider(kind = process.env.MENU_PROVIDER || "jane") {
+  switch (String(kind).toLowerCase()) {
+    case "file":
+      return createFileProvider();
+    case "jane":
+      return createJaneProvider();
+    default:
+      throw new Error(`Unknown MENU_PROVIDER "${kind}" (expected jane or file)`);
+  }
+}
+
+export { menuItem, itemPrice, availableTiers, inStockItems } from "./model.js";
@@ -0,0 +1,40 @@
+// lib/menu/janeProvider.js — iHeartJane as a menu provider (wraps the cached client in lib/jane.js)
+
+import { createJaneClient } from "../jane.js";
+import { normalizeJaneItem } from "./model.js";
+
+export function createJaneProvider(opts = {}) {
+  const client = createJaneClient(opts);
+  let snapshotItems = [];
+
+  async function search(text = "", { limit = 6, signal } = {}) {
+    const res = await client.search(text, { limit, signal });
+    return { ...res, items: res.items.map(normalizeJaneItem) };
+  }
+
+  // Items only come back from search, so look in the latest full-menu snapshot
+  async function getItem(id) {
+    return snapshotItems.find((it) => it.id === String(id)) || null;
+  }
+
+  async function listCategories() {
+    return [...new Set(snapshotItems.map((it) => it.category).filter(Boolean))];
+  }
+
+  function startRefresh(intervalMs, onItems) {
+    return client.startSnapshotRefresh(intervalMs, (raw) => {
+      snapshotItems = raw.map(normalizeJaneItem);
+      onItems?.(snapshotItems);
+    });
+  }
+
+  return {
+    name: "jane",
+    search,
+    getItem,
+    listCategories,
+    startRefresh,
+    configured: () => !!(process.env.JANE_API_TOKEN && process.env.JANE_STORE_ID),
+    stats: () => client.stats(),
+  };
+}
@@ -0,0 +1,99 @@
+// lib/menu/model.js — Common menu item model shared by every menu provider
+//
+//   {
+//     id, name, brand, category,          // category: flower | vape | pre-roll | edible | concentrate | tincture | null
+//     strain, thc, cbd,                   // thc/cbd: percent (or mg for edibles) when known, else null
+//     tiers: [{ label, weight, price, quantity }],   // weight: "3.5g" etc. or null; price in dollars
+//     inStock,
+//   }
+//
+// Providers return these from search()/getItem(); nothing outside lib/menu should read a provider's raw shape.
+
+import { normalizeCategory, detectSize } from "../catalog.js";
+
+const numOrNull = (v) => {
+  const n = Number(v);
+  return v === null || v === undefined || v === "" || !Number.isFinite(n) ? null : n;
+};
+
+export function menuItem(fields = {}) {
+  const tiers = (Array.isArray(fields.tiers) ? fields.tiers : [])
+    .map((t) => ({
+      label: String(t?.label || t?.weight || "each"),
+      weight: t?.weight ? detectSize(String(t.weight).toLowerCase()) : null,
+      price: numOrNull(t?.price),
+      quantity: numOrNull(t?.quantity) ?? 0,
+    }))
+    .filter((t) => t.price !== null);
+
+  return {
+    id: fields.id != null ? String(fields.id) : null,
+    name: String(fields.name || "product"),
+    brand: fields.brand ? String(fields.brand) : null,
+    category: normalizeCategory(fields.category),
+    strain: fields.strain ? String(fields.strain) : null,
+    thc: numOrNull(fields.thc),
+    cbd: numOrNull(fields.cbd),
+    tiers,
+    inStock: tiers.some((t) => t.price > 0 && t.quantity > 0),
+  };
+}
+
+// Tiers with a real price and stock, optionally only the requested size
+export function availableTiers(item, size = null) {
+  const live = (item?.tiers || []).filter((t) => t.price > 0 && t.quantity > 0);
+  if (!size) return live;
+  const sized = live.filter((t) => t.weight === size);
+  return sized.length ? sized : live;
+}
+
+// Lowest in-stock price for an item (for the requested size when it has one), or null
+export function itemPrice(item, size = null) {
+  const prices = availableTiers(item, size).map((t) => t.price);
+  return prices.length ? Math.min(...prices) : null;
+}
+
+export function inStockItems(items = []) {
+  return items.filter((it) => it?.inStock);
+}
+
+// Every query word must appear in brand/name/strain; category words compare by category
+export function itemMatchesText(item, text = "") {
+  const words = String(text).toLowerCase().split(/\s+/).filter(Boolean);
+  const hay = [item.brand, item.name, item.strain].filter(Boolean).join(" ").toLowerCase();
+  return words.every((w) => {
+    const cat = normalizeCategory(w);
+    if (cat && item.category) return cat === item.category;
+    return hay.includes(w.replace(/s$/, ""));
+  });
+}
+
+// ---------- Jane → common model ----------
+export function normalizeJaneItem(it = {}) {
+  const tiers = [];
+  const qty = it?.quantity_available ?? it?.quantity ?? 0;
+  const direct = Number(it?.price?.price);
+  if (direct > 0) tiers.push({ label: it?.weight || "each", weight: it?.weight || null, price: direct / 100, quantity: qty });
+
+  for (const v of Array.isArray(it?.variants) ? it.variants : []) {
+    const p = Number(v?.price?.price);
+    if (!(p > 0)) continue;
+    tiers.push({
+      label: v?.name || v?.weight || "each",
+      weight: v?.weight || v?.name || null,
+      price: p / 100,
+      quantity: v?.quantity_available ?? v?.quantity ?? 0,
+    });
+  }
+
+  return menuItem({
+    id: it?.id ?? it?.product_id,
+    name: it?.name,
+    brand: it?.brand?.name || (typeof it?.brand === "string" ? it.brand : null),
+    category: it?.kind || it?.category?.name || it?.category || it?.type,
+    strain: it?.strain?.name || it?.strain_name,
+    thc: it?.percent_thc ?? it?.thc_percent ?? it?.thc ?? it?.potency?.thc,
+    cbd: it?.percent_cbd ?? it?.cbd_percent ?? it?.cbd ?? it?.potency?.cbd,
+    tiers,
+  });
+}
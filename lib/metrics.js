@@ -0,0 +1,120 @@
+// lib/metrics.js — In-process counters for the relay, rendered in Prometheus text format at /metrics
+// Fed one finished turn at a time (the same record the call store keeps). Counts reset on restart,
+// as Prometheus counters do; latency quantiles cover the last CN_METRICS_WINDOW replies per branch.
+
+const windowSize = () => Number(process.env.CN_METRICS_WINDOW || 500);
+
+const counters = new Map(); // name → Map(labelKey → { labels, value })
+const latencies = new Map(); // branch → recent latencyMs values (ring)
+const HELP = {
+  cn_turns_total: "Caller turns answered, by branch (order, order_status, menu, local, transfer, openai)",
+  cn_intent_total: "Caller turns by the intent that answered them",
+  cn_turn_errors_total: "Turns that hit an error, by branch",
+  cn_turns_cancelled_total: "Turns abandoned because the caller spoke again or hung up",
+  cn_menu_lookups_total: "Menu lookups by result source (live, cache, snapshot, file, error)",
+  cn_menu_not_found_total: "Menu lookups that found nothing in stock",
+  cn_calls_started_total: "Calls that reached /twilio/voice",
+  cn_calls_ended_total: "Calls closed by a status callback, by final status",
+};
+
+function inc(name, labels = {}, by = 1) {
+  if (!counters.has(name)) counters.set(name, new Map());
+  const key = JSON.stringify(labels);
+  const series = counters.get(name);
+  const cur = series.get(key) || { labels, value: 0 };
+  cur.value += by;
+  series.set(key, cur);
+}
+
+function total(name, match = () => true) {
+  let sum = 0;
+  for (const s of counters.get(name)?.values() || []) if (match(s.labels)) sum += s.value;
+  return sum;
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const i = Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1));
+  return sorted[i];
+}
+
+// ---------- Observe ----------
+export function observeTurn(turn = {}) {
+  const branch = turn.branch || "none";
+  inc("cn_turns_total", { branch });
+  if (turn.intent) inc("cn_intent_total", { intent: turn.intent });
+  if (turn.error) inc("cn_turn_errors_total", { branch });
+  if (turn.cancelled) inc("cn_turns_cancelled_total");
+  if (branch === "menu" && (turn.source || turn.error)) {
+    inc("cn_menu_lookups_total", { source: turn.error?.startsWith("menu:") ? "error" : turn.source });
+  }
+  if (turn.outcome === "not_found") inc("cn_menu_not_found_total");
+
+  if (Number.isFinite(turn.latencyMs)) {
+    const ring = latencies.get(branch) || [];
+    ring.push(turn.latencyMs);
+    if (ring.length > windowSize()) ring.splice(0, ring.length - windowSize());
+    latencies.set(branch, ring);
+  }
+}
+
+export function observeCallStart() {
+  inc("cn_calls_started_total");
+}
+
+export function observeCallEnd(status = "completed") {
+  inc("cn_calls_ended_total", { status });
+}
+
+// Headline ratios (also used by /admin/insights)
+export function rates() {
+  const turns = total("cn_turns_total");
+  const lookups = total("cn_menu_lookups_total");
+  const ratio = (n, d) => (d ? Number((n / d).toFixed(4)) : 0);
+  return {
+    turns,
+    fallbackRate: ratio(total("cn_turns_total", (l) => l.branch === "openai"), turns),
+    transferRate: ratio(total("cn_turns_total", (l) => l.branch === "transfer"), turns),
+    menuErrorRate: ratio(total("cn_menu_lookups_total", (l) => l.source === "error"), lookups),
+  };
+}
+
+// ---------- Render ----------
+const esc = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const labelText = (labels) => {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${esc(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+};
+
+// `gauges`: extra point-in-time values, { name: { help, value } }
+export function renderMetrics(gauges = {}) {
+  const out = [];
+  for (const [name, series] of counters) {
+    out.push(`# HELP ${name} ${HELP[name] || name}`, `# TYPE ${name} counter`);
+    for (const s of series.values()) out.push(`${name}${labelText(s.labels)} ${s.value}`);
+  }
+
+  const r = rates();
+  const ratioGauges = {
+    cn_fallback_ratio: { help: "Share of turns answered by the OpenAI fallback", value: r.fallbackRate },
+    cn_transfer_ratio: { help: "Share of turns that transferred to staff", value: r.transferRate },
+    cn_menu_error_ratio: { help: "Share of menu lookups that failed", value: r.menuErrorRate },
+  };
+  for (const [name, g] of Object.entries({ ...ratioGauges, ...gauges })) {
+    out.push(`# HELP ${name} ${g.help}`, `# TYPE ${name} gauge`, `${name} ${Number(g.value) || 0}`);
+  }
+
+  out.push(
+    "# HELP cn_reply_latency_ms Time from caller utterance to first reply text, recent window",
+    "# TYPE cn_reply_latency_ms summary"
+  );
+  for (const [branch, ring] of latencies) {
+    const sorted = [...ring].sort((a, b) => a - b);
+    for (const q of [0.5, 0.95]) {
+      out.push(`cn_reply_latency_ms${labelText({ branch, quantile: q })} ${quantile(sorted, q)}`);
+    }
+    out.push(`cn_reply_latency_ms_sum${labelText({ branch })} ${ring.reduce((a, b) => a + b, 0)}`);
+    out.push(`cn_reply_latency_ms_count${labelText({ branch })} ${ring.length}`);
+  }
+  return `${out.join("\n")}\n`;
+}
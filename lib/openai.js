@@ -0,0 +1,144 @@
+// lib/openai.js — Streaming chat completions (SSE) + sentence chunking for the voice relay
+
+import fetch from "node-fetch";
+
+function chatUrl() {
+  const base = String(process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+  return `${base}/chat/completions`;
+}
+
+// POST a chat completion with stream: true and yield each parsed SSE `data:` payload.
+// Aborting `signal` ends the stream (the caller sees an AbortError).
+export async function* streamChatCompletion({ apiKey, body, signal }) {
+  // node-fetch destroys the request body stream when handed an already-aborted signal, and that
+  // 'error' has no listener (it crashes the process) — a barge-in can land before we get here
+  if (signal?.aborted) throw Object.assign(new Error("The operation was aborted."), { name: "AbortError" });
+  const resp = await fetch(chatUrl(), {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+    },
+    body: JSON.stringify({ ...body, stream: true }),
+    signal,
+  });
+
+  if (!resp.ok) {
+    const errText = await resp.text().catch(() => "");
+    throw new Error(`OpenAI ${resp.status} ${resp.statusText}: ${errText.slice(0, 500)}`);
+  }
+
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of resp.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf("\n")) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+      try {
+        yield JSON.parse(data);
+      } catch {
+        /* partial or keep-alive line */
+      }
+    }
+  }
+}
+
+// Collect streamed text and hand back whole sentences so TTS never starts mid-phrase.
+// Very short sentences ("Sure.") are held and joined with the next one.
+export function createSentenceChunker(onSentence, { minChars = 24 } = {}) {
+  let pending = "";
+  return {
+    push(text = "") {
+      pending += text;
+      const re = /[.!?…]["”’)]?\s+/g;
+      let cut = 0;
+      let m;
+      while ((m = re.exec(pending))) {
+        const end = m.index + m[0].length;
+        if (end - cut >= minChars) {
+          onSentence(pending.slice(cut, end).trim());
+          cut = end;
+        }
+      }
+      pending = pending.slice(cut);
+    },
+    // Whatever is left (may be empty)
+    end() {
+      const rest = pending.trim();
+      pending = "";
+      return rest;
+    },
+  };
+}
+
+// Streamed chat that may call tools. `tools` maps name → { description, parameters, run(args) }.
+// Text deltas go to onText as they arrive; tool calls are run and fed back until the model answers.
+// A tool can end the turn (e.g. the call was transferred) by returning { endTurn: true }.
+export async function runChatWithTools({ apiKey, body, tools = {}, signal, onText, maxRounds = 3 }) {
+  const messages = [...body.messages];
+  const specs = Object.entries(tools).map(([name, t]) => ({
+    type: "function",
+    function: { name, description: t.description, parameters: t.parameters },
+  }));
+  let text = "";
+
+  for (let round = 0; round <= maxRounds; round++) {
+    const req = { ...body, messages };
+    if (specs.length) {
+      req.tools = specs;
+      if (round === maxRounds) req.tool_choice = "none"; // last round must answer in words
+    }
+
+    const calls = [];
+    let roundText = "";
+    for await (const evt of streamChatCompletion({ apiKey, body: req, signal })) {
+      const delta = evt?.choices?.[0]?.delta || {};
+      if (delta.content) {
+        roundText += delta.content;
+        onText?.(delta.content);
+      }
+      for (const tc of delta.tool_calls || []) {
+        const c = (calls[tc.index ?? 0] ||= { id: "", name: "", args: "" });
+        if (tc.id) c.id = tc.id;
+        if (tc.function?.name) c.name += tc.function.name;
+        if (tc.function?.arguments) c.args += tc.function.arguments;
+      }
+    }
+    text += roundText;
+
+    const made = calls.filter(Boolean);
+    if (!made.length) return { text, endedByTool: false };
+
+    messages.push({
+      role: "assistant",
+      content: roundText || null,
+      tool_calls: made.map((c) => ({
+        id: c.id,
+        type: "function",
+        function: { name: c.name, arguments: c.args || "{}" },
+      })),
+    });
+
+    let endTurn = false;
+    for (const c of made) {
+      let result;
+      try {
+        const tool = tools[c.name];
+        result = tool ? await tool.run(JSON.parse(c.args || "{}")) : { error: `Unknown tool ${c.name}` };
+      } catch (e) {
+        result = { error: e.message };
+      }
+      console.log("OpenAI tool call:", c.name, c.args, "→", JSON.stringify(result).slice(0, 300));
+      if (result?.endTurn) endTurn = true;
+      messages.push({ role: "tool", tool_call_id: c.id, content: JSON.stringify(result) });
+    }
+    if (endTurn) return { text, endedByTool: true };
+  }
+  return { text, endedByTool: false };
+}
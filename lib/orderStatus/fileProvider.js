@@ -0,0 +1,63 @@
+// lib/orderStatus/fileProvider.js — Order-status provider backed by a local JSON file
+// A stand-in until the POS feeds order status: CN_ORDER_STATUS_FILE (default data/orderstatus.json) is an
+// array of orders in the common model (lib/orderStatus/model.js) that staff or a sync job keep current.
+// Orders taken on calls (lib/orders.js) are included too, so a caller can ask about one they just placed;
+// an entry in the file with the same id wins over the queued copy.
+// The file is re-read whenever its mtime changes; a missing file is an empty list.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { listOrders } from "../orders.js";
+import { normalizePhone } from "../sms.js";
+import { orderStatus, sortOrders } from "./model.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+export function createFileProvider({ file, queue = true } = {}) {
+  const resolve = () => path.resolve(ROOT, file || process.env.CN_ORDER_STATUS_FILE || "data/orderstatus.json");
+  let cached = { mtimeMs: 0, orders: [] };
+
+  function load() {
+    const f = resolve();
+    let mtimeMs;
+    try {
+      ({ mtimeMs } = fs.statSync(f));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      cached = { mtimeMs: 0, orders: [] };
+      return cached.orders;
+    }
+    if (mtimeMs !== cached.mtimeMs) {
+      const rows = JSON.parse(fs.readFileSync(f, "utf8"));
+      if (!Array.isArray(rows)) throw new Error(`${path.basename(f)} must be a JSON array`);
+      cached = { mtimeMs, orders: rows.map(orderStatus).filter((o) => o.id) };
+    }
+    return cached.orders;
+  }
+
+  function queued() {
+    if (!queue) return [];
+    return listOrders({ limit: 500 }).map((o) =>
+      orderStatus({ id: o.id, phone: o.caller, name: o.name, zip: o.zip, status: o.status, placedAt: o.createdAt })
+    );
+  }
+
+  // By order number when the caller gave one, otherwise every order placed from `phone`
+  async function lookup({ phone, id } = {}) {
+    const byId = new Map();
+    for (const o of [...queued(), ...load()]) byId.set(o.id, o);
+    const all = [...byId.values()];
+    if (id) return all.filter((o) => o.id === String(id));
+    if (!phone) return [];
+    const number = normalizePhone(phone);
+    return sortOrders(all.filter((o) => o.phone === number));
+  }
+
+  return {
+    name: "file",
+    lookup,
+    configured: () => fs.existsSync(resolve()),
+    stats: () => ({ file: path.relative(ROOT, resolve()), orders: cached.orders.length, queue }),
+  };
+}
@@ -0,0 +1,23 @@
+// lib/orderStatus/index.js — Pick the order-status provider (CN_ORDER_STATUS_PROVIDER=file | webhook)
+// Every provider implements:
+//   name
+//   lookup({ phone, id }, { signal })  → OrderStatus[] (lib/orderStatus/model.js), open orders first, newest first;
+//                                       [] when nothing matches, throws when the source can't be reached
+//   configured()                      → boolean
+//   stats()                           → provider-specific debug info
+
+import { createFileProvider } from "./fileProvider.js";
+import { createWebhookProvider } from "./webhookProvider.js";
+
+export function createOrderStatusProvider(kind = process.env.CN_ORDER_STATUS_PROVIDER || "file") {
+  switch (String(kind).toLowerCase()) {
+    case "file":
+      return createFileProvider();
+    case "webhook":
+      return createWebhookProvider();
+    default:
+      throw new Error(`Unknown CN_ORDER_STATUS_PROVIDER "${kind}" (expected file or webhook)`);
+  }
+}
+
+export { orderStatus, isOpenOrder, sortOrders, STATUSES } from "./model.js";
@@ -0,0 +1,82 @@
+// lib/orderStatus/model.js — Common order-status model shared by every order-status provider
+//
+//   {
+//     id, phone, name, zip,                 // phone: E.164 ("+19165550142") so it compares with Twilio's From
+//     status,                               // pending | confirmed | preparing | out_for_delivery | delivered | cancelled
+//     placedAt, promisedBy, eta, deliveredAt,   // ISO times or null; eta is the driver's current estimate
+//     driver,                               // first name, or null before one is assigned
+//     issue,                                // what's holding the order up, in words the bot can read out, or null
+//   }
+//
+// Providers return these from lookup(); nothing outside lib/orderStatus should read a provider's raw shape.
+
+import { normalizePhone } from "../sms.js";
+
+export const STATUSES = ["pending", "confirmed", "preparing", "out_for_delivery", "delivered", "cancelled"];
+
+// What POS and delivery systems call the same states
+const ALIASES = {
+  new: "pending",
+  received: "pending",
+  accepted: "confirmed",
+  verified: "confirmed",
+  packing: "preparing",
+  packed: "preparing",
+  ready: "preparing",
+  ready_for_pickup: "preparing",
+  dispatched: "out_for_delivery",
+  en_route: "out_for_delivery",
+  on_the_way: "out_for_delivery",
+  in_transit: "out_for_delivery",
+  out_for_delivery: "out_for_delivery",
+  completed: "delivered",
+  complete: "delivered",
+  fulfilled: "delivered",
+  canceled: "cancelled",
+  void: "cancelled",
+  voided: "cancelled",
+  rejected: "cancelled",
+};
+
+const isoOrNull = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+};
+const textOrNull = (v) => (v === null || v === undefined || String(v).trim() === "" ? null : String(v).trim());
+
+export function normalizeStatus(raw) {
+  const key = String(raw || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[\s-]+/g, "_");
+  if (STATUSES.includes(key)) return key;
+  return ALIASES[key] || "pending";
+}
+
+export function orderStatus(fields = {}) {
+  return {
+    id: fields.id != null ? String(fields.id) : null,
+    phone: fields.phone ? normalizePhone(fields.phone) : null,
+    name: textOrNull(fields.name),
+    zip: textOrNull(fields.zip),
+    status: normalizeStatus(fields.status),
+    placedAt: isoOrNull(fields.placedAt),
+    promisedBy: isoOrNull(fields.promisedBy),
+    eta: isoOrNull(fields.eta),
+    deliveredAt: isoOrNull(fields.deliveredAt),
+    driver: textOrNull(fields.driver),
+    issue: textOrNull(fields.issue),
+  };
+}
+
+// Still on its way to the caller
+export function isOpenOrder(order) {
+  return order.status !== "delivered" && order.status !== "cancelled";
+}
+
+// Open orders first, newest placed first within each group
+export function sortOrders(orders = []) {
+  const placed = (o) => (o.placedAt ? Date.parse(o.placedAt) : 0);
+  return [...orders].sort((a, b) => isOpenOrder(b) - isOpenOrder(a) || placed(b) - placed(a));
+}
@@ -0,0 +1,120 @@
+// lib/orders.js — Pending orders taken on the phone, handed off for the store to fill
+// CN_ORDER_HANDOFF picks where a confirmed phone order goes:
+//   queue     (default) appended to CN_ORDERS_FILE (default data/orders.jsonl); staff work it from /admin/orders
+//   webhook   POSTed as JSON to CN_ORDERS_WEBHOOK_URL, signed with CN_ORDERS_WEBHOOK_SECRET when set
+//             (X-CN-Signature: sha256=<hex HMAC of the body>); a failed POST still lands in the queue
+//   link      queued, and the caller is texted a checkout link built from CN_CHECKOUT_URL
+//             ("https://…/checkout?items={items}&order={order}"; items = "id:weight:qty,…")
+// Every order is queued, whichever handoff, so nothing taken on a call is lost:
+//   { id, status: "pending", via, createdAt, callSid, caller, lang, name, address, zip,
+//     items: [{ id, brand, name, weight, label, price, qty }], subtotal, fee, total }
+// Order numbers are six digits, so callers can say them or key them in.
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import fetch from "node-fetch";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const ordersFile = () => path.resolve(ROOT, process.env.CN_ORDERS_FILE || "data/orders.jsonl");
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+export const HANDOFFS = ["queue", "webhook", "link"];
+
+export function orderHandoff() {
+  const kind = String(process.env.CN_ORDER_HANDOFF || "queue").toLowerCase();
+  return HANDOFFS.includes(kind) ? kind : "queue";
+}
+
+// Phone ordering is on unless CN_PHONE_ORDERS=false
+export function phoneOrdersEnabled() {
+  return String(process.env.CN_PHONE_ORDERS || "true").toLowerCase() !== "false";
+}
+
+// ---------- Submit ----------
+// → { id, via, checkoutUrl? }. Throws only when the order couldn't be recorded anywhere.
+export async function submitOrder(order) {
+  const via = orderHandoff();
+  const placed = { ...order, id: newOrderId(), status: "pending", via, createdAt: new Date().toISOString() };
+
+  if (via === "webhook") {
+    try {
+      await postWebhook(placed);
+    } catch (e) {
+      console.error(`Order ${placed.id} webhook failed, queued locally instead:`, e.message);
+      placed.via = "queue";
+      placed.webhookError = e.message;
+    }
+  }
+  if (via === "link") placed.checkoutUrl = checkoutUrl(placed);
+
+  await appendOrder(placed);
+  console.log(`Order ${placed.id} placed (${placed.via}): ${placed.items.length} items, $${placed.total}`);
+  return { id: placed.id, via: placed.via, checkoutUrl: placed.checkoutUrl || null };
+}
+
+async function postWebhook(order) {
+  const url = process.env.CN_ORDERS_WEBHOOK_URL;
+  if (!url) throw new Error("CN_ORDERS_WEBHOOK_URL is not set");
+  const body = JSON.stringify(order);
+  const headers = { "content-type": "application/json" };
+  const secret = process.env.CN_ORDERS_WEBHOOK_SECRET;
+  if (secret) headers["X-CN-Signature"] = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+  const ac = new AbortController();
+  const to = setTimeout(() => ac.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const r = await fetch(url, { method: "POST", headers, body, signal: ac.signal });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  } finally {
+    clearTimeout(to);
+  }
+}
+
+function checkoutUrl(order) {
+  const template = process.env.CN_CHECKOUT_URL || "https://www.crystalnugs.com/checkout?items={items}&order={order}";
+  const items = order.items.map((it) => [it.id, it.weight || "", it.qty].join(":")).join(",");
+  return template.replace("{items}", encodeURIComponent(items)).replace("{order}", encodeURIComponent(order.id));
+}
+
+// Random, and not one already in the queue
+function newOrderId() {
+  const taken = new Set(listOrders({ limit: 5000 }).map((o) => o.id));
+  let id;
+  do id = String(crypto.randomInt(100000, 1000000));
+  while (taken.has(id));
+  return id;
+}
+
+// ---------- Queue ----------
+let writing = Promise.resolve();
+
+function appendOrder(order) {
+  const file = ordersFile();
+  const next = writing
+    .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+    .then(() => fs.promises.appendFile(file, `${JSON.stringify(order)}\n`));
+  writing = next.catch(() => {});
+  return next;
+}
+
+// Newest first; `status` narrows ("pending")
+export function listOrders({ limit = 50, status } = {}) {
+  let lines = [];
+  try {
+    lines = fs.readFileSync(ordersFile(), "utf8").split("\n").filter(Boolean);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error("Order queue read failed:", e.message);
+  }
+  const out = [];
+  for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+    try {
+      const order = JSON.parse(lines[i]);
+      if (!status || order.status === status) out.push(order);
+    } catch {
+      // a torn last line from a crash
+    }
+  }
+  return out;
+}
@@ -0,0 +1,127 @@
+// lib/persona.js — The voice on the phone: TTS/transcription settings, greetings and speaking style
+// Config lives in data/persona.json (override with CN_PERSONA_FILE):
+//   ttsProvider, transcriptionProvider, speechModel   ConversationRelay defaults for every language
+//   languages.<en|es>: { code, voice, ttsProvider?, transcriptionProvider?, speechModel? }
+//                                      calls start in English; the others are declared for switching
+//   interruptible: "any" | "speech" | "dtmf" | "none", interruptSensitivity: "low" | "medium" | "high"
+//   welcomeGreetingInterruptible, dtmfDetection, profanityFilter
+//   hints: ["STIIIZY", …]              words and names the transcriber should expect
+//   greetings: { morning, afternoon, evening, closed, intro }
+//                                      picked on the store's clock (morning before noon, afternoon before 5 PM,
+//                                      closed whenever the store is); `intro` follows whichever one is used
+//   ssml: { enabled, prosody: { rate, pitch, volume }, breakMs, emphasisWords }   see brandVoice
+// CN_VOICE_EN, CN_VOICE_ES and CN_LANGUAGE_ES override the file's voices and Spanish locale;
+// CN_USE_SSML overrides ssml.enabled.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import twilio from "twilio";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DEFAULT_FILE = path.join(ROOT, "data", "persona.json");
+
+const FALLBACK_CONFIG = {
+  ttsProvider: "Google",
+  languages: {
+    en: { code: "en-US", voice: "en-US-Wavenet-F" },
+    es: { code: "es-US", voice: "es-US-Wavenet-A" },
+  },
+  dtmfDetection: true,
+  hints: [],
+  greetings: {
+    afternoon: "Welcome to Crystal Nugs Sacramento.",
+    intro: "What can I do for you today? Para español, oprima 2 o diga español.",
+  },
+  ssml: { enabled: false, prosody: { rate: "fast", pitch: "+8%", volume: "medium" }, breakMs: 240, emphasisWords: 3 },
+};
+
+export function loadPersonaConfig(file = process.env.CN_PERSONA_FILE || DEFAULT_FILE) {
+  try {
+    const cfg = JSON.parse(fs.readFileSync(path.resolve(ROOT, file), "utf8"));
+    if (!cfg.languages?.en?.code) throw new Error("languages.en.code is required");
+    return { ...FALLBACK_CONFIG, ...cfg };
+  } catch (e) {
+    console.error("Persona load failed, using the default voice:", e.message);
+    return FALLBACK_CONFIG;
+  }
+}
+
+// `schedule` is lib/schedule.js's createSchedule(), used for time-of-day greetings
+export function createPersona(config = FALLBACK_CONFIG, { schedule } = {}) {
+  const env = process.env;
+
+  // Per-language voice, provider defaults filled in
+  const languages = Object.fromEntries(
+    Object.entries(config.languages || FALLBACK_CONFIG.languages).map(([lang, l]) => {
+      const code = (lang === "es" && env.CN_LANGUAGE_ES) || l.code;
+      const voice = env[`CN_VOICE_${lang.toUpperCase()}`] || l.voice;
+      return [
+        lang,
+        {
+          code,
+          voice,
+          ttsProvider: l.ttsProvider || config.ttsProvider,
+          transcriptionProvider: l.transcriptionProvider || config.transcriptionProvider,
+          speechModel: l.speechModel || config.speechModel,
+        },
+      ];
+    })
+  );
+  const home = languages.en;
+
+  const ssml = { ...FALLBACK_CONFIG.ssml, ...(config.ssml || {}) };
+  const style = {
+    ssml: env.CN_USE_SSML ? String(env.CN_USE_SSML).toLowerCase() === "true" : !!ssml.enabled,
+    prosody: { ...FALLBACK_CONFIG.ssml.prosody, ...(ssml.prosody || {}) },
+    breakMs: Number(ssml.breakMs) || 0,
+    emphasisWords: Number(ssml.emphasisWords) || 0,
+  };
+
+  // "morning" | "afternoon" | "evening" | "closed" on the store's clock
+  function partOfDay(at) {
+    if (!schedule) return "afternoon";
+    const s = schedule.status(at);
+    if (!s.storeOpen) return "closed";
+    return s.at.minutes < 12 * 60 ? "morning" : s.at.minutes < 17 * 60 ? "afternoon" : "evening";
+  }
+
+  // `at` defaults to the schedule's clock
+  function greeting(at) {
+    const g = config.greetings || {};
+    const part = partOfDay(at);
+    const open = g[part] || (part === "closed" ? g.evening : null) || g.afternoon || "";
+    return [open, g.intro].filter(Boolean).join(" ");
+  }
+
+  // <Response><Connect><ConversationRelay …><Language …/>…</ConversationRelay></Connect></Response>
+  function twiml({ url, at } = {}) {
+    const vr = new twilio.twiml.VoiceResponse();
+    const relay = vr.connect().conversationRelay(
+      defined({
+        url,
+        language: home.code,
+        ttsProvider: home.ttsProvider,
+        voice: home.voice,
+        transcriptionProvider: home.transcriptionProvider,
+        speechModel: home.speechModel,
+        interruptible: config.interruptible,
+        interruptSensitivity: config.interruptSensitivity,
+        welcomeGreetingInterruptible: config.welcomeGreetingInterruptible,
+        dtmfDetection: config.dtmfDetection,
+        profanityFilter: config.profanityFilter,
+        hints: (config.hints || []).join(","),
+        welcomeGreeting: greeting(at),
+      })
+    );
+    for (const l of Object.values(languages)) relay.language(defined(l));
+    return vr.toString();
+  }
+
+  return { name: config.name || null, languages, style, greeting, partOfDay, twiml };
+}
+
+// TwiML attributes that are actually set (the builder would print "undefined")
+function defined(attrs) {
+  return Object.fromEntries(Object.entries(attrs).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+}
@@ -0,0 +1,108 @@
+// lib/routing.js — Which team a transfer goes to, and whether they're in right now
+// Config lives in data/departments.json (override with CN_DEPARTMENTS_FILE):
+//   default: department key used when nothing else matches
+//   dialTimeoutSec, voicemailMaxSec
+//   departments.<key>: {
+//     label,                      spoken: "Connecting you to <label>"
+//     labelEs,                    the same on Spanish calls ("Le comunico con <labelEs>"); defaults to label
+//     numberEnv, number,          phone number (env var wins; falls back to the main transfer number)
+//     hours: "store" | "delivery" | "always" | { days: ["mon", …], open: "10:00", close: "17:00" },
+//     fallback: "callback" | "voicemail",   what happens when nobody answers or they're closed
+//     keywords: [regex, …],       matched against what the caller said
+//     intents: [prefix, …]        matched against the conversation's recent intents
+//   }
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DEFAULT_FILE = path.join(ROOT, "data", "departments.json");
+
+const FALLBACK_CONFIG = {
+  default: "store",
+  dialTimeoutSec: 20,
+  voicemailMaxSec: 120,
+  departments: { store: { label: "our store team", hours: "store", fallback: "callback", keywords: [], intents: [] } },
+};
+
+export function loadRoutingConfig(file = process.env.CN_DEPARTMENTS_FILE || DEFAULT_FILE) {
+  try {
+    const cfg = JSON.parse(fs.readFileSync(path.resolve(ROOT, file), "utf8"));
+    if (!cfg.departments || !Object.keys(cfg.departments).length) throw new Error("no departments defined");
+    return { ...FALLBACK_CONFIG, ...cfg };
+  } catch (e) {
+    console.error("Departments load failed, routing everything to the store:", e.message);
+    return FALLBACK_CONFIG;
+  }
+}
+
+const toMinutes = (hhmm) => {
+  const m = String(hhmm || "").match(/^(\d{1,2}):(\d{2})$/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+// `schedule` is lib/schedule.js's createSchedule(); `fallbackNumber` is the main transfer line
+export function createRouter(config = FALLBACK_CONFIG, { schedule, fallbackNumber } = {}) {
+  const keys = Object.keys(config.departments);
+  const defaultKey = config.departments[config.default] ? config.default : keys[0];
+  const patterns = Object.fromEntries(
+    keys.map((k) => [k, (config.departments[k].keywords || []).map((w) => new RegExp(`\\b(${w})\\b`, "i"))])
+  );
+
+  // Resolved department (unknown keys fall back to the default)
+  function department(key) {
+    const k = config.departments[key] ? key : defaultKey;
+    const d = config.departments[k];
+    return {
+      key: k,
+      label: d.label || k,
+      labelEs: d.labelEs || d.label || k,
+      number: (d.numberEnv && process.env[d.numberEnv]) || d.number || fallbackNumber,
+      hours: d.hours || "always",
+      fallback: d.fallback === "voicemail" ? "voicemail" : "callback",
+    };
+  }
+
+  // Pick a department from the caller's words, then from what the call has been about
+  function choose({ text = "", intents = [], requested = null } = {}) {
+    if (requested && config.departments[requested]) return requested;
+    for (const k of keys) if (patterns[k].some((re) => re.test(text))) return k;
+    for (const intent of intents) {
+      for (const k of keys) {
+        if ((config.departments[k].intents || []).some((p) => String(intent).startsWith(p))) return k;
+      }
+    }
+    return defaultKey;
+  }
+
+  // `at` defaults to the schedule's clock
+  function isOpen(key, at) {
+    const { hours } = department(key);
+    if (hours === "always" || !schedule) return true;
+    const s = schedule.status(at);
+    if (hours === "store") return s.storeOpen;
+    if (hours === "delivery") {
+      // Dispatch stays reachable until the last delivery window ends, not just until last call
+      const dl = s.today.delivery;
+      return !!dl && s.at.minutes >= dl.start && s.at.minutes < dl.end;
+    }
+    if (typeof hours === "object") {
+      const days = hours.days || ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+      if (!days.includes(s.at.weekday)) return false;
+      const open = toMinutes(hours.open);
+      const close = toMinutes(hours.close);
+      return open !== null && close !== null && s.at.minutes >= open && s.at.minutes < close;
+    }
+    return true;
+  }
+
+  return {
+    department,
+    choose,
+    isOpen,
+    keys: () => [...keys],
+    dialTimeoutSec: Number(config.dialTimeoutSec) || 20,
+    voicemailMaxSec: Number(config.voicemailMaxSec) || 120,
+  };
+}
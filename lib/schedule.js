@@ -0,0 +1,420 @@
+// lib/schedule.js — Store hours, delivery window, last call and holiday overrides on the store's clock
+// Config lives in data/schedule.json (override with CN_SCHEDULE_FILE):
+//   store.default / store.mon…sun        { open: "09:00", close: "21:00" }   (or { closed: true });
+//                                        a close at or before the open ("10:00"–"02:00") runs past midnight
+//   delivery.default / delivery.mon…sun  { start: "08:30", end: "20:30", lastCall: "20:15" }
+//   holidays: [{ date: "2026-11-26" | "12-25", name, closed: true } | { date, name, open?, close?, start?, end?, lastCall? }]
+// `createSchedule(config, { now })` takes an injectable clock so answers can be checked at any time of day.
+// The caller-facing answers take a language ("en" | "es") after the time: openNowAnswer(undefined, "es").
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DEFAULT_FILE = path.join(ROOT, "data", "schedule.json");
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEK = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"]; // the order a week of hours is read out in
+const DAY_NAMES = {
+  sun: "Sunday", mon: "Monday", tue: "Tuesday", wed: "Wednesday",
+  thu: "Thursday", fri: "Friday", sat: "Saturday",
+};
+
+const FALLBACK_CONFIG = {
+  timezone: "America/Los_Angeles",
+  store: { default: { open: "09:00", close: "21:00" } },
+  delivery: { default: { start: "08:30", end: "20:30", lastCall: "20:15" } },
+  holidays: [],
+};
+
+export function loadScheduleConfig(file = process.env.CN_SCHEDULE_FILE || DEFAULT_FILE) {
+  try {
+    const cfg = { ...FALLBACK_CONFIG, ...JSON.parse(fs.readFileSync(path.resolve(ROOT, file), "utf8")) };
+    const bad = badTimes(cfg);
+    if (bad.length) console.error(`Schedule: ${bad.join(", ")} ${bad.length === 1 ? "is" : "are"} not HH:MM — those days count as closed`);
+    return cfg;
+  } catch (e) {
+    console.error("Schedule load failed, using default hours:", e.message);
+    return FALLBACK_CONFIG;
+  }
+}
+
+// ---------- Time helpers ----------
+function toMinutes(hhmm) {
+  const m = String(hhmm || "").match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+// [open, close] in minutes, or null when the store is closed. A time that doesn't parse closes the day:
+// better "we're closed" than open around the clock.
+function storeSpan(store) {
+  const open = toMinutes(store.open);
+  const close = toMinutes(store.close);
+  return store.closed || open === null || close === null ? null : [open, close];
+}
+
+// { start, end, lastCall } in minutes, or null when there's no delivery (closed, or a time doesn't parse)
+function deliverySpan(delivery) {
+  const start = toMinutes(delivery.start);
+  const end = toMinutes(delivery.end);
+  if (delivery.closed || start === null || end === null) return null;
+  return { start, end, lastCall: toMinutes(delivery.lastCall) ?? end };
+}
+
+// "store.mon.close \"9pm\"" for every time in the config that isn't HH:MM (holiday fields left blank are unset)
+function badTimes(cfg) {
+  const bad = [];
+  const check = (where, obj = {}, keys, { blankOk = false } = {}) => {
+    for (const k of keys) {
+      const v = obj[k];
+      if (v === undefined || v === null || (blankOk && v === "")) continue;
+      if (toMinutes(v) === null) bad.push(`${where}.${k} "${v}"`);
+    }
+  };
+  for (const [key, v] of Object.entries(cfg.store || {})) check(`store.${key}`, v, ["open", "close"]);
+  for (const [key, v] of Object.entries(cfg.delivery || {})) check(`delivery.${key}`, v, ["start", "end", "lastCall"]);
+  (cfg.holidays || []).forEach((h, i) =>
+    check(`holidays[${i}]`, h, ["open", "close", "start", "end", "lastCall"], { blankOk: true })
+  );
+  return bad;
+}
+
+// "21:00" → "9 PM", "20:15" → "8:15 PM"
+export function spokenTime(mins) {
+  const h24 = Math.floor(mins / 60) % 24;
+  const m = mins % 60;
+  const suffix = h24 < 12 ? "AM" : "PM";
+  const h = h24 % 12 || 12;
+  return m ? `${h}:${String(m).padStart(2, "0")} ${suffix}` : `${h} ${suffix}`;
+}
+
+function spokenDuration(mins) {
+  if (mins < 1.5) return "1 minute";
+  if (mins < 60) return `${Math.round(mins)} minutes`;
+  if (mins < 90) return "an hour";
+  return `${Math.round(mins / 60)} hours`;
+}
+
+// Spanish: "21:00" → "las 9 de la noche", "13:30" → "la 1:30 de la tarde"
+function horaEs(mins) {
+  const h24 = Math.floor(mins / 60) % 24;
+  const m = mins % 60;
+  const h = h24 % 12 || 12;
+  const part = h24 < 12 ? "de la mañana" : h24 === 12 ? "del mediodía" : h24 < 19 ? "de la tarde" : "de la noche";
+  return `${h === 1 ? "la" : "las"} ${m ? `${h}:${String(m).padStart(2, "0")}` : h} ${part}`;
+}
+
+function duracionEs(mins) {
+  if (mins < 1.5) return "1 minuto";
+  if (mins < 60) return `${Math.round(mins)} minutos`;
+  if (mins < 90) return "una hora";
+  return `${Math.round(mins / 60)} horas`;
+}
+
+const DAY_NAMES_ES = {
+  sun: "domingo", mon: "lunes", tue: "martes", wed: "miércoles",
+  thu: "jueves", fri: "viernes", sat: "sábado",
+};
+
+function localParts(date, timeZone) {
+  const f = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+  const p = Object.fromEntries(f.formatToParts(date).map((x) => [x.type, x.value]));
+  const ymd = `${p.year}-${p.month}-${p.day}`;
+  return { date: ymd, weekday: weekdayOf(ymd), minutes: Number(p.hour) * 60 + Number(p.minute) };
+}
+
+function weekdayOf(ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return DAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+// "a, b, and c" / "a, b y c"
+function listJoin(items, lang = "en") {
+  if (items.length < 2) return items.join("");
+  if (lang === "es") return `${items.slice(0, -1).join(", ")} y ${items[items.length - 1]}`;
+  if (items.length === 2) return items.join(" and ");
+  return `${items.slice(0, -1).join(", ")}, and ${items[items.length - 1]}`;
+}
+
+// "daily", "Sunday", "Friday and Saturday", "Monday to Thursday" (Spanish: "todos los días", "el domingo", …)
+function daysLabel(days, lang = "en") {
+  const es = lang === "es";
+  const name = (wd) => (es ? DAY_NAMES_ES[wd] : DAY_NAMES[wd]);
+  if (days.length === 7) return es ? "todos los días" : "daily";
+  if (days.length === 1) return es ? `el ${name(days[0])}` : name(days[0]);
+  if (days.length === 2) return es ? `el ${name(days[0])} y el ${name(days[1])}` : `${name(days[0])} and ${name(days[1])}`;
+  return es ? `de ${name(days[0])} a ${name(days[days.length - 1])}` : `${name(days[0])} to ${name(days[days.length - 1])}`;
+}
+
+// Consecutive weekdays with the same hours: [{ days: ["mon", …], span: [from, to] | null }] (null = closed)
+function groupDays(week, pick) {
+  const groups = [];
+  for (const d of week) {
+    const span = pick(d);
+    const last = groups[groups.length - 1];
+    if (last && JSON.stringify(last.span) === JSON.stringify(span)) last.days.push(d.wd);
+    else groups.push({ days: [d.wd], span });
+  }
+  return groups;
+}
+
+function addDays(ymd, n) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+// ---------- Schedule ----------
+export function createSchedule(config = FALLBACK_CONFIG, { now = () => new Date() } = {}) {
+  const tz = config.timezone || "America/Los_Angeles";
+
+  function holidayFor(ymd) {
+    return (config.holidays || []).find((h) => h.date === ymd || h.date === ymd.slice(5)) || null;
+  }
+
+  // A weekday's regular hours as configured, before any holiday override
+  function regularHours(wd) {
+    return {
+      store: { ...(config.store?.default || {}), ...(config.store?.[wd] || {}) },
+      delivery: { ...(config.delivery?.default || {}), ...(config.delivery?.[wd] || {}) },
+    };
+  }
+
+  // Hours for one calendar day (YYYY-MM-DD), holiday overrides applied. Times are minutes after midnight.
+  function day(ymd) {
+    const wd = weekdayOf(ymd);
+    const holiday = holidayFor(ymd);
+    const { store, delivery } = regularHours(wd);
+
+    if (holiday) {
+      for (const k of ["open", "close"]) if (holiday[k]) store[k] = holiday[k];
+      for (const k of ["start", "end", "lastCall"]) if (holiday[k]) delivery[k] = holiday[k];
+    }
+    const hours = holiday?.closed ? null : storeSpan(store);
+
+    return {
+      date: ymd,
+      weekday: wd,
+      holiday: holiday?.name || null,
+      closed: !hours,
+      open: hours ? hours[0] : null,
+      close: hours ? hours[1] : null,
+      overnight: !!hours && hours[1] <= hours[0],
+      delivery: hours ? deliverySpan(delivery) : null,
+    };
+  }
+
+  function dayLabel(fromYmd, ymd, lang = "en") {
+    if (lang === "es") {
+      if (ymd === fromYmd) return "hoy";
+      if (ymd === addDays(fromYmd, 1)) return "mañana";
+      return `el ${DAY_NAMES_ES[weekdayOf(ymd)]}`;
+    }
+    if (ymd === fromYmd) return "today";
+    if (ymd === addDays(fromYmd, 1)) return "tomorrow";
+    return DAY_NAMES[weekdayOf(ymd)];
+  }
+
+  // Next day (after `ymd`) the store or delivery is running
+  function nextDay(ymd, pick) {
+    for (let i = 1; i <= 14; i++) {
+      const d = day(addDays(ymd, i));
+      if (pick(d)) return d;
+    }
+    return null;
+  }
+
+  function status(at = now()) {
+    const t = localParts(at, tz);
+    const today = day(t.date);
+    // Before dawn after a late night we're still on yesterday's hours
+    const yesterday = day(addDays(t.date, -1));
+    const lateNight = yesterday.overnight && t.minutes < yesterday.close;
+    const closesAt = lateNight ? yesterday.close : today.overnight ? today.close + 24 * 60 : today.close;
+    const storeOpen = lateNight || (!today.closed && t.minutes >= today.open && t.minutes < closesAt);
+    const dl = today.delivery;
+    const deliveryOpen = !!dl && t.minutes >= dl.start && t.minutes < dl.lastCall;
+
+    return {
+      at: t,
+      today,
+      storeOpen,
+      closesAt: storeOpen ? closesAt % (24 * 60) : null,
+      minutesToClose: storeOpen ? closesAt - t.minutes : null,
+      deliveryOpen,
+      beforeDelivery: !!dl && t.minutes < dl.start,
+      lastCallPassed: !dl || t.minutes >= dl.lastCall,
+      minutesToLastCall: deliveryOpen ? dl.lastCall - t.minutes : null,
+    };
+  }
+
+  // "Are you open right now?"
+  function openNowAnswer(at = now(), lang = "en") {
+    const s = status(at);
+    const { today } = s;
+    if (lang === "es") return openNowEs(s);
+    if (s.storeOpen) {
+      const left = spokenDuration(s.minutesToClose).replace(/^an hour$/, "hour");
+      return `Yes — we’re open right now for another ${left}, until ${spokenTime(s.closesAt)}.`;
+    }
+    if (!today.closed && s.at.minutes < today.open) {
+      return `We’re not open yet — we open today at ${spokenTime(today.open)}.`;
+    }
+    const next = nextDay(today.date, (d) => !d.closed);
+    const reopen = next ? ` We open again ${dayLabel(today.date, next.date)} at ${spokenTime(next.open)}.` : "";
+    if (today.holiday && today.closed) return `We’re closed today for ${today.holiday}.${reopen}`;
+    return `We’re closed right now.${reopen}`;
+  }
+
+  function openNowEs(s) {
+    const { today } = s;
+    if (s.storeOpen) {
+      return `Sí — estamos abiertos ahora, por ${duracionEs(s.minutesToClose)} más, hasta ${horaEs(s.closesAt)}.`;
+    }
+    if (!today.closed && s.at.minutes < today.open) {
+      return `Todavía no abrimos — hoy abrimos a ${horaEs(today.open)}.`;
+    }
+    const next = nextDay(today.date, (d) => !d.closed);
+    const reopen = next ? ` Volvemos a abrir ${dayLabel(today.date, next.date, "es")} a ${horaEs(next.open)}.` : "";
+    if (today.holiday && today.closed) return `Hoy estamos cerrados por ${today.holiday}.${reopen}`;
+    return `En este momento estamos cerrados.${reopen}`;
+  }
+
+  // "What are your hours?": the regular week, plus any holiday coming up in the next seven days
+  function hoursAnswer(at = now(), lang = "en") {
+    const es = lang === "es";
+    const span = ([from, to]) => (es ? `de ${horaEs(from)} a ${horaEs(to)}` : `from ${spokenTime(from)} to ${spokenTime(to)}`);
+    const week = WEEK.map((wd) => ({ wd, ...regularHours(wd) }));
+
+    const store = groupDays(week, ({ store: s }) => storeSpan(s));
+    const open = store.filter((g) => g.span).map((g) => `${daysLabel(g.days, lang)} ${span(g.span)}`);
+    const closed = store.filter((g) => !g.span).map((g) => (es ? "cerramos " : "closed ") + daysLabel(g.days, lang));
+    const lines = [
+      open.length
+        ? es
+          ? `Abrimos ${listJoin([...open, ...closed], lang)}.`
+          : `We’re open ${listJoin([...open, ...closed], lang)}.`
+        : es
+          ? "La tienda está cerrada por ahora."
+          : "The store is closed for now.",
+    ];
+
+    const delivery = groupDays(week, ({ store: s, delivery: d }) => {
+      const dl = storeSpan(s) && deliverySpan(d);
+      return dl ? [dl.start, dl.end] : null;
+    })
+      .filter((g) => g.span)
+      .map((g) => `${daysLabel(g.days, lang)} ${span(g.span)}`);
+    if (delivery.length) {
+      lines.push(es ? `Las entregas son ${listJoin(delivery, lang)}.` : `Delivery runs ${listJoin(delivery, lang)}.`);
+    }
+
+    const from = localParts(at, tz).date;
+    for (let i = 1; i <= 7; i++) {
+      const d = day(addDays(from, i));
+      if (!d.holiday) continue;
+      const label = dayLabel(from, d.date, lang);
+      const Label = label[0].toUpperCase() + label.slice(1);
+      const regular = storeSpan(regularHours(d.weekday).store);
+      if (d.closed) {
+        lines.push(es ? `Cerramos ${label} por ${d.holiday}.` : `We’re closed ${label} for ${d.holiday}.`);
+      } else if (!regular || d.open !== regular[0] || d.close !== regular[1]) {
+        lines.push(
+          es
+            ? `${Label} es ${d.holiday}: abrimos ${span([d.open, d.close])}.`
+            : `${Label} is ${d.holiday}: we’re open ${span([d.open, d.close])}.`
+        );
+      }
+    }
+    return lines.join(" ");
+  }
+
+  // Timing note for delivery quotes: last call today, or when an order would be scheduled
+  function deliveryNote(at = now(), lang = "en") {
+    const s = status(at);
+    const { today } = s;
+    const dl = today.delivery;
+    if (lang === "es") return deliveryNoteEs(s);
+
+    if (s.deliveryOpen) {
+      return s.minutesToLastCall <= 90
+        ? `Last call for delivery today is ${spokenTime(dl.lastCall)} — that’s ${spokenDuration(s.minutesToLastCall)} from now.`
+        : `Last call for delivery today is ${spokenTime(dl.lastCall)}.`;
+    }
+    if (s.beforeDelivery) {
+      return `Delivery starts today at ${spokenTime(dl.start)}, and last call is ${spokenTime(dl.lastCall)}.`;
+    }
+
+    const next = nextDay(today.date, (d) => !!d.delivery);
+    const when = next ? `${dayLabel(today.date, next.date)} morning` : "the next delivery day";
+    if (today.holiday && !dl) {
+      return `We’re closed for ${today.holiday}, so this would be scheduled for ${when}.`;
+    }
+    return `Delivery last call has passed for today; this would be scheduled for ${when}.`;
+  }
+
+  function deliveryNoteEs(s) {
+    const { today } = s;
+    const dl = today.delivery;
+    if (s.deliveryOpen) {
+      return s.minutesToLastCall <= 90
+        ? `La última llamada para entregas hoy es a ${horaEs(dl.lastCall)} — eso es en ${duracionEs(s.minutesToLastCall)}.`
+        : `La última llamada para entregas hoy es a ${horaEs(dl.lastCall)}.`;
+    }
+    if (s.beforeDelivery) {
+      return `Las entregas empiezan hoy a ${horaEs(dl.start)}, y la última llamada es a ${horaEs(dl.lastCall)}.`;
+    }
+    const next = nextDay(today.date, (d) => !!d.delivery);
+    const when = next ? `${dayLabel(today.date, next.date, "es")} por la mañana` : "el próximo día de entregas";
+    if (today.holiday && !dl) {
+      return `Estamos cerrados por ${today.holiday}, así que su pedido se programaría para ${when}.`;
+    }
+    return `Ya pasó la última llamada para entregas de hoy; su pedido se programaría para ${when}.`;
+  }
+
+  // Last-call line for general hours answers (no order in play)
+  function lastCallAnswer(at = now(), lang = "en") {
+    const s = status(at);
+    const dl = s.today.delivery;
+    if (lang === "es") {
+      if (!dl) return "Hoy no hay entregas.";
+      if (s.lastCallPassed) return "Ya pasó la última llamada para entregas de hoy.";
+      return `La última llamada para entregas hoy es a ${horaEs(dl.lastCall)}.`;
+    }
+    if (!dl) return "There’s no delivery today.";
+    if (s.lastCallPassed) return "Delivery last call has passed for today.";
+    return `Last call for delivery today is ${spokenTime(dl.lastCall)}.`;
+  }
+
+  // One line for prompts/logs: "Thursday 7:40 PM — store open until 9 PM, delivery last call 8:15 PM"
+  function summary(at = now()) {
+    const s = status(at);
+    const { today } = s;
+    const head = `${DAY_NAMES[today.weekday]} ${spokenTime(s.at.minutes)}`;
+    if (today.closed && !s.storeOpen) return `${head} — closed${today.holiday ? ` for ${today.holiday}` : ""}`;
+    const store = s.storeOpen ? `store open until ${spokenTime(s.closesAt)}` : "store closed";
+    const del = today.delivery
+      ? s.lastCallPassed
+        ? "delivery last call has passed"
+        : `delivery last call ${spokenTime(today.delivery.lastCall)}`
+      : "no delivery today";
+    return `${head} — ${store}, ${del}`;
+  }
+
+  // "3:40 PM" / "las 3:40 de la tarde" for a moment, on the store's clock
+  function timeOf(at = now(), lang = "en") {
+    const { minutes } = localParts(at, tz);
+    return lang === "es" ? horaEs(minutes) : spokenTime(minutes);
+  }
+
+  return { now, status, day, timeOf, openNowAnswer, hoursAnswer, deliveryNote, lastCallAnswer, summary };
+}
@@ -0,0 +1,171 @@
+// lib/security.js — Who may call us: Twilio webhook signatures, signed relay tokens, admin/debug guard
+//   CN_TWILIO_AUTH      "true" (default) → X-Twilio-Signature required on /twilio/* and a signed token on /relay
+//   CN_RELAY_SECRET     HMAC key for relay tokens (defaults to TWILIO_AUTH_TOKEN)
+//   CN_RELAY_TOKEN_TTL_S  how long a relay token from /twilio/voice stays valid (default 120)
+//   CN_ADMIN_TOKEN      shared secret for debug/admin routes (Bearer, X-Admin-Token, or basic-auth password)
+
+import crypto from "node:crypto";
+import twilio from "twilio";
+
+const twilioAuthOn = () => String(process.env.CN_TWILIO_AUTH || "true").toLowerCase() !== "false";
+const relaySecret = () => process.env.CN_RELAY_SECRET || process.env.TWILIO_AUTH_TOKEN || "";
+const relayTtlMs = () => Number(process.env.CN_RELAY_TOKEN_TTL_S || 120) * 1000;
+const adminToken = () => process.env.CN_ADMIN_TOKEN || "";
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// ---------- Twilio webhooks ----------
+// The URL Twilio signed: PUBLIC_BASE_URL when we know it (proxies rewrite host/proto), else what the request says
+function signedUrl(req, baseUrl) {
+  if (baseUrl) return `${baseUrl}${req.originalUrl}`;
+  const proto = String(req.get("x-forwarded-proto") || req.protocol).split(",")[0].trim();
+  return `${proto}://${req.get("host")}${req.originalUrl}`;
+}
+
+// Express middleware: reject webhook POSTs that aren't signed by our Twilio account
+export function twilioWebhookGuard({ baseUrl = "" } = {}) {
+  return (req, res, next) => {
+    if (!twilioAuthOn()) return next();
+    const token = process.env.TWILIO_AUTH_TOKEN;
+    const signature = req.get("x-twilio-signature");
+    if (!token) {
+      console.error("Rejected", req.path, "— TWILIO_AUTH_TOKEN is not set, can't check signatures");
+      return res.status(503).type("text/plain").send("Webhook validation is not configured");
+    }
+    const url = signedUrl(req, baseUrl);
+    if (!signature || !twilio.validateRequest(token, signature, url, req.body || {})) {
+      console.warn("Rejected unsigned/invalid Twilio webhook:", req.method, url);
+      return res.status(403).type("text/plain").send("Invalid Twilio signature");
+    }
+    next();
+  };
+}
+
+// ---------- Relay tokens ----------
+// "<expiresAtMs>.<hmac>" bound to one CallSid; goes in the ConversationRelay url from /twilio/voice
+export function signRelayToken(callSid, now = Date.now()) {
+  const exp = now + relayTtlMs();
+  const mac = crypto.createHmac("sha256", relaySecret()).update(`${callSid}.${exp}`).digest("base64url");
+  return `${exp}.${mac}`;
+}
+
+// { ok, reason } for a token/CallSid pair taken from the WS upgrade URL
+export function verifyRelayToken(callSid, token, now = Date.now()) {
+  if (!twilioAuthOn()) return { ok: true };
+  if (!relaySecret()) return { ok: false, reason: "no relay secret configured" };
+  const [exp, mac] = String(token || "").split(".");
+  if (!callSid || !exp || !mac) return { ok: false, reason: "missing token" };
+  const want = crypto.createHmac("sha256", relaySecret()).update(`${callSid}.${exp}`).digest("base64url");
+  if (!safeEqual(mac, want)) return { ok: false, reason: "bad signature" };
+  if (Number(exp) < now) return { ok: false, reason: "expired" };
+  return { ok: true };
+}
+
+// ws `verifyClient` hook: checks ?callSid=…&token=… and stashes the CallSid on the request
+export function verifyRelayClient({ req }, done) {
+  const url = new URL(req.url, "http://relay.local");
+  const callSid = url.searchParams.get("callSid");
+  const check = verifyRelayToken(callSid, url.searchParams.get("token"));
+  if (!check.ok) {
+    console.warn("Rejected /relay connection:", check.reason);
+    return done(false, 401, "Unauthorized");
+  }
+  req.relayCallSid = callSid || null;
+  done(true);
+}
+
+// Upgrade URLs carry the token; keep it out of the logs
+export function redactRelayUrl(url = "") {
+  return String(url).replace(/([?&]token=)[^&]+/, "$1…");
+}
+
+// ---------- Admin / debug routes ----------
+function presentedAdminToken(req) {
+  const auth = req.get("authorization") || "";
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, "").trim();
+  if (/^basic\s+/i.test(auth)) {
+    const decoded = Buffer.from(auth.replace(/^basic\s+/i, ""), "base64").toString("utf8");
+    return decoded.slice(decoded.indexOf(":") + 1); // any username; the password is the token
+  }
+  return req.get("x-admin-token") || "";
+}
+
+// Who made an admin change, for audit trails: the username that came with the Basic auth login, or
+// "admin" for a bearer/X-Admin-Token request (no header of the request's own choosing is trusted)
+export function adminActor(req) {
+  const auth = req.get("authorization") || "";
+  if (/^basic\s+/i.test(auth)) {
+    const decoded = Buffer.from(auth.replace(/^basic\s+/i, ""), "base64").toString("utf8");
+    const user = decoded.slice(0, Math.max(0, decoded.indexOf(":"))).trim();
+    if (user) return user.slice(0, 64);
+  }
+  return "admin";
+}
+
+export function requireAdmin(req, res, next) {
+  const want = adminToken();
+  if (!want) return res.status(503).json({ error: "Admin routes are disabled (set CN_ADMIN_TOKEN)" });
+  if (safeEqual(presentedAdminToken(req), want)) return next();
+  res.set("WWW-Authenticate", 'Basic realm="crystal-nugs-admin"');
+  res.status(401).json({ error: "Unauthorized" });
+}
+
+// Admin routes that change data. The browser resends Basic auth on any request to this host, so a page
+// elsewhere could post a form here as the logged-in staff member. A cross-site form can't set a header or
+// send JSON/CSV without a CORS preflight (never answered here), so a write needs one of those, and form
+// bodies are refused outright.
+const FORM_TYPES = ["application/x-www-form-urlencoded", "multipart/form-data"];
+
+export function requireAdminWrite(req, res, next) {
+  requireAdmin(req, res, () => {
+    if (req.is(FORM_TYPES)) return res.status(415).json({ error: "Form bodies aren't accepted — send JSON" });
+    if (!req.get("x-requested-with") && !req.is(["application/json", "text/csv"])) {
+      return res.status(403).json({ error: "Admin changes need a JSON body or the X-Requested-With header" });
+    }
+    next();
+  });
+}
+
+// ---------- Startup report ----------
+// [{ level: "error" | "warn" | "info", message }]
+export function securityReport({ baseUrl = "" } = {}) {
+  const out = [];
+  if (twilioAuthOn()) {
+    if (!process.env.TWILIO_AUTH_TOKEN) {
+      out.push({
+        level: "error",
+        message: "CN_TWILIO_AUTH is on but TWILIO_AUTH_TOKEN is missing — every /twilio/* webhook will be rejected. Set the token, or CN_TWILIO_AUTH=false for local testing.",
+      });
+    }
+    if (!relaySecret()) {
+      out.push({ level: "error", message: "No CN_RELAY_SECRET or TWILIO_AUTH_TOKEN — /relay connections will be rejected." });
+    }
+    if (!baseUrl) {
+      out.push({
+        level: "warn",
+        message: "PUBLIC_BASE_URL is not set — signatures are checked against the request's Host/X-Forwarded-Proto, which can fail behind some proxies.",
+      });
+    }
+  } else {
+    out.push({ level: "warn", message: "CN_TWILIO_AUTH=false — Twilio webhooks and /relay accept unauthenticated requests." });
+  }
+  if (process.env.CN_TWILIO_API_BASE) {
+    out.push({
+      level: "warn",
+      message: `CN_TWILIO_API_BASE is set — Twilio REST calls (texts, transfers) go to ${process.env.CN_TWILIO_API_BASE}, not Twilio.`,
+    });
+  }
+  if (!adminToken()) {
+    out.push({ level: "warn", message: "CN_ADMIN_TOKEN is not set — debug/admin routes are disabled." });
+  } else if (adminToken().length < 16) {
+    out.push({ level: "warn", message: "CN_ADMIN_TOKEN is shorter than 16 characters." });
+  }
+  if (!out.some((x) => x.level !== "info")) {
+    out.push({ level: "info", message: "Twilio signatures, relay tokens and admin auth are all on." });
+  }
+  return out;
+}
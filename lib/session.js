@@ -0,0 +1,80 @@
+// lib/session.js — Per-conversation state for the /relay WebSocket and /twilio/sms
+// One session per CallSid (or "sms:<number>" for a text thread): pending slots (what we just asked for),
+// remembered slots, last intent, turn history.
+
+const sessionTtlMs = () => Number(process.env.CN_SESSION_TTL_MS || 30 * 60 * 1000);
+const maxHistory = () => Number(process.env.CN_SESSION_HISTORY || 20);
+
+const sessions = new Map();
+
+function newSession(id) {
+  const now = Date.now();
+  return {
+    id,
+    createdAt: now,
+    updatedAt: now,
+    channel: "voice", // "sms" for text threads
+    lang: "en", // "es" once the caller switches to Spanish
+    lastIntent: null,
+    // What the bot is waiting on, e.g. { slot: "zip", intent: "delivery", asks: {...} }
+    pending: null,
+    // Facts the caller already gave us this call (orderId: the order placed or looked up on this call)
+    slots: { zip: null, venue: null, brand: null, category: null, orderId: null },
+    // Phone order in progress (lib/engine/order.js)
+    order: null,
+    // Caller's phone number (from the relay setup message) and SMS follow-up state
+    caller: null,
+    textable: null, // last answer we could text: { kind, body }
+    sms: { offers: 0, declined: false, sent: [] },
+    history: [],
+  };
+}
+
+// Get (or create) the session for a CallSid. Calls without a SID get a throwaway id.
+export function openSession(callSid) {
+  const id = callSid || `anon-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  let s = sessions.get(id);
+  if (!s) {
+    s = newSession(id);
+    sessions.set(id, s);
+  }
+  s.updatedAt = Date.now();
+  return s;
+}
+
+export function getSession(callSid) {
+  return (callSid && sessions.get(callSid)) || null;
+}
+
+export function endSession(callSid) {
+  if (callSid) sessions.delete(callSid);
+}
+
+export function pushTurn(session, role, text, extra = {}) {
+  if (!session) return;
+  session.history.push({ role, text, at: Date.now(), ...extra });
+  const max = maxHistory();
+  if (session.history.length > max) session.history.splice(0, session.history.length - max);
+  session.updatedAt = Date.now();
+}
+
+export function setPending(session, pending) {
+  if (session) session.pending = pending || null;
+}
+
+export function clearPending(session) {
+  if (session) session.pending = null;
+}
+
+export function sessionCount() {
+  return sessions.size;
+}
+
+// Drop abandoned sessions (sockets that never closed cleanly)
+const sweeper = setInterval(() => {
+  const cutoff = Date.now() - sessionTtlMs();
+  for (const [id, s] of sessions) {
+    if (s.updatedAt < cutoff) sessions.delete(id);
+  }
+}, 60 * 1000);
+sweeper.unref?.();
@@ -0,0 +1,114 @@
+// lib/sms.js — Outbound texts through the Twilio Messaging API, plus per-number consent
+// Consent is kept in CN_SMS_CONSENT_FILE (default data/sms-consent.json):
+//   { "+19165550100": { status: "opted_in" | "opted_out", at, source, text } }
+// Callers opt in by saying yes on a call; STOP on /twilio/sms opts them out and blocks every later send.
+// CN_TWILIO_API_BASE (testing only) sends every Twilio REST call — texts and live transfers — to another
+// host instead of https://api.twilio.com; scripts/simulate.js points it at its local stub.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import twilio from "twilio";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const consentFile = () => path.resolve(ROOT, process.env.CN_SMS_CONSENT_FILE || "data/sms-consent.json");
+
+export function twilioClient() {
+  const ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+  const AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+  if (!ACCOUNT_SID || !AUTH_TOKEN) throw new Error("Missing Twilio creds (Account SID/Auth Token)");
+  const apiBase = String(process.env.CN_TWILIO_API_BASE || "").replace(/\/+$/, "");
+  if (!apiBase) return twilio(ACCOUNT_SID, AUTH_TOKEN);
+
+  const http = new twilio.RequestClient();
+  const rebase = (uri) => String(uri).replace(/^https:\/\/[^/]+/, apiBase);
+  return twilio(ACCOUNT_SID, AUTH_TOKEN, {
+    httpClient: { request: (opts) => http.request({ ...opts, uri: rebase(opts.uri) }) },
+  });
+}
+
+// Texting needs creds and a sender (CN_SMS_FROM number or CN_SMS_MESSAGING_SERVICE_SID)
+export function smsEnabled() {
+  if (String(process.env.CN_SMS_ENABLED || "true").toLowerCase() === "false") return false;
+  return !!(
+    process.env.TWILIO_ACCOUNT_SID &&
+    process.env.TWILIO_AUTH_TOKEN &&
+    (process.env.CN_SMS_FROM || process.env.CN_SMS_MESSAGING_SERVICE_SID)
+  );
+}
+
+// ---------- Consent ----------
+let consent = null;
+
+function consentMap() {
+  if (consent) return consent;
+  try {
+    consent = JSON.parse(fs.readFileSync(consentFile(), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error("SMS consent load failed, starting empty:", e.message);
+    consent = {};
+  }
+  return consent;
+}
+
+function saveConsent() {
+  const file = consentFile();
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(consentMap(), null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (e) {
+    console.error("SMS consent save failed:", e.message);
+  }
+}
+
+// "+1 (916) 555-0100" / "9165550100" → "+19165550100"
+export function normalizePhone(raw = "") {
+  const digits = String(raw).replace(/[^\d]/g, "");
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return String(raw).trim().startsWith("+") ? `+${digits}` : digits;
+}
+
+export function consentFor(number) {
+  return consentMap()[normalizePhone(number)] || null;
+}
+
+export function isOptedOut(number) {
+  return consentFor(number)?.status === "opted_out";
+}
+
+// `source` says where it came from ("call:CA…", "sms:STOP"); `text` is what the person said
+export function recordConsent(number, { status, source = null, text = null } = {}) {
+  const key = normalizePhone(number);
+  if (!key) return;
+  consentMap()[key] = { status, at: new Date().toISOString(), source, text };
+  saveConsent();
+  console.log("SMS consent:", key, status, source || "");
+}
+
+// ---------- Keywords (carrier-standard opt-out / opt-in / help) ----------
+export function smsKeyword(body = "") {
+  const w = String(body).trim().toLowerCase().replace(/[^a-z]/g, "");
+  if (/^(stop|stopall|unsubscribe|cancel|end|quit|optout|revoke)$/.test(w)) return "stop";
+  if (/^(start|unstop|yes|optin)$/.test(w)) return "start";
+  if (/^(help|info)$/.test(w)) return "help";
+  return null;
+}
+
+// ---------- Send ----------
+// `from` overrides CN_SMS_FROM (e.g. the number the caller dialed)
+export async function sendSms({ to, body, from = null }) {
+  const number = normalizePhone(to);
+  if (!number) throw new Error("No phone number to text");
+  if (isOptedOut(number)) throw new Error("Recipient opted out of texts");
+  if (String(process.env.CN_SMS_ENABLED || "true").toLowerCase() === "false") throw new Error("SMS is turned off");
+
+  const msg = { to: number, body };
+  if (!from && process.env.CN_SMS_MESSAGING_SERVICE_SID) msg.messagingServiceSid = process.env.CN_SMS_MESSAGING_SERVICE_SID;
+  else msg.from = from || process.env.CN_SMS_FROM;
+  if (!msg.from && !msg.messagingServiceSid) throw new Error("No SMS sender configured (CN_SMS_FROM)");
+  const sent = await twilioClient().messages.create(msg);
+  console.log("SMS sent:", sent.sid, "to", number);
+  return sent;
+}
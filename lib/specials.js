@@ -0,0 +1,325 @@
+// lib/specials.js — Daily specials: the deals the assistant reads out, entered in /admin/specials or imported
+// Kept in CN_SPECIALS_FILE (default data/specials.json) as a JSON array of deals:
+//   { id, title, titleEs, brands: ["STIIIZY"], categories: ["vape"], days: ["fri", "sat"],
+//     start: "2026-10-01", end: "2026-10-31", finePrint, finePrintEs, active, updatedAt, updatedBy }
+// `title` is what gets said ("20% off all STIIIZY pods"); Spanish calls use titleEs / finePrintEs when set.
+// Empty brands and categories = storewide, empty days = every day, start/end are inclusive store-local
+// dates and either may be left open. A deal with active: false stays on file but is never read out.
+//
+// Imports (POST /admin/specials/import) take the same rows as a JSON array or a CSV with a header:
+//   id,title,title_es,brands,categories,days,start,end,fine_print,fine_print_es,active
+//   ,20% off all STIIIZY pods,20% de descuento en todos los pods de STIIIZY,STIIIZY,vape,fri|sat,,,"While supplies last, limit 4",,
+// List cells take "|" or ";" between values (commas belong to the CSV). A row with the id or title of a
+// deal on file updates it; columns left out of the feed, and blank CSV cells, keep their values.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { normalizeCategory, squash } from "./catalog.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const storeFile = () => path.resolve(ROOT, process.env.CN_SPECIALS_FILE || "data/specials.json");
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TITLE = 200;
+const MAX_FINE_PRINT = 500;
+
+// CSV header → deal field (snake_case and camelCase both work)
+const COLUMNS = {
+  id: "id",
+  title: "title",
+  titlees: "titleEs",
+  brands: "brands",
+  brand: "brands",
+  categories: "categories",
+  category: "categories",
+  days: "days",
+  start: "start",
+  end: "end",
+  fineprint: "finePrint",
+  fineprintes: "finePrintEs",
+  active: "active",
+};
+
+let state = { file: null, deals: [], loadedAt: null, lastError: null };
+
+// ---------- Load ----------
+export function loadSpecials(file = storeFile()) {
+  state = { file, deals: [], loadedAt: new Date().toISOString(), lastError: null };
+  let rows = [];
+  try {
+    rows = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(rows)) throw new Error("Specials file must be a JSON array of deals");
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      state.lastError = e.message;
+      console.error("Specials load failed, no deals will be read out:", e.message);
+    }
+    return specialsStatus();
+  }
+  const { deals, errors } = validateDeals(rows, path.relative(ROOT, file));
+  for (const err of errors) console.error("Specials:", err);
+  state.deals = deals;
+  if (deals.length) console.log(`Loaded ${deals.length} specials from ${path.relative(ROOT, file)}`);
+  return specialsStatus();
+}
+
+export function specialsStatus() {
+  return {
+    file: state.file ? path.relative(ROOT, state.file) : null,
+    deals: state.deals.length,
+    loadedAt: state.loadedAt,
+    lastError: state.lastError,
+  };
+}
+
+// ---------- Query ----------
+export function listDeals() {
+  return state.deals;
+}
+
+export function getDeal(id) {
+  return state.deals.find((d) => d.id === id) || null;
+}
+
+// Deals running on a store-local day ({ date: "YYYY-MM-DD", weekday: "fri" }, as schedule.status().at gives),
+// narrowed to a brand and/or category when the caller named one
+export function dealsOn(day, { brand = null, category = null } = {}) {
+  return state.deals.filter((d) => runsOn(d, day) && appliesTo(d, { brand, category }));
+}
+
+function runsOn(deal, { date, weekday }) {
+  if (!deal.active) return false;
+  if (deal.start && date < deal.start) return false;
+  if (deal.end && date > deal.end) return false;
+  return !deal.days.length || deal.days.includes(weekday);
+}
+
+// Storewide deals apply to everything; a brand deal answers for that brand, a category deal for that
+// category, and a deal targeting both needs the brand or the category to match with nothing contradicting it
+export function appliesTo(deal, { brand = null, category = null } = {}) {
+  if (!brand && !category) return true;
+  const hasBrand = !!brand && deal.brands.some((b) => squash(b) === squash(brand));
+  const hasCategory = !!category && deal.categories.includes(category);
+  const brandOk = !deal.brands.length || (brand ? hasBrand : hasCategory);
+  const categoryOk = !deal.categories.length || (category ? hasCategory : hasBrand);
+  return brandOk && categoryOk;
+}
+
+// ---------- Validation ----------
+// Returns { deals, errors }. Invalid rows are dropped; a repeated id keeps the first row.
+export function validateDeals(rows = [], source = "specials") {
+  const deals = [];
+  const errors = [];
+  const seen = new Set();
+  rows.forEach((raw, i) => {
+    const { deal, problems } = checkDeal(raw);
+    const where = `${source} row ${i + 1}${deal.title ? ` (${deal.title})` : ""}`;
+    if (problems.length) return errors.push(`${where}: ${problems.join("; ")}`);
+    if (!deal.id) deal.id = uniqueId(deal.title, seen);
+    if (seen.has(deal.id)) return errors.push(`${where}: duplicate id "${deal.id}"`);
+    seen.add(deal.id);
+    deals.push(deal);
+  });
+  return { deals, errors };
+}
+
+// One raw row (JSON or CSV) → { deal, problems }
+function checkDeal(raw = {}) {
+  const problems = [];
+  const text = (v) => String(v ?? "").trim();
+  const deal = {
+    id: text(raw.id),
+    title: text(raw.title),
+    titleEs: text(raw.titleEs) || null,
+    brands: list(raw.brands),
+    categories: [],
+    days: [],
+    start: text(raw.start) || null,
+    end: text(raw.end) || null,
+    finePrint: text(raw.finePrint) || null,
+    finePrintEs: text(raw.finePrintEs) || null,
+    active: !/^(false|no|0|off)$/i.test(text(raw.active)),
+    updatedAt: raw.updatedAt || null,
+    updatedBy: raw.updatedBy || null,
+  };
+
+  if (deal.id && !/^[a-z0-9][a-z0-9-]{0,60}$/.test(deal.id)) problems.push(`id "${deal.id}" must be lowercase letters, digits and dashes`);
+  if (!deal.title) problems.push("title is required");
+  if (deal.title.length > MAX_TITLE || (deal.titleEs || "").length > MAX_TITLE) problems.push(`title is longer than ${MAX_TITLE} characters`);
+  for (const c of list(raw.categories)) {
+    const cat = normalizeCategory(c);
+    if (cat) deal.categories.push(cat);
+    else problems.push(`unknown category "${c}"`);
+  }
+  for (const d of list(raw.days)) {
+    if (/^(daily|every ?day|all)$/i.test(d)) continue;
+    const day = d.toLowerCase().slice(0, 3);
+    if (DAYS.includes(day)) deal.days.push(day);
+    else problems.push(`unknown day "${d}"`);
+  }
+  for (const k of ["start", "end"]) {
+    if (deal[k] && (!DATE_RE.test(deal[k]) || Number.isNaN(Date.parse(deal[k])))) problems.push(`${k} "${deal[k]}" is not YYYY-MM-DD`);
+  }
+  if (deal.start && deal.end && deal.end < deal.start) problems.push("end is before start");
+  if ((deal.finePrint || "").length > MAX_FINE_PRINT || (deal.finePrintEs || "").length > MAX_FINE_PRINT) {
+    problems.push(`fine print is longer than ${MAX_FINE_PRINT} characters`);
+  }
+  return { deal, problems };
+}
+
+// Arrays as given; strings split on "|" or ";" (and commas, outside CSV cells)
+function list(v) {
+  const items = Array.isArray(v) ? v : String(v ?? "").split(/[|;,]/);
+  return items.map((x) => String(x).trim()).filter(Boolean);
+}
+
+// "20% off all STIIIZY pods" → "20-off-all-stiiizy-pods" (-2, -3 … when taken)
+function uniqueId(title, taken) {
+  const base = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 50) || "deal";
+  let id = base;
+  for (let n = 2; taken.has(id) || getDeal(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// ---------- CSV ----------
+// Quoted cells may hold commas, newlines and "" for a quote; blank lines and # comments are skipped
+export function parseSpecialsCsv(text = "") {
+  const records = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      records.push([...row, cell]);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  records.push([...row, cell]);
+
+  const lines = records.filter((r) => r.some((c) => c.trim()) && !r[0].trim().startsWith("#"));
+  if (!lines.length) return [];
+  const header = lines[0].map((h) => COLUMNS[h.trim().toLowerCase().replace(/[^a-z]/g, "")] || null);
+  return lines.slice(1).map((cells) => {
+    const row = {};
+    header.forEach((field, i) => {
+      if (field) row[field] = (cells[i] ?? "").trim();
+    });
+    return row;
+  });
+}
+
+// ---------- Change ----------
+// { ok: true, deal } or { ok: false, status, error } for the admin routes to pass on
+export function addDeal(raw = {}, { actor = "admin" } = {}) {
+  if (raw.id && getDeal(String(raw.id))) return { ok: false, status: 409, error: `Deal ${raw.id} already exists` };
+  const { deal, problems } = checkDeal(raw);
+  if (problems.length) return { ok: false, status: 400, error: problems.join("; ") };
+  deal.id ||= uniqueId(deal.title, new Set());
+  state.deals.push(stamp(deal, actor));
+  changed("create", deal, actor);
+  return { ok: true, deal };
+}
+
+// Fields left out keep their current value
+export function updateDeal(id, raw = {}, { actor = "admin" } = {}) {
+  const i = state.deals.findIndex((d) => d.id === id);
+  if (i < 0) return { ok: false, status: 404, error: `No deal ${id}` };
+  const { deal, problems } = checkDeal({ ...state.deals[i], ...raw, id });
+  if (problems.length) return { ok: false, status: 400, error: problems.join("; ") };
+  state.deals[i] = stamp(deal, actor);
+  changed("update", deal, actor);
+  return { ok: true, deal };
+}
+
+export function removeDeal(id, { actor = "admin" } = {}) {
+  const deal = getDeal(id);
+  if (!deal) return { ok: false, status: 404, error: `No deal ${id}` };
+  state.deals = state.deals.filter((d) => d !== deal);
+  changed("delete", deal, actor);
+  return { ok: true, deal };
+}
+
+// Import a CSV or JSON feed. All rows must validate or nothing changes; `replace` drops the deals not in it.
+// → { ok: true, created, updated, removed } or { ok: false, status: 400, error, errors }
+export function importDeals(text, { format = "json", replace = false, actor = "admin" } = {}) {
+  let rows;
+  try {
+    rows = format === "csv" ? parseSpecialsCsv(text) : typeof text === "string" ? JSON.parse(text) : text;
+    if (!Array.isArray(rows)) rows = rows?.deals;
+    if (!Array.isArray(rows)) throw new Error("expected an array of deals (or { deals: [...] })");
+  } catch (e) {
+    return { ok: false, status: 400, error: `Could not read the ${format.toUpperCase()} feed: ${e.message}` };
+  }
+  // A row without an id updates the deal with the same title, so re-importing a sheet doesn't duplicate it;
+  // columns the feed leaves out keep the deal's current values. A CSV has every column on every row, so a
+  // blank cell counts as left out: it must not switch a paused deal back on or wipe its fine print.
+  const byTitle = new Map(state.deals.map((d) => [d.title.toLowerCase(), d.id]));
+  if (format === "csv") {
+    rows = rows.map((r) => Object.fromEntries(Object.entries(r).filter(([, v]) => String(v ?? "").trim() !== "")));
+  }
+  rows = rows.map((r) => {
+    const id = r?.id || byTitle.get(String(r?.title ?? "").trim().toLowerCase());
+    const current = id && getDeal(String(id));
+    return current ? { ...current, ...r, id } : r;
+  });
+  const { deals, errors } = validateDeals(rows, "import");
+  if (errors.length) return { ok: false, status: 400, error: `${errors.length === 1 ? "1 row has" : `${errors.length} rows have`} problems — nothing was imported`, errors };
+
+  const byId = new Map(state.deals.map((d) => [d.id, d]));
+  let created = 0;
+  let updated = 0;
+  for (const deal of deals) {
+    if (byId.has(deal.id)) updated++;
+    else created++;
+    byId.set(deal.id, stamp(deal, actor));
+  }
+  const imported = new Set(deals.map((d) => d.id));
+  const removed = replace ? [...byId.keys()].filter((id) => !imported.has(id)) : [];
+  for (const id of removed) byId.delete(id);
+  state.deals = [...byId.values()];
+  save();
+  console.log(`Specials import by ${actor}: ${created} new, ${updated} updated, ${removed.length} removed`);
+  return { ok: true, created, updated, removed: removed.length };
+}
+
+function stamp(deal, actor) {
+  return Object.assign(deal, { updatedAt: new Date().toISOString(), updatedBy: actor });
+}
+
+function changed(action, deal, actor) {
+  save();
+  console.log(`Special ${action}: ${deal.id} by ${actor}`);
+}
+
+function save() {
+  const file = state.file || storeFile();
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(state.deals, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (e) {
+    console.error("Specials save failed:", e.message);
+  }
+}
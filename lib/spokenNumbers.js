@@ -0,0 +1,136 @@
+// lib/spokenNumbers.js — Turn speech-to-text number shapes into digits
+// Handles "nine five eight one six", "95 816", "9-5-8-1-6", "ninety five eight sixteen", "oh" for zero,
+// "double five" / "triple one". Spanish too: "nueve cinco ocho uno seis", "noventa y cinco ocho dieciséis".
+// Phone numbers and prices are kept out of ZIP and order-number matches.
+
+const UNITS = {
+  zero: 0, oh: 0, o: 0,
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  cero: 0, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+};
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+  fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+  dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+  veintiuno: 21, veintidos: 22, veintitres: 23, veinticuatro: 24, veinticinco: 25,
+  veintiseis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29,
+};
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+  veinte: 20, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90,
+};
+const REPEAT = { double: 2, triple: 3 };
+
+// Words right after a number that make it a price/quantity, not a ZIP
+const NOT_ZIP_AFTER =
+  /^(dollars?|bucks?|cents?|percent|%|grams?|g|mg|oz|ounces?|pounds?|lbs?|am|pm|o'?clock|dolar(es)?|centavos?|gramos?|onzas?|libras?)$/;
+
+function tokenize(text = "") {
+  return String(text)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // dieciséis → dieciseis
+    .replace(/\b(\d{5})-\d{4}\b/g, "$1") // ZIP+4 → ZIP
+    .replace(/(\d)\s*[-–]\s*(?=\d)/g, "$1 ") // 9-5-8-1-6
+    .replace(/([a-z])-(?=[a-z])/g, "$1 ") // fifty-eight, nine-five
+    .split(/[\s,]+/)
+    .map((t) => t.replace(/^[("']+|[)"'.?!;:]+$/g, ""))
+    .filter(Boolean);
+}
+
+function classify(tok) {
+  const price = tok.startsWith("$");
+  const t = price ? tok.slice(1) : tok;
+  if (/^\d+$/.test(t)) return { kind: "digits", value: t, price };
+  if (/^\d/.test(t)) return { kind: "other", price }; // 8:15, 3.5g, 21+, 7g
+  if (t in UNITS) return { kind: "unit", value: UNITS[t], oh: t === "oh" || t === "o" };
+  if (t in TEENS) return { kind: "teen", value: TEENS[t] };
+  if (t in TENS) return { kind: "tens", value: TENS[t] };
+  if (t in REPEAT) return { kind: "repeat", value: REPEAT[t] };
+  return { kind: "word", word: t };
+}
+
+const isNumeric = (c) => c && ["digits", "unit", "teen", "tens", "repeat"].includes(c.kind);
+
+// Split a transcript into runs of consecutive spoken/typed digits.
+// Returns [{ digits, price }] in order; `price` marks runs that read like money or a quantity.
+export function spokenDigitRuns(text = "") {
+  const toks = tokenize(text).map(classify);
+  const runs = [];
+  let cur = null;
+
+  const close = () => {
+    if (cur && cur.digits) runs.push(cur);
+    cur = null;
+  };
+  const add = (digits, price = false) => {
+    if (!cur) cur = { digits: "", price: false };
+    cur.digits += digits;
+    cur.price = cur.price || price;
+  };
+
+  for (let i = 0; i < toks.length; i++) {
+    const c = toks[i];
+    const next = toks[i + 1];
+
+    if (c.kind === "digits" && c.value.length >= 5) {
+      // A whole typed ZIP (or phone number) stands alone: "95816 one sec" is not 958161
+      close();
+      add(c.value, c.price || (next?.kind === "word" && NOT_ZIP_AFTER.test(next.word)));
+      close();
+    } else if (c.kind === "digits") {
+      add(c.value, c.price);
+    } else if (c.kind === "unit") {
+      // "oh" is zero inside a spoken run or right before one ("oh, what time…" and "95816, oh and…" are not)
+      if (c.oh && !cur && !isNumeric(next)) {
+        close();
+        continue;
+      }
+      add(String(c.value));
+    } else if (c.kind === "teen") {
+      add(String(c.value));
+    } else if (c.kind === "tens") {
+      const after = toks[i + 2];
+      if (next?.kind === "unit" && !next.oh && next.value > 0) {
+        add(String(c.value + next.value));
+        i++;
+      } else if (next?.word === "y" && after?.kind === "unit" && after.value > 0) {
+        // "noventa y cinco"
+        add(String(c.value + after.value));
+        i += 2;
+      } else {
+        add(String(c.value));
+      }
+    } else if (c.kind === "repeat") {
+      if (next?.kind === "unit" || (next?.kind === "digits" && next.value.length === 1)) {
+        add(String(next.value).repeat(c.value));
+        i++;
+      } else {
+        close();
+      }
+    } else {
+      if (cur && c.kind === "word" && NOT_ZIP_AFTER.test(c.word)) cur.price = true;
+      close();
+    }
+  }
+  close();
+  return runs;
+}
+
+// First 5-digit ZIP in a transcript, or null. Longer digit runs (phone numbers) and prices never match.
+export function extractZip(text = "") {
+  for (const run of spokenDigitRuns(text)) {
+    if (!run.price && run.digits.length === 5) return run.digits;
+  }
+  return null;
+}
+
+// First order number (4 to 9 digits) in a transcript, or null: "order 4 8 2 1 9 3", "it's 731904".
+// Prices and phone numbers never match.
+export function extractOrderNumber(text = "") {
+  for (const run of spokenDigitRuns(text)) {
+    if (!run.price && run.digits.length >= 4 && run.digits.length <= 9) return run.digits;
+  }
+  return null;
+}
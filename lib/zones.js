@@ -0,0 +1,211 @@
+// lib/zones.js — Delivery zones (ZIP → minimum / fee / ETA window)
+// Single source of truth: data/zipzones.json (or a CSV via CN_ZONES_FILE). Rows are validated on load,
+// conflicts are reported, and the file is reloaded on change — a bad edit keeps the last good table.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DEFAULT_FILE = path.join(ROOT, "data", "zipzones.json");
+
+const WINDOW_RE = /^(\d+)\s*[–-]\s*(\d+)\s*minutes$/;
+
+let state = {
+  file: null,
+  zones: [],
+  byZip: new Map(),
+  loadedAt: null,
+  errors: [],
+  conflicts: [],
+  lastError: null,
+};
+let watcher = null;
+
+export function zonesFile() {
+  const f = process.env.CN_ZONES_FILE;
+  return f ? path.resolve(ROOT, f) : DEFAULT_FILE;
+}
+
+// Fallback ETA window from the minimum (used when a row has no window)
+export function computeEtaWindow(minimum) {
+  const m = Number(minimum) || 0;
+  if (m <= 40) return "30–60 minutes";
+  if (m <= 50) return "45–90 minutes";
+  if (m <= 70) return "60–120 minutes";
+  if (m <= 90) return "75–150 minutes";
+  if (m <= 110) return "90–180 minutes";
+  return "120–240 minutes";
+}
+
+// ---------- Parsing ----------
+function parseCsv(text = "") {
+  const lines = String(text)
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("#"));
+  if (!lines.length) return [];
+  const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",").map((c) => c.trim().replace(/^"(.*)"$/, "$1"));
+    const row = {};
+    header.forEach((h, i) => (row[h] = cells[i] ?? ""));
+    return row;
+  });
+}
+
+function parseZoneFile(file, text) {
+  if (/\.csv$/i.test(file)) return parseCsv(text);
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) throw new Error("Zone file must be a JSON array of rows");
+  return data;
+}
+
+// ---------- Validation ----------
+// Returns { zones, errors, conflicts }. Invalid rows are dropped; duplicate ZIPs keep the first row.
+export function validateZoneRows(rows = [], source = "file") {
+  const zones = [];
+  const errors = [];
+  const conflicts = [];
+  const seen = new Map();
+
+  rows.forEach((raw, i) => {
+    const where = `${source} row ${i + 1}`;
+    const zip = String(raw?.zip ?? "").trim();
+    const minimum = Number(raw?.minimum);
+    const fee = Number(raw?.fee);
+    const window = String(raw?.window ?? "").trim();
+
+    if (!/^\d{5}$/.test(zip)) return errors.push(`${where}: zip "${raw?.zip}" is not 5 digits`);
+    if (raw?.minimum === "" || !Number.isFinite(minimum) || minimum < 0)
+      return errors.push(`${where} (${zip}): minimum "${raw?.minimum}" is not a number`);
+    if (raw?.fee === "" || !Number.isFinite(fee) || fee < 0)
+      return errors.push(`${where} (${zip}): fee "${raw?.fee}" is not a number`);
+
+    let win = window;
+    if (win) {
+      const m = win.match(WINDOW_RE);
+      if (!m) return errors.push(`${where} (${zip}): window "${window}" should look like "30–60 minutes"`);
+      if (Number(m[1]) > Number(m[2]))
+        return errors.push(`${where} (${zip}): window "${window}" starts after it ends`);
+      win = `${m[1]}–${m[2]} minutes`;
+    } else {
+      win = computeEtaWindow(minimum);
+    }
+
+    const row = { zip, minimum, fee, window: win };
+    const prev = seen.get(zip);
+    if (prev) {
+      if (prev.minimum !== minimum || prev.fee !== fee || prev.window !== win) {
+        conflicts.push(
+          `${where}: ZIP ${zip} listed twice with different values (keeping $${prev.minimum}/$${prev.fee}/${prev.window}, ignoring $${minimum}/$${fee}/${win})`
+        );
+      }
+      return;
+    }
+    seen.set(zip, row);
+    zones.push(row);
+  });
+
+  return { zones, errors, conflicts };
+}
+
+// Legacy CN_DELIVERY_TABLE env JSON still applies on top of the file, but every difference is reported.
+function applyEnvOverride(zones, conflicts) {
+  if (!process.env.CN_DELIVERY_TABLE) return zones;
+  let rows;
+  try {
+    rows = JSON.parse(process.env.CN_DELIVERY_TABLE);
+  } catch (e) {
+    conflicts.push(`CN_DELIVERY_TABLE is not valid JSON (${e.message}); ignored`);
+    return zones;
+  }
+  if (!Array.isArray(rows) || !rows.length) return zones;
+
+  const { zones: envZones, errors } = validateZoneRows(rows, "CN_DELIVERY_TABLE");
+  errors.forEach((e) => conflicts.push(e));
+  const merged = new Map(zones.map((z) => [z.zip, z]));
+  for (const z of envZones) {
+    const cur = merged.get(z.zip);
+    if (cur && (cur.minimum !== z.minimum || cur.fee !== z.fee || cur.window !== z.window)) {
+      conflicts.push(`CN_DELIVERY_TABLE overrides ZIP ${z.zip} from the zone file`);
+    }
+    merged.set(z.zip, z);
+  }
+  console.warn("CN_DELIVERY_TABLE is deprecated — move these rows into", path.relative(ROOT, zonesFile()));
+  return [...merged.values()];
+}
+
+// ---------- Load / reload ----------
+export function loadZones(file = zonesFile()) {
+  let rows;
+  try {
+    rows = parseZoneFile(file, fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    state.lastError = `${path.basename(file)}: ${e.message}`;
+    console.error("Zone load failed, keeping previous table:", state.lastError);
+    return zonesStatus();
+  }
+
+  const { zones, errors, conflicts } = validateZoneRows(rows, path.basename(file));
+  if (!zones.length) {
+    state.lastError = `${path.basename(file)}: no valid rows`;
+    state.errors = errors;
+    console.error("Zone load failed, keeping previous table:", state.lastError);
+    return zonesStatus();
+  }
+
+  const finalZones = applyEnvOverride(zones, conflicts);
+  state = {
+    file,
+    zones: finalZones,
+    byZip: new Map(finalZones.map((z) => [z.zip, z])),
+    loadedAt: new Date().toISOString(),
+    errors,
+    conflicts,
+    lastError: null,
+  };
+
+  console.log(`Loaded ${finalZones.length} delivery zones from ${path.relative(ROOT, file)}`);
+  errors.forEach((e) => console.warn("Zone row rejected:", e));
+  conflicts.forEach((c) => console.warn("Zone conflict:", c));
+  return zonesStatus();
+}
+
+// Watch the directory (editors often replace the file rather than write in place)
+export function watchZones(file = zonesFile()) {
+  if (watcher) return;
+  let timer = null;
+  try {
+    watcher = fs.watch(path.dirname(file), (_event, name) => {
+      if (name && name !== path.basename(file)) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        console.log("Zone file changed — reloading");
+        loadZones(file);
+      }, 250);
+    });
+    watcher.unref?.();
+  } catch (e) {
+    console.error("Zone file watch unavailable:", e.message);
+  }
+}
+
+export function zoneByZip(zip) {
+  return state.byZip.get(String(zip || "")) || null;
+}
+
+export function allZones() {
+  return state.zones;
+}
+
+export function zonesStatus() {
+  return {
+    file: state.file ? path.relative(ROOT, state.file) : null,
+    count: state.zones.length,
+    loadedAt: state.loadedAt,
+    errors: state.errors,
+    conflicts: state.conflicts,
+    lastError: state.lastError,
+  };
+}
@@ -0,0 +1,78 @@
+// scripts/check-intents.js — Regression check for the FAQ/intent rules (data/intents.json)
+// Every example phrase must land on its own intent, every case in the corpus must land where it says
+// (null = no local answer, so the menu or OpenAI takes it), and every intent needs at least one corpus case.
+// Answer templates may only use fields the facts (English and Spanish, admin-added ones included) or the engine provide.
+//
+//   node scripts/check-intents.js                   data/intents.json + data/intents.corpus.json
+//   node scripts/check-intents.js -v                also print the scores behind each case
+//   CN_INTENTS_FILE=… node scripts/check-intents.js my.corpus.json
+//
+// Corpus format: { "cases": [ { "say": "when will my order arrive", "intent": "order_status", "lang": "en" | "es" } ] }
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadIntentRules, rankIntents, templateFields } from "../lib/engine/rules.js";
+import { factsFor } from "../lib/engine/facts.js";
+import { loadFactsStore, currentFacts } from "../lib/factsStore.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const args = process.argv.slice(2);
+const verbose = args.includes("-v") || args.includes("--verbose");
+const corpusFile = args.find((a) => !a.startsWith("-")) || path.join(ROOT, "data", "intents.corpus.json");
+
+// Filled in by localIntent next to the facts
+const ENGINE_FIELDS = ["openNow", "hours", "lastCall", "footer"];
+
+const log = console.log;
+const rules = loadIntentRules();
+const failures = [...rules.problems];
+let checked = 0;
+
+function check(say, expected, lang, where) {
+  checked++;
+  const ranked = rankIntents(rules, say, lang);
+  const got = ranked[0]?.id ?? null;
+  const scores = ranked.map((r) => `${r.id} ${r.score} [${r.hits.join(", ")}]`).join("; ") || "no intent scored";
+  if (got !== expected) failures.push(`${where}: "${say}" → ${got}, expected ${expected}\n      ${scores}`);
+  else if (verbose) log(`  ✓ ${lang} "${say}" → ${got}   ${scores}`);
+}
+
+// ---------- Templates ----------
+loadFactsStore();
+const facts = currentFacts();
+for (const lang of ["en", "es"]) {
+  const known = new Set([...Object.keys(factsFor(facts, lang)), ...ENGINE_FIELDS]);
+  for (const intent of rules.intents) {
+    const templates = [intent.answer[lang], intent.text?.[lang]?.body, intent.text?.[lang]?.link];
+    for (const field of templates.flatMap((t) => templateFields(t || ""))) {
+      if (!known.has(field)) failures.push(`${intent.id}: {${field}} in the ${lang} answer is not a fact`);
+    }
+  }
+}
+
+// ---------- Examples ----------
+for (const intent of rules.intents) {
+  for (const lang of ["en", "es"]) {
+    if (lang === "es" && intent.es === intent.en) continue;
+    for (const e of intent[lang].examples) check(e.text, intent.id, lang, `${intent.id} example`);
+  }
+}
+
+// ---------- Corpus ----------
+let cases = [];
+try {
+  cases = JSON.parse(fs.readFileSync(corpusFile, "utf8")).cases || [];
+} catch (e) {
+  failures.push(`corpus ${corpusFile}: ${e.message}`);
+}
+for (const c of cases) check(c.say, c.intent ?? null, c.lang || "en", "corpus");
+
+const covered = new Set(cases.map((c) => c.intent));
+for (const intent of rules.intents) {
+  if (!covered.has(intent.id)) failures.push(`${intent.id}: no corpus case — add one to ${path.relative(ROOT, corpusFile)}`);
+}
+
+for (const f of failures) log(`  ✗ ${f}`);
+log(`\n${rules.intents.length} intents, ${checked} phrases checked, ${failures.length} failed`);
+process.exit(failures.length ? 1 : 0);
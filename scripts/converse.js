@@ -0,0 +1,158 @@
+// scripts/converse.js — Scripted conversations against the dialogue engine, no network
+// Runs each conversation through lib/engine with the fixture menu (data/menu.fixture.json) and deals
+// (data/specials.fixture.json), the local zone/schedule/department files, a stub OpenAI chat, a stub
+// order queue (every order is number 482193) and the fixture order statuses (data/orderstatus.fixture.json),
+// then checks every reply.
+//
+//   node scripts/converse.js                      every file in scripts/conversations/
+//   node scripts/converse.js my.json -v           one file, printing the transcript
+//
+// File format: { "conversations": [ {
+//   name, channel: "voice" | "sms", caller: "+1…" (enables text offers), at: ISO time (for hours answers),
+//   smsFails: true (every send_sms fails, as a Twilio error would), menuFails: true (every menu search throws),
+//   checkoutUrl: "https://…" (the stub order queue hands back a payment link),
+//   turns: [ {
+//     say: "what you'd say"  |  keypad: "0" | "1" | "95816" | "731877",
+//     openai: { reply } | { tool, args }          what the stub chat does if the turn falls through
+//     expect: regex | [regex…]                    must all match the reply (case-insensitive)
+//     reject: regex | [regex…]                    must not match
+//     intent, branch                              session.lastIntent / turn branch after the reply
+//     actions: ["transfer", …]                    action types, in order
+//   } ]
+// } ] }
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createEngine, loadFacts } from "../lib/engine/index.js";
+import { createFileProvider } from "../lib/menu/fileProvider.js";
+import { updateCatalog } from "../lib/catalog.js";
+import { loadZones } from "../lib/zones.js";
+import { loadSpecials, dealsOn } from "../lib/specials.js";
+import { createFileProvider as createOrderStatusFile } from "../lib/orderStatus/fileProvider.js";
+import { createSchedule, loadScheduleConfig } from "../lib/schedule.js";
+import { createRouter, loadRoutingConfig } from "../lib/routing.js";
+import { openSession, endSession } from "../lib/session.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const args = process.argv.slice(2);
+const verbose = args.includes("-v") || args.includes("--verbose");
+const files = args.filter((a) => !a.startsWith("-"));
+
+// Library logging ("Catalog rebuilt", menu lookups) only with -v
+const log = console.log;
+if (!verbose) console.log = () => {};
+
+const asList = (v) => (v === undefined || v === null ? [] : Array.isArray(v) ? v : [v]);
+
+// Stands in for lib/openai.js's runChatWithTools: replies or calls a tool as the turn's `openai` says
+function stubChat(step) {
+  return async ({ tools, onText }) => {
+    const plan = step.current?.openai || {};
+    if (plan.tool) {
+      const tool = tools[plan.tool];
+      if (!tool) throw new Error(`stub chat: tool ${plan.tool} not offered`);
+      const result = await tool.run(plan.args || {});
+      if (result?.endTurn) return { text: "", endedByTool: true };
+    }
+    const text = plan.reply || "[openai fallback]";
+    onText?.(text);
+    return { text, endedByTool: false };
+  };
+}
+
+async function runConversation(conv, { menu, orderStatus }, index) {
+  const at = conv.at ? new Date(conv.at) : new Date();
+  const schedule = createSchedule(loadScheduleConfig(), { now: () => at });
+  const facts = loadFacts();
+  const step = { current: null };
+  const engine = createEngine({
+    facts,
+    schedule,
+    router: createRouter(loadRoutingConfig(), { schedule, fallbackNumber: facts.transferNumber }),
+    menu: conv.menuFails ? { ...menu, search: async () => Promise.reject(new Error("menu provider down")) } : menu,
+    sms: { enabled: () => !!conv.caller },
+    specials: { dealsOn },
+    orders: {
+      submit: async () => ({ id: "482193", via: conv.checkoutUrl ? "link" : "queue", checkoutUrl: conv.checkoutUrl || null }),
+      handoff: conv.checkoutUrl ? "link" : "queue",
+    },
+    orderStatus,
+    openai: { apiKey: "stub" },
+    chat: stubChat(step),
+  });
+
+  const channel = conv.channel || "voice";
+  const session = openSession(`script-${index}`);
+  session.channel = channel;
+  session.caller = conv.caller || null;
+
+  const failures = [];
+  for (const [i, turn] of (conv.turns || []).entries()) {
+    step.current = turn;
+    const said = turn.keypad !== undefined ? `[keypad ${turn.keypad}]` : turn.say;
+    const out =
+      turn.keypad !== undefined
+        ? await engine.keypad(session, String(turn.keypad))
+        : await engine.respond(session, turn.say, { channel });
+    const text = out.text || "";
+    const types = out.actions.map((a) => a.type);
+    // What the relay does once a text has gone out
+    for (const a of out.actions) if (a.type === "send_sms" && !conv.smsFails) session.sms.sent.push(a.kind);
+    if (verbose) {
+      log(`  > ${said}`);
+      log(`  < ${text}${types.length ? `  [${types.join(", ")}]` : ""}`);
+    }
+
+    const fail = (why) => failures.push(`turn ${i + 1} "${said}": ${why}\n      reply: ${text}`);
+    for (const re of asList(turn.expect)) if (!new RegExp(re, "i").test(text)) fail(`expected /${re}/`);
+    for (const re of asList(turn.reject)) if (new RegExp(re, "i").test(text)) fail(`did not expect /${re}/`);
+    if (turn.intent && session.lastIntent !== turn.intent) fail(`intent ${session.lastIntent}, expected ${turn.intent}`);
+    if (turn.branch && out.turn.branch !== turn.branch) fail(`branch ${out.turn.branch}, expected ${turn.branch}`);
+    if (turn.actions && types.join(",") !== asList(turn.actions).join(",")) {
+      fail(`actions [${types.join(", ")}], expected [${asList(turn.actions).join(", ")}]`);
+    }
+  }
+  endSession(session.id);
+  return failures;
+}
+
+async function main() {
+  const dir = path.join(ROOT, "scripts", "conversations");
+  const list = files.length
+    ? files.map((f) => path.resolve(f))
+    : fs.readdirSync(dir).filter((f) => f.endsWith(".json")).map((f) => path.join(dir, f));
+
+  loadZones();
+  loadSpecials(path.join(ROOT, "data", "specials.fixture.json"));
+  const menu = createFileProvider({ file: "data/menu.fixture.json" });
+  updateCatalog((await menu.search("", { limit: 1000 })).items);
+  // The queue stays out: it's the stub above, not data/orders.jsonl
+  const orderStatus = createOrderStatusFile({ file: "data/orderstatus.fixture.json", queue: false });
+
+  let passed = 0;
+  let failed = 0;
+  let index = 0;
+  for (const file of list) {
+    const { conversations = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+    log(path.relative(process.cwd(), file));
+    for (const conv of conversations) {
+      const failures = await runConversation(conv, { menu, orderStatus }, index++);
+      if (failures.length) {
+        failed++;
+        log(`  ✗ ${conv.name}`);
+        for (const f of failures) log(`    ${f}`);
+      } else {
+        passed++;
+        log(`  ✓ ${conv.name}`);
+      }
+    }
+  }
+  log(`\n${passed} passed, ${failed} failed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,548 @@
+// scripts/simulate.js — ConversationRelay call simulator: the real server, a fake Twilio on the other end
+// Starts server.js on a free port, places a signed /twilio/voice webhook, then plays Twilio's side of the
+// /relay WebSocket (setup, prompt, interrupt, dtmf) and prints every text frame the server sends back.
+// Nothing leaves the machine:
+//   Jane      MENU_PROVIDER=file (data/menu.fixture.json, or MENU_FILE)
+//   Deals     a copy of data/specials.fixture.json
+//   Orders    a copy of data/orderstatus.fixture.json for "where's my order?"
+//   OpenAI    OPENAI_BASE_URL → a local SSE stub that replies / calls tools as each step says
+//   Twilio    CN_TWILIO_API_BASE → the same stub; live transfers and texts are recorded, and a transfer
+//             fetches /twilio/transfer to show where the call would be dialed
+// Call logs, SMS consent and phone orders go to a temp directory, so data/ is left alone.
+//
+//   node scripts/simulate.js                         interactive call (type /help)
+//   node scripts/simulate.js scripts/calls           every .yaml/.yml/.json scenario in a directory
+//   node scripts/simulate.js my-calls.yaml -v        one file, printing the transcript and server log
+//
+// Scenario file (YAML or JSON):
+//   at: "2026-10-14T19:00:00Z"       pins the store clock (CN_CLOCK) for hours/transfer answers
+//   calls:
+//     - name: delivery quote
+//       from: "+19165550100"          caller ID (enables text offers)
+//       greeting: regex               checked against the welcomeGreeting in the TwiML
+//       steps:
+//         - say: "how much is delivery"       prompt (voicePrompt)
+//           | dtmf: "95816"                   one dtmf message per key
+//           | interrupt: "words heard"        barge-in (utteranceUntilInterrupt)
+//           | hangup: true                    close the socket
+//           openai: { reply } | { tool, args, reply } | { reply, delayMs }   what the OpenAI stub does
+//           expect: regex | [regex…]         must all match the step's text frames (case-insensitive)
+//           reject: regex | [regex…]         must not match
+//           transfer: dispatch               a live transfer to that department happened in this step
+//           sms: regex                       a text went out in this step, body matching
+//           end: true                        the server ended the call (waits for the "end" frame)
+//           language: es-US                  the relay was switched to that language in this step
+//           wait: false                      don't wait for a reply (e.g. before an interrupt)
+//           timeout: 5000                    ms to wait for the reply
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import http from "node:http";
+import readline from "node:readline";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import twilio from "twilio";
+import { WebSocket } from "ws";
+import YAML from "yaml";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const args = process.argv.slice(2);
+const verbose = args.includes("-v") || args.includes("--verbose");
+const files = args.filter((a) => !a.startsWith("-"));
+
+const AUTH_TOKEN = "simulated-auth-token";
+const ACCOUNT_SID = "ACsimulated0000000000000000000000";
+const SMS_FROM = "+19165550000";
+
+const asList = (v) => (v === undefined || v === null ? [] : Array.isArray(v) ? v : [v]);
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ---------- Local stubs (OpenAI + Twilio REST) ----------
+// `plan` is the current step's `openai`; `events` collects transfers and texts as they happen.
+function createStubs() {
+  const stub = { plan: null, events: [], onEvent: null, baseUrl: "", serverUrl: "" };
+
+  const record = (evt) => {
+    stub.events.push(evt);
+    stub.onEvent?.(evt);
+  };
+
+  const readBody = (req) =>
+    new Promise((resolve) => {
+      let data = "";
+      req.on("data", (c) => (data += c));
+      req.on("end", () => resolve(data));
+    });
+
+  // One SSE stream: text split into words, or a single tool call
+  async function chat(req, res) {
+    const body = JSON.parse((await readBody(req)) || "{}");
+    const messages = body.messages || [];
+    const last = messages[messages.length - 1] || {};
+    const lastUser = [...messages].reverse().find((m) => m.role === "user")?.content || "";
+    const plan = stub.plan || {};
+
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+    const send = (delta) => res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta }] })}\n\n`);
+
+    const wantsTool = plan.tool && last.role !== "tool" && (body.tools || []).some((t) => t.function.name === plan.tool);
+    if (wantsTool) {
+      send({
+        tool_calls: [
+          { index: 0, id: "call_sim_1", type: "function", function: { name: plan.tool, arguments: JSON.stringify(plan.args || {}) } },
+        ],
+      });
+    } else {
+      const text = plan.reply || (last.role === "tool" ? "Done." : `[openai] You said: ${lastUser}`);
+      for (const word of text.match(/\S+\s*/g) || []) {
+        if (res.destroyed) return;
+        send({ content: word });
+        if (plan.delayMs) await sleep(plan.delayMs);
+      }
+    }
+    res.write("data: [DONE]\n\n");
+    res.end();
+  }
+
+  // Calls(sid).update({ url }) — what transferLiveCall does. Fetch the transfer TwiML like Twilio would.
+  async function updateCall(req, res, callSid) {
+    const params = Object.fromEntries(new URLSearchParams(await readBody(req)));
+    const url = new URL(params.Url);
+    const department = url.searchParams.get("dept") || "";
+    const dial = await fetchTwiml(`${stub.serverUrl}${url.pathname}${url.search}`, { CallSid: callSid }).catch(
+      (e) => `(TwiML fetch failed: ${e.message})`
+    );
+    record({ type: "transfer", callSid, department, dial });
+    json(res, 200, { sid: callSid, status: "in-progress" });
+  }
+
+  async function createMessage(req, res) {
+    const params = Object.fromEntries(new URLSearchParams(await readBody(req)));
+    record({ type: "sms", to: params.To, from: params.From || params.MessagingServiceSid, body: params.Body || "" });
+    json(res, 201, { sid: `SMsim${stub.events.length}`, status: "queued", to: params.To, body: params.Body });
+  }
+
+  const json = (res, status, obj) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(obj));
+  };
+
+  const server = http.createServer((req, res) => {
+    const p = new URL(req.url, "http://stub").pathname;
+    let m;
+    if (req.method === "POST" && p === "/v1/chat/completions") return chat(req, res);
+    if (req.method === "POST" && (m = p.match(/\/Accounts\/[^/]+\/Calls\/([^/]+)\.json$/))) return updateCall(req, res, m[1]);
+    if (req.method === "POST" && /\/Accounts\/[^/]+\/Messages\.json$/.test(p)) return createMessage(req, res);
+    json(res, 404, { message: `simulator stub has no ${req.method} ${p}` });
+  });
+
+  stub.listen = () =>
+    new Promise((resolve) =>
+      server.listen(0, "127.0.0.1", () => {
+        stub.baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve(stub);
+      })
+    );
+  stub.close = () => new Promise((resolve) => server.close(resolve));
+  return stub;
+}
+
+// A signed webhook POST, the way Twilio sends it
+async function postWebhook(url, params) {
+  const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, params);
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", "X-Twilio-Signature": signature },
+    body: new URLSearchParams(params),
+  });
+  const text = await resp.text();
+  if (!resp.ok) throw new Error(`${new URL(url).pathname} → ${resp.status}: ${text.slice(0, 200)}`);
+  return text;
+}
+
+// Where the transfer would ring: "Dial +19165551234" or "voicemail"/"callback offer"
+async function fetchTwiml(url, params) {
+  const twiml = await postWebhook(url, params);
+  const number = twiml.match(/<Number>([^<]+)<\/Number>/)?.[1];
+  if (number) return `Dial ${number}`;
+  if (/<Gather/.test(twiml)) return "callback offer, then voicemail";
+  if (/<Record/.test(twiml)) return "voicemail";
+  return twiml;
+}
+
+// ---------- Server under test ----------
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = http.createServer();
+    s.on("error", reject);
+    s.listen(0, "127.0.0.1", () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(stub, { at } = {}) {
+  const port = await freePort();
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cn-simulate-"));
+  fs.copyFileSync(path.join(ROOT, "data", "specials.fixture.json"), path.join(tmp, "specials.json"));
+  fs.copyFileSync(path.join(ROOT, "data", "orderstatus.fixture.json"), path.join(tmp, "orderstatus.json"));
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    PUBLIC_BASE_URL: baseUrl,
+    CN_TWILIO_AUTH: "true",
+    TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+    TWILIO_ACCOUNT_SID: ACCOUNT_SID,
+    CN_RELAY_SECRET: "",
+    CN_TWILIO_API_BASE: stub.baseUrl,
+    CN_SMS_ENABLED: "true",
+    CN_SMS_FROM: SMS_FROM,
+    CN_SMS_MESSAGING_SERVICE_SID: "",
+    CN_SMS_CONSENT_FILE: path.join(tmp, "sms-consent.json"),
+    CN_CALL_LOG_FILE: path.join(tmp, "calls.jsonl"),
+    CN_SPECIALS_FILE: path.join(tmp, "specials.json"),
+    CN_ORDERS_FILE: path.join(tmp, "orders.jsonl"),
+    CN_ORDER_STATUS_PROVIDER: "file",
+    CN_ORDER_STATUS_FILE: path.join(tmp, "orderstatus.json"),
+    MENU_PROVIDER: "file",
+    JANE_LOOKUPS_ENABLED: "true",
+    OPENAI_API_KEY: "sk-simulated",
+    OPENAI_BASE_URL: `${stub.baseUrl}/v1`,
+    CN_CLOCK: at || "",
+  };
+
+  const child = spawn(process.execPath, ["server.js"], { cwd: ROOT, env, stdio: ["ignore", "pipe", "pipe"] });
+  const log = [];
+  const onLine = (chunk) => {
+    for (const line of chunk.toString().split("\n").filter(Boolean)) {
+      log.push(line);
+      if (log.length > 200) log.shift();
+      if (verbose) console.log(`    server| ${line}`);
+    }
+  };
+  child.stdout.on("data", onLine);
+  child.stderr.on("data", onLine);
+
+  const stop = () =>
+    new Promise((resolve) => {
+      fs.rmSync(tmp, { recursive: true, force: true });
+      if (child.exitCode !== null) return resolve();
+      child.once("exit", resolve);
+      child.kill();
+    });
+
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) break;
+    const ok = await fetch(`${baseUrl}/health`).then((r) => r.ok, () => false);
+    if (ok) return { baseUrl, log, stop };
+    await sleep(100);
+  }
+  await stop();
+  throw new Error(`server did not start:\n${log.slice(-20).join("\n")}`);
+}
+
+// ---------- One call ----------
+// Webhook → TwiML → relay socket → setup. Text frames are queued for the step that's waiting on them.
+async function placeCall(baseUrl, { from = "+19165550100", callSid } = {}) {
+  callSid ||= `CAsim${Date.now().toString(16)}${Math.floor(Math.random() * 1e6)}`;
+  const twiml = await postWebhook(`${baseUrl}/twilio/voice`, {
+    CallSid: callSid,
+    AccountSid: ACCOUNT_SID,
+    From: from || "",
+    To: "+19165071099",
+    CallStatus: "ringing",
+  });
+  const attr = (name) =>
+    (twiml.match(new RegExp(`${name}="([^"]*)"`))?.[1] || "")
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&");
+  const relayUrl = attr("url");
+  if (!relayUrl) throw new Error(`no ConversationRelay url in TwiML:\n${twiml}`);
+
+  // The TwiML says wss://<host>; the simulator talks plain ws:// to the local port
+  const u = new URL(relayUrl);
+  const ws = new WebSocket(`${baseUrl.replace(/^http/, "ws")}${u.pathname}${u.search}`);
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+    ws.once("unexpected-response", (_req, res) => reject(new Error(`relay upgrade rejected: ${res.statusCode}`)));
+  });
+
+  const call = {
+    callSid,
+    ws,
+    greeting: attr("welcomeGreeting"),
+    frames: [],
+    languages: [], // { type: "language" } messages, in order
+    ended: null,
+    closed: false,
+    onFrame: null,
+  };
+  ws.on("message", (buf) => {
+    let msg;
+    try {
+      msg = JSON.parse(buf.toString());
+    } catch {
+      return;
+    }
+    if (msg.type === "end") call.ended = msg;
+    else if (msg.type === "text") call.frames.push(msg);
+    else if (msg.type === "language") call.languages.push(msg.ttsLanguage);
+    call.onFrame?.(msg);
+  });
+  ws.on("close", () => (call.closed = true));
+
+  call.send = (obj) => ws.readyState === WebSocket.OPEN && ws.send(JSON.stringify(obj));
+  call.send({ type: "setup", callSid, from: from || "", to: "+19165071099" });
+  return call;
+}
+
+// Frames until a last:true one (plus a short settle for follow-ups such as a transfer's fallback)
+async function collect(call, { timeout = 5000, settle = 250 } = {}) {
+  const started = Date.now();
+  let doneAt = null;
+  while (Date.now() - started < timeout) {
+    if (!doneAt && call.frames.some((f) => f.last)) doneAt = Date.now();
+    if (doneAt && Date.now() - doneAt >= settle) break;
+    if (call.closed) break;
+    await sleep(25);
+  }
+  const frames = call.frames.splice(0);
+  return frames.map((f) => f.token).join("").trim();
+}
+
+async function waitFor(test, timeout = 5000) {
+  const started = Date.now();
+  while (!test() && Date.now() - started < timeout) await sleep(25);
+  return test();
+}
+
+function sendStep(call, step) {
+  if (step.say !== undefined) call.send({ type: "prompt", voicePrompt: String(step.say), lang: "en-US", last: true });
+  else if (step.dtmf !== undefined) for (const digit of String(step.dtmf)) call.send({ type: "dtmf", digit });
+  else if (step.interrupt !== undefined) {
+    call.send({ type: "interrupt", utteranceUntilInterrupt: String(step.interrupt), durationUntilInterruptMs: 800 });
+  } else if (step.hangup) call.ws.close(1000, "caller hung up");
+}
+
+const describeStep = (step) =>
+  step.say !== undefined
+    ? step.say
+    : step.dtmf !== undefined
+      ? `[dtmf ${step.dtmf}]`
+      : step.interrupt !== undefined
+        ? `[interrupt "${step.interrupt}"]`
+        : "[hang up]";
+
+const describeEvent = (e) =>
+  e.type === "transfer" ? `[transfer → ${e.department || "(default)"}: ${e.dial}]` : `[sms to ${e.to}: ${e.body.replace(/\n/g, " | ")}]`;
+
+// ---------- Scripted mode ----------
+async function runCall(baseUrl, stub, spec, log) {
+  const failures = [];
+  const call = await placeCall(baseUrl, { from: spec.from ?? "+19165550100" });
+  if (verbose) log(`  < ${call.greeting}`);
+  for (const re of asList(spec.greeting)) {
+    if (!new RegExp(re, "i").test(call.greeting)) failures.push(`greeting: expected /${re}/\n      got: ${call.greeting}`);
+  }
+
+  for (const [i, step] of (spec.steps || []).entries()) {
+    const said = describeStep(step);
+    stub.plan = step.openai || null;
+    const seen = stub.events.length;
+    const switches = call.languages.length;
+    call.frames.splice(0);
+
+    sendStep(call, step);
+    let text = "";
+    if (step.hangup) await waitFor(() => call.closed, 1000);
+    else if (step.interrupt !== undefined) text = await collect(call, { timeout: 300 }); // anything that still slips out
+    else if (step.wait !== false) text = await collect(call, { timeout: step.timeout || 5000 });
+    if (step.end) await waitFor(() => call.ended, 5000);
+    if (step.transfer) await waitFor(() => stub.events.slice(seen).some((e) => e.type === "transfer"), 2000);
+
+    const events = stub.events.slice(seen);
+    const switched = call.languages.slice(switches);
+    if (verbose) {
+      log(`  > ${said}`);
+      for (const code of switched) log(`    [language → ${code}]`);
+      if (text) log(`  < ${text}`);
+      for (const e of events) log(`    ${describeEvent(e)}`);
+      if (step.end && call.ended) log(`    [end ${call.ended.handoffData || ""}]`);
+    }
+
+    const fail = (why) => failures.push(`step ${i + 1} "${said}": ${why}\n      reply: ${text}`);
+    for (const re of asList(step.expect)) if (!new RegExp(re, "i").test(text)) fail(`expected /${re}/`);
+    for (const re of asList(step.reject)) if (new RegExp(re, "i").test(text)) fail(`did not expect /${re}/`);
+    if (step.transfer) {
+      const t = events.find((e) => e.type === "transfer");
+      if (!t) fail(`expected a transfer to ${step.transfer}`);
+      else if (step.transfer !== true && t.department !== step.transfer) fail(`transfer to ${t.department}, expected ${step.transfer}`);
+    }
+    if (step.transfer === false && events.some((e) => e.type === "transfer")) fail("did not expect a transfer");
+    for (const re of asList(step.sms)) {
+      if (re === false) {
+        if (events.some((e) => e.type === "sms")) fail("did not expect a text");
+      } else if (!events.some((e) => e.type === "sms" && (re === true || new RegExp(re, "i").test(e.body)))) {
+        fail(`expected a text matching /${re}/`);
+      }
+    }
+    if (step.end && !call.ended) fail("expected the call to end");
+    if (step.language && !switched.includes(step.language)) {
+      fail(`expected a switch to ${step.language}${switched.length ? `, got ${switched.join(", ")}` : ""}`);
+    }
+  }
+
+  if (!call.closed) call.ws.close(1000, "simulation done");
+  stub.plan = null;
+  return failures;
+}
+
+function scenarioFiles(list) {
+  return list.flatMap((f) => {
+    const p = path.resolve(f);
+    if (!fs.statSync(p).isDirectory()) return [p];
+    return fs
+      .readdirSync(p)
+      .filter((n) => /\.(ya?ml|json)$/.test(n))
+      .sort()
+      .map((n) => path.join(p, n));
+  });
+}
+
+async function runScripts(list) {
+  const stub = await createStubs().listen();
+  let passed = 0;
+  let failed = 0;
+  try {
+    for (const file of scenarioFiles(list)) {
+      const doc = YAML.parse(fs.readFileSync(file, "utf8")) || {};
+      console.log(path.relative(process.cwd(), file));
+      const server = await startServer(stub, { at: doc.at });
+      stub.serverUrl = server.baseUrl;
+      try {
+        for (const spec of doc.calls || []) {
+          stub.events = [];
+          const failures = await runCall(server.baseUrl, stub, spec, console.log).catch((e) => [e.message]);
+          if (failures.length) {
+            failed++;
+            console.log(`  ✗ ${spec.name || "(unnamed call)"}`);
+            for (const f of failures) console.log(`    ${f}`);
+            if (!verbose) console.log(`    server log (last lines):\n${server.log.slice(-8).map((l) => `      ${l}`).join("\n")}`);
+          } else {
+            passed++;
+            console.log(`  ✓ ${spec.name || "(unnamed call)"}`);
+          }
+        }
+      } finally {
+        await server.stop();
+      }
+    }
+  } finally {
+    await stub.close();
+  }
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+// ---------- Interactive mode ----------
+const HELP = `Type what the caller says, or:
+  /dtmf 95816          press keys (0 = team member, 1 = hours, * = start over, # = send early)
+  /interrupt [heard]   barge in on the current reply
+  /openai <text>       the OpenAI stub's next reply ("/openai tool transfer_to_staff {\"department\":\"dispatch\"}")
+  /slow <ms>           delay between streamed OpenAI words (try with /interrupt)
+  /hangup              end this call and start a new one
+  /quit                exit`;
+
+async function repl() {
+  const stub = await createStubs().listen();
+  const server = await startServer(stub, { at: process.env.CN_CLOCK });
+  stub.serverUrl = server.baseUrl;
+  const from = process.env.SIM_FROM || "+19165550100";
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "caller> " });
+  let plan = {};
+  let call = null;
+
+  const print = (line) => {
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    console.log(line);
+    rl.prompt(true);
+  };
+  stub.onEvent = (e) => print(`  ${describeEvent(e)}`);
+
+  const dial = async () => {
+    call = await placeCall(server.baseUrl, { from });
+    let partial = "";
+    call.onFrame = (msg) => {
+      if (msg.type === "end") return print(`  [call ended ${msg.handoffData || ""}] — press Enter for a new call`);
+      if (msg.type === "language") return print(`  [language → ${msg.ttsLanguage}]`);
+      if (msg.type !== "text") return;
+      partial += msg.token;
+      if (msg.last) {
+        print(`agent> ${partial.trim()}`);
+        partial = "";
+        call.frames.splice(0);
+      }
+    };
+    print(`Call ${call.callSid} from ${from || "(no caller ID)"} — ${server.baseUrl}\nagent> ${call.greeting}`);
+  };
+
+  let stopping = null;
+  const shutdown = () => (stopping ||= (async () => {
+    rl.close();
+    call?.ws.close();
+    await server.stop();
+    await stub.close();
+  })());
+
+  console.log(HELP);
+  const ready = dial();
+  rl.on("line", async (line) => {
+    const input = line.trim();
+    try {
+      await ready;
+      if (call.closed || call.ended) await dial();
+      if (!input) return rl.prompt();
+      const [cmd, ...rest] = input.split(" ");
+      const arg = rest.join(" ");
+      stub.plan = { ...plan };
+      if (cmd === "/quit" || cmd === "/exit") return shutdown();
+      if (cmd === "/help") return print(HELP);
+      if (cmd === "/hangup") {
+        call.ws.close(1000, "caller hung up");
+        return dial();
+      }
+      if (cmd === "/slow") {
+        plan.delayMs = Number(arg) || 0;
+        return print(`  OpenAI stub: ${plan.delayMs}ms between words`);
+      }
+      if (cmd === "/openai") {
+        const m = arg.match(/^tool\s+(\S+)\s*(.*)$/);
+        plan = m ? { delayMs: plan.delayMs, tool: m[1], args: m[2] ? JSON.parse(m[2]) : {} } : { delayMs: plan.delayMs, reply: arg };
+        return print(`  OpenAI stub will ${plan.tool ? `call ${plan.tool}` : `say "${plan.reply}"`} next`);
+      }
+      if (cmd === "/dtmf") sendStep(call, { dtmf: arg });
+      else if (cmd === "/interrupt") sendStep(call, { interrupt: arg });
+      else sendStep(call, { say: input });
+      // A scripted OpenAI answer is used once
+      if (!input.startsWith("/")) plan = { delayMs: plan.delayMs };
+      rl.prompt();
+    } catch (e) {
+      print(`  error: ${e.message}`);
+    }
+  });
+  rl.on("close", () => shutdown());
+  await ready;
+  rl.prompt();
+}
+
+(files.length ? runScripts(files) : repl()).catch((e) => {
+  console.error(e.message || e);
+  process.exitCode = 1;
+});
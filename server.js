@@ -1,14 +1,70 @@
-// server.js — Crystal Nugs Voice AI (Google en-US-Wavenet-F) + Jane Product Lookup + Live Transfer
+// server.js — Crystal Nugs Voice AI (persona voice, data/persona.json) + Jane Product Lookup + Live Transfer
 // ConversationRelay + Product search (iHeartJane) + Local Intents (ZIP-aware mins/fees/ETA) + Venue answers + OpenAI fallback
 
+import "dotenv/config"; // first, so every module below sees .env
 import express from "express";
 import { WebSocketServer, WebSocket } from "ws";
 import bodyParser from "body-parser";
-import { config } from "dotenv";
 import twilio from "twilio";
 import fetch from "node-fetch";
-
-config();
+import { loadZones, watchZones, zonesStatus } from "./lib/zones.js";
+import { createSchedule, loadScheduleConfig } from "./lib/schedule.js";
+import { canonicalJaneBase } from "./lib/jane.js";
+import { createMenuProvider } from "./lib/menu/index.js";
+import { createOrderStatusProvider } from "./lib/orderStatus/index.js";
+import { updateCatalog, catalogStatus, normalizeCategory, parseProductQuery } from "./lib/catalog.js";
+import { openSession, endSession, pushTurn, sessionCount } from "./lib/session.js";
+import {
+  twilioWebhookGuard,
+  signRelayToken,
+  verifyRelayClient,
+  redactRelayUrl,
+  requireAdmin,
+  requireAdminWrite,
+  adminActor,
+  securityReport,
+} from "./lib/security.js";
+import {
+  loadCallStore,
+  recordCallStart,
+  recordTurn,
+  recordCallNote,
+  recordCallEnd,
+  listCalls,
+  getCall,
+  allTurns,
+} from "./lib/callStore.js";
+import { createRouter, loadRoutingConfig } from "./lib/routing.js";
+import {
+  twilioClient,
+  sendSms,
+  smsEnabled,
+  normalizePhone,
+  isOptedOut,
+  consentFor,
+  recordConsent,
+  smsKeyword,
+} from "./lib/sms.js";
+import { observeTurn, observeCallStart, observeCallEnd, renderMetrics, rates } from "./lib/metrics.js";
+import { buildInsights } from "./lib/insights.js";
+import { createEngine, loadFacts, menuSearch } from "./lib/engine/index.js";
+import { languageOf } from "./lib/engine/language.js";
+import { brandVoice, toWrittenText, writtenPhone } from "./lib/format.js";
+import { createPersona, loadPersonaConfig } from "./lib/persona.js";
+import { loadFactsStore, currentFacts, listFacts, getFact, setFact, deleteFact, factsAudit } from "./lib/factsStore.js";
+import { factsConsolePage } from "./lib/factsConsole.js";
+import {
+  loadSpecials,
+  specialsStatus,
+  listDeals,
+  getDeal,
+  dealsOn,
+  addDeal,
+  updateDeal,
+  removeDeal,
+  importDeals,
+} from "./lib/specials.js";
+import { submitOrder, orderHandoff, listOrders, phoneOrdersEnabled } from "./lib/orders.js";
 
 const app = express();
 app.use(bodyParser.urlencoded({ extended: true }));
@@ -17,17 +73,16 @@ app.use(bodyParser.json());
 const PORT = process.env.PORT || 8080;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
 const OPENAI_CHAT_MODEL = process.env.OPENAI_CHAT_MODEL || "gpt-4o-mini";
-const USE_SSML = String(process.env.CN_USE_SSML || "false").toLowerCase() === "true";
-
-const TRANSFER_NUMBER =
-  process.env.TWILIO_TRANSFER_NUMBER ||
-  process.env.TWILIO_VOICE_FALLBACK ||
-  "+19167019777"; // Crystal Nugs store line (E.164)
-
 const JANE_LOOKUPS_ENABLED =
   String(process.env.JANE_LOOKUPS_ENABLED || "true").toLowerCase() === "true";
 
-// ---------- URL + phone helpers ----------
+// Menu provider: Jane (cache + snapshot + circuit breaker) or a local JSON file (MENU_PROVIDER=file)
+const menu = createMenuProvider();
+
+// "Where's my order?" answers: a local JSON file plus the phone-order queue, or a webhook (CN_ORDER_STATUS_PROVIDER)
+const orderStatus = createOrderStatusProvider();
+
+// ---------- URL helpers ----------
 function normalizeBaseUrl(u) {
   let s = String(u || "").trim();
   if (!s) return "";
@@ -41,6 +96,9 @@ const BASE_URL = normalizeBaseUrl(
   process.env.PUBLIC_BASE_URL || process.env.RENDER_EXTERNAL_URL || ""
 );
 
+// X-Twilio-Signature check for every /twilio/* webhook
+const twilioOnly = twilioWebhookGuard({ baseUrl: BASE_URL });
+
 function absUrl(path = "/") {
   const base = BASE_URL;
   const p = path.startsWith("/") ? path : `/${path}`;
@@ -48,197 +106,82 @@ function absUrl(path = "/") {
   return url.replace(/^https?:\/\/https?:\/\//i, "https://");
 }
 
-function speakPhone(e164 = "+19167019777") {
-  const digits = String(e164).replace(/[^\d]/g, "");
-  const parts =
-    digits.startsWith("1") && digits.length === 11
-      ? [digits.slice(1, 4), digits.slice(4, 7), digits.slice(7)]
-      : digits.length === 10
-      ? [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6)]
-      : [digits];
-  return parts
-    .map((seg, i) => seg.split("").join("-") + (i < parts.length - 1 ? "," : ""))
-    .join(" ")
-    .trim();
-}
-
 // ---------- Live transfer (Calls API) ----------
-async function transferLiveCall(callSid) {
+// Redirects the live call to /twilio/transfer, which dials the chosen department
+async function transferLiveCall(callSid, department) {
   if (!callSid) throw new Error("Missing CallSid for transfer");
-  const ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
-  const AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
-  if (!ACCOUNT_SID || !AUTH_TOKEN) throw new Error("Missing Twilio creds (Account SID/Auth Token)");
-
-  const client = twilio(ACCOUNT_SID, AUTH_TOKEN);
-  const TRANSFER_URL = absUrl("/twilio/transfer");
+  const client = twilioClient();
+  const TRANSFER_URL = absUrl(`/twilio/transfer?dept=${encodeURIComponent(department || "")}`);
   console.log("Attempting live transfer to:", TRANSFER_URL, "CallSid:", callSid);
 
   return client.calls(callSid).update({ method: "POST", url: TRANSFER_URL });
 }
 
-// ===== Business Facts (env-driven; update in Render → Environment) =====
-const HOURS =
-  process.env.CN_HOURS ||
-  "Our dispensary is open daily from 9:00 AM to 9:00 PM, and we take delivery orders from 8:30 AM to 8:30 PM.";
-
-const ADDRESS = process.env.CN_ADDRESS || "2300 J Street, Sacramento, CA 95816";
-
-const ID_RULES =
-  process.env.CN_ID_RULES ||
-  "You’ll need a valid government-issued photo ID and be at least 21+.";
-
-const DELIVERY =
-  process.env.CN_DELIVERY ||
-  "We deliver to Midtown and the greater Sacramento area including Citrus Heights, Roseville, Lincoln, Folsom, Elk Grove, and much more. Share your zip code to confirm delivery.";
-
-const DELIV_MIN =
-  process.env.CN_DELIVERY_MINIMUM ||
-  "Order minimums depend on where you’re located — for the immediate Sacramento area, it’s just $40.";
-
-const DELIV_FEE =
-  process.env.CN_DELIVERY_FEE ||
-  "Enjoy fast delivery for just $1.99 on most orders.";
-
-const LAST_CALL =
-  process.env.CN_LAST_CALL ||
-  "Last call for delivery is 8:15 PM daily. Orders placed after that time, or from distant locations, may be scheduled for the next day.";
-
-const MED_PTS =
-  process.env.CN_MED_PATIENTS ||
-  "We also accept verified medical patients ages 18+ with a valid recommendation.";
-
-const PARKING =
-  process.env.CN_PARKING ||
-  "Plenty of street parking available right on J Street and 23rd — easy access to the shop!";
-
-const PAYMENT =
-  process.env.CN_PAYMENT ||
-  "We accept cash and JanePay for both in-store and delivery orders. If you need cash, we’ve got two ATMs in-store.";
-
-const SPECIALS =
-  process.env.CN_SPECIALS ||
-  "To check out today’s deals, just visit crystalnugs.com — our daily specials appear automatically. Deals change every day.";
-
-const RETURNS =
-  process.env.CN_RETURN_POLICY ||
-  "Crystal Nugs may exchange most defective products within 24 hours of purchase when returned in original packaging with a valid receipt, per California DCC regulations.";
-
-const VENDOR_INFO =
-  process.env.CN_VENDOR_INFO ||
-  "Vendors and brands can email chris at crystal nugs dot com — that's C-H-R-I-S at crystal nugs dot com — with your catalog, best pricing, and what makes your brand stand out. Our purchasing team reviews submissions weekly.";
-
-const VENDOR_DEMO =
-  process.env.CN_VENDOR_DEMO ||
-  "If you’d like to schedule an in-store demo or brand activation at Crystal Nugs, please email our demo coordinator at caprice at crystal nugs dot com — that's C-A-P-R-I-C-E at crystal nugs dot com — with your preferred dates, time slots, and sample information. Our events team will confirm availability and handle compliance details.";
-
-const WEBSITE = process.env.CN_WEBSITE || "https://www.crystalnugs.com";
-
-const MAP_URL =
-  process.env.CN_DIRECTIONS_URL ||
-  "Crystal Nugs is at 2300 J Street in Midtown Sacramento — the neon green building on the corner of J and 23rd.";
+// ===== Business Facts — env/defaults (lib/engine/facts.js) plus staff edits from /admin/facts (lib/factsStore.js) =====
+loadFactsStore({ facts: loadFacts() });
+const TRANSFER_NUMBER = currentFacts().transferNumber;
+
+// Live open/closed, delivery window, last call and holidays (data/schedule.json).
+// CN_CLOCK (testing only) pins "now" to one ISO time so simulated calls get the same hours answers.
+// A value that isn't a date is ignored, so a typo can't leave the server with a clock that throws.
+const PINNED_NOW = pinnedClock(process.env.CN_CLOCK);
+const schedule = createSchedule(loadScheduleConfig(), PINNED_NOW ? { now: () => PINNED_NOW } : {});
+
+function pinnedClock(value) {
+  if (!value) return null;
+  const at = new Date(value);
+  if (Number.isNaN(at.getTime())) {
+    console.error(`CN_CLOCK "${value}" is not a valid date (expected ISO, like 2026-10-14T19:00:00Z) — using the real clock`);
+    return null;
+  }
+  console.warn("CN_CLOCK is set — the store clock is pinned to", at.toISOString());
+  return at;
+}
 
-// Venues policy (allowed when asked)
-const DELIVERY_PLACES =
-  process.env.CN_DELIVERY_PLACES ||
-  "Yes — we deliver to hotels, motels, restaurants, bars, and truck stops within our service area. Please have a valid government ID (21+) and the name on the order present at handoff. For hotels, include the registered guest and room number; we can meet at the lobby or front desk if required. For restaurants, bars, or truck stops, we’ll meet at the main entrance, host stand, or a designated safe area. Payment: cash or JanePay.";
+// Transfer departments (dispatch, store, purchasing, management) — data/departments.json
+const router = createRouter(loadRoutingConfig(), { schedule, fallbackNumber: TRANSFER_NUMBER });
+
+// Voice, greetings and speaking style (data/persona.json). Calls start in English;
+// "para español" or keypad 2 switches the relay to the persona's Spanish voice.
+const persona = createPersona(loadPersonaConfig(), { schedule });
+
+// Dialogue engine: phone orders → menu → local intents → OpenAI. The relay and /twilio/sms are adapters around it.
+const engine = createEngine({
+  facts: currentFacts,
+  schedule,
+  router,
+  menu,
+  menuEnabled: JANE_LOOKUPS_ENABLED,
+  sms: {
+    enabled: smsEnabled,
+    optedOut: isOptedOut,
+    consented: (number) => consentFor(number)?.status === "opted_in",
+  },
+  specials: { dealsOn },
+  // CN_PHONE_ORDERS=false turns order taking off; the "order" intent then answers with the website
+  orders: phoneOrdersEnabled() ? { submit: submitOrder, handoff: orderHandoff() } : null,
+  orderStatus,
+  openai: {
+    apiKey: OPENAI_API_KEY,
+    model: OPENAI_CHAT_MODEL,
+    historyTurns: process.env.OPENAI_HISTORY_TURNS,
+  },
+});
 
 // ===== Delivery Minimum + Fee + ETA Window table =====
-const DEFAULT_DELIVERY_TABLE = [
-  { zip:"95811", minimum:40, fee:1.99, window:"30–60 minutes" },
-  { zip:"95814", minimum:40, fee:1.99, window:"30–60 minutes" },
-  { zip:"95815", minimum:40, fee:1.99, window:"30–60 minutes" },
-  { zip:"95816", minimum:40, fee:1.99, window:"30–60 minutes" },
-  { zip:"95817", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95818", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95819", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95820", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95821", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95822", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95823", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95824", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95825", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95826", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95827", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95828", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95829", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95605", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95691", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95798", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95799", minimum:40, fee:1.99, window:"45–75 minutes" },
-  { zip:"95673", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95626", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95652", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95838", minimum:40, fee:1.99, window:"45–90 minutes" },
-  { zip:"95628", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95670", minimum:60, fee:1.99, window:"75–150 minutes" },
-  { zip:"95655", minimum:60, fee:1.99, window:"75–150 minutes" },
-  { zip:"95683", minimum:125, fee:1.99, window:"120–240 minutes" },
-  { zip:"95741", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95742", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95610", minimum:60, fee:1.99, window:"75–150 minutes" },
-  { zip:"95611", minimum:40, fee:1.99, window:"45–90 minutes" },
-  { zip:"95621", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95841", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95608", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95609", minimum:40, fee:1.99, window:"45–90 minutes" },
-  { zip:"95660", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95842", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95830", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95831", minimum:40, fee:1.99, window:"45–90 minutes" },
-  { zip:"95832", minimum:40, fee:1.99, window:"45–90 minutes" },
-  { zip:"95833", minimum:40, fee:1.99, window:"45–90 minutes" },
-  { zip:"95834", minimum:40, fee:1.99, window:"45–90 minutes" },
-  { zip:"95835", minimum:40, fee:1.99, window:"45–90 minutes" },
-  { zip:"95836", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95837", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95843", minimum:50, fee:1.99, window:"60–120 minutes" },
-  { zip:"95864", minimum:40, fee:1.99, window:"45–90 minutes" },
-  { zip:"95695", minimum:65, fee:1.99, window:"90–180 minutes" },
-  { zip:"95776", minimum:70, fee:1.99, window:"90–180 minutes" },
-  { zip:"95616", minimum:65, fee:1.99, window:"90–180 minutes" },
-  { zip:"95617", minimum:65, fee:1.99, window:"90–180 minutes" },
-  { zip:"95618", minimum:65, fee:1.99, window:"90–180 minutes" },
-  { zip:"95662", minimum:70, fee:1.99, window:"90–180 minutes" },
-  { zip:"95668", minimum:60, fee:1.99, window:"75–150 minutes" },
-  { zip:"95630", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95671", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95763", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95762", minimum:100, fee:1.99, window:"90–180 minutes" },
-  { zip:"95677", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95678", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95747", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95765", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95650", minimum:100, fee:1.99, window:"90–180 minutes" },
-  { zip:"95661", minimum:70, fee:1.99, window:"90–180 minutes" },
-  { zip:"95746", minimum:60, fee:1.99, window:"75–150 minutes" },
-  { zip:"95648", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95624", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95757", minimum:80, fee:1.99, window:"90–180 minutes" },
-  { zip:"95758", minimum:70, fee:1.99, window:"90–180 minutes" },
-  { zip:"95759", minimum:70, fee:1.99, window:"90–180 minutes" },
-  { zip:"95632", minimum:80, fee:3.49, window:"90–180 minutes" },
-  { zip:"95612", minimum:40, fee:1.99, window:"45–90 minutes" },
-  { zip:"95693", minimum:125, fee:3.49, window:"120–240 minutes" },
-  { zip:"95639", minimum:80, fee:3.49, window:"120–240 minutes" },
-  { zip:"95672", minimum:80, fee:1.99, window:"90–180 minutes" }
-];
-
-let DELIVERY_TABLE = DEFAULT_DELIVERY_TABLE;
-try {
-  const override = process.env.CN_DELIVERY_TABLE ? JSON.parse(process.env.CN_DELIVERY_TABLE) : null;
-  if (Array.isArray(override) && override.length) DELIVERY_TABLE = override;
-} catch { /* keep default */ }
-
-DELIVERY_TABLE = DELIVERY_TABLE.map((r) => ({
-  ...r,
-  window: r.window || computeEtaWindow(r.minimum, r.zip),
-}));
+// Lives in data/zipzones.json (override with CN_ZONES_FILE); edits are picked up without a restart.
+loadZones();
+watchZones();
+loadCallStore();
+
+// Deals the bot reads out — data/specials.json (CN_SPECIALS_FILE), managed through /admin/specials
+loadSpecials();
 
 // ---------- Health ----------
 app.get("/health", (_req, res) => res.json({ ok: true }));
 
 // Jane env debug (no secrets)
-app.get("/jane/debug", (_req, res) => {
+app.get("/jane/debug", requireAdmin, (_req, res) => {
   const base = canonicalJaneBase(process.env.JANE_API_BASE || "https://api.iheartjane.com");
   const storeId = process.env.JANE_STORE_ID ? String(process.env.JANE_STORE_ID) : null;
   const tokenSet = !!process.env.JANE_API_TOKEN;
@@ -249,11 +192,17 @@ app.get("/jane/debug", (_req, res) => {
     tokenPresent: tokenSet,
     tokenLength: tokenLen,
     lookupsEnabled: String(process.env.JANE_LOOKUPS_ENABLED || "true"),
+    catalog: catalogStatus(),
+    provider: menu.name,
+    client: menu.stats(),
   });
 });
 
+// Delivery zone table status (row errors + conflicts from the last load)
+app.get("/zones/debug", requireAdmin, (_req, res) => res.json(zonesStatus()));
+
 // Public IP helper (for Jane allowlisting)
-app.get("/whoami", async (_req, res) => {
+app.get("/whoami", requireAdmin, async (_req, res) => {
   try {
     const r = await fetch("https://ifconfig.me/ip");
     const ip = await r.text();
@@ -264,70 +213,573 @@ app.get("/whoami", async (_req, res) => {
 });
 
 // Jane test endpoint
-app.get("/jane/test", async (_req, res) => {
+app.get("/jane/test", requireAdmin, async (_req, res) => {
   try {
-    const items = await janeMenuSearch("maven pre-roll", 3);
-    res.json({ ok: true, sample: items });
+    const { items, source, ageMs } = await menuSearch(menu, "maven pre-roll", 3);
+    res.json({ ok: true, source, ageMs, sample: items });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
 // ---------- Voice Webhook ----------
-app.post("/twilio/voice", (req, res) => {
-  const wsUrl = `wss://${req.get("host")}/relay`;
-  const greeting =
-    "Welcome to Crystal Nugs Sacramento. I can help with delivery areas, store hours, address, frequently asked questions, or product lookups. What can I do for you today?";
-
-  const twiml =
-    `<Response>
-       <Connect>
-         <ConversationRelay
-           url="${wsUrl}"
-           ttsProvider="Google"
-           voice="en-US-Wavenet-F"
-           welcomeGreeting="${escapeXml(greeting)}" />
-       </Connect>
-     </Response>`;
-
-  console.log("Serving /twilio/voice TwiML:\n", twiml);
+app.post("/twilio/voice", twilioOnly, (req, res) => {
+  // Signed for this CallSid only; checked again on the WS upgrade
+  const callSid = String(req.body?.CallSid || "");
+  recordCallStart(callSid, { from: req.body?.From || null, to: req.body?.To || null });
+  observeCallStart();
+  const wsUrl = `wss://${req.get("host")}/relay?callSid=${encodeURIComponent(callSid)}&token=${signRelayToken(callSid)}`;
+  const twiml = persona.twiml({ url: wsUrl });
+
+  console.log("Serving /twilio/voice TwiML:\n", redactRelayUrl(twiml));
   res.type("text/xml").send(twiml);
 });
 
+// What /twilio/voice would answer, for reviewing persona changes. ?at=2026-10-14T08:00:00-07:00 for another time of day.
+app.get("/twilio/voice/preview", requireAdmin, (req, res) => {
+  const at = req.query.at ? new Date(String(req.query.at)) : undefined;
+  if (at && Number.isNaN(at.getTime())) return res.status(400).json({ error: "at must be an ISO date/time" });
+  const url = `wss://${req.get("host")}/relay?callSid=CApreview&token=preview`;
+  res.type("text/xml").send(persona.twiml({ url, at }));
+});
+
 // ---------- Transfer endpoint (TwiML) ----------
-app.post("/twilio/transfer", (_req, res) => {
+// Dials the department picked in the relay; closed or unanswered goes to the missed-call fallback
+app.post("/twilio/transfer", twilioOnly, (req, res) => {
+  const dept = router.department(req.query.dept);
   const vr = new twilio.twiml.VoiceResponse();
-  vr.say("No problem. Transferring you now.");
-  vr.dial(TRANSFER_NUMBER);
+
+  // The relay already told the caller where they're going
+  if (!router.isOpen(dept.key)) {
+    recordCallNote(req.body?.CallSid, { kind: "transfer", department: dept.key, result: "closed" });
+    missedCallTwiml(vr, dept);
+  } else {
+    const dial = vr.dial({
+      timeout: router.dialTimeoutSec,
+      action: absUrl(`/twilio/transfer/result?dept=${dept.key}`),
+      method: "POST",
+      callerId: transferCallerId(req.body),
+    });
+    dial.number(dept.number);
+  }
+  res.type("text/xml").send(vr.toString());
+});
+
+// <Dial> action: hang up after a real conversation, otherwise fall back
+app.post("/twilio/transfer/result", twilioOnly, (req, res) => {
+  const dept = router.department(req.query.dept);
+  const status = req.body?.DialCallStatus;
+  recordCallNote(req.body?.CallSid, { kind: "transfer", department: dept.key, result: status || "unknown" });
+  console.log("Transfer result:", dept.key, status, req.body?.CallSid);
+
+  const vr = new twilio.twiml.VoiceResponse();
+  if (status === "completed" || status === "answered") {
+    vr.hangup();
+  } else {
+    vr.say("Sorry, nobody was able to pick up just now.");
+    missedCallTwiml(vr, dept);
+  }
+  res.type("text/xml").send(vr.toString());
+});
+
+// Callback offer: 1 → text the caller so staff can call back; anything else → voicemail
+app.post("/twilio/transfer/callback", twilioOnly, async (req, res) => {
+  const dept = router.department(req.query.dept);
+  const vr = new twilio.twiml.VoiceResponse();
+  const caller = req.body?.From;
+
+  if (req.body?.Digits === "1" && caller) {
+    try {
+      await sendSms({
+        to: caller,
+        from: process.env.CN_SMS_FROM || req.body?.To,
+        body: `Crystal Nugs here — sorry we missed you. Reply with a good time and ${dept.label} will call you back. Reply STOP to opt out.`,
+      });
+      recordCallNote(req.body?.CallSid, { kind: "callback_request", department: dept.key, from: caller });
+      vr.say("Done — we just texted you. Reply there with a good time and we’ll call you back. Goodbye!");
+      vr.hangup();
+      return res.type("text/xml").send(vr.toString());
+    } catch (e) {
+      console.error("Callback SMS failed:", e.message);
+      vr.say("Sorry, I couldn’t send that text.");
+    }
+  }
+  voicemailTwiml(vr, dept);
   res.type("text/xml").send(vr.toString());
 });
 
+// <Record> action: the recording is done
+app.post("/twilio/voicemail", twilioOnly, (req, res) => {
+  const dept = router.department(req.query.dept);
+  recordCallNote(req.body?.CallSid, {
+    kind: "voicemail",
+    department: dept.key,
+    from: req.body?.From || null,
+    recordingUrl: req.body?.RecordingUrl || null,
+    durationSec: Number(req.body?.RecordingDuration) || null,
+  });
+  console.log("Voicemail for", dept.key, "from", req.body?.From, req.body?.RecordingUrl);
+  const vr = new twilio.twiml.VoiceResponse();
+  vr.say("Thanks — we got your message and will get back to you soon. Goodbye!");
+  vr.hangup();
+  res.type("text/xml").send(vr.toString());
+});
+
+// Transcription arrives separately, after the call may have ended
+app.post("/twilio/voicemail/transcription", twilioOnly, (req, res) => {
+  recordCallNote(req.body?.CallSid, {
+    kind: "voicemail_transcription",
+    department: router.department(req.query.dept).key,
+    status: req.body?.TranscriptionStatus || null,
+    text: req.body?.TranscriptionText || "",
+    recordingUrl: req.body?.RecordingUrl || null,
+  });
+  console.log("Voicemail transcription:", req.body?.TranscriptionStatus, req.body?.CallSid);
+  res.sendStatus(200);
+});
+
+// ---------- Inbound SMS ----------
+// Opt-out keywords are honored before anything else; Twilio's own STOP reply still goes out.
+// Anything else is answered by the same pipeline as calls, with written formatting.
+app.post("/twilio/sms", twilioOnly, async (req, res) => {
+  const from = req.body?.From;
+  const body = String(req.body?.Body || "").trim();
+  const keyword = smsKeyword(body);
+  const mr = new twilio.twiml.MessagingResponse();
+  console.log("SMS from", from, keyword ? `[${keyword}]` : "", body.slice(0, 160));
+
+  if (keyword === "stop") {
+    recordConsent(from, { status: "opted_out", source: "sms", text: body });
+  } else if (keyword === "start" && (isOptedOut(from) || body.toLowerCase() !== "yes")) {
+    recordConsent(from, { status: "opted_in", source: "sms", text: body });
+  } else if (keyword === "help") {
+    mr.message(`Crystal Nugs: call ${writtenPhone(TRANSFER_NUMBER)} or visit ${currentFacts().website}. Reply STOP to opt out.`);
+  } else if (body && !isOptedOut(from)) {
+    mr.message(await answerText(from, body, req.body?.To));
+  }
+  res.type("text/xml").send(mr.toString());
+});
+
+// One text thread per number: follow-ups ("and the minimum?") see the earlier messages
+async function answerText(from, body, to = null) {
+  const session = openSession(`sms:${normalizePhone(from) || "unknown"}`);
+  if (!session.history.length) recordCallStart(session.id, { from, to });
+  session.channel = "sms";
+  session.caller = from || null;
+
+  const startedAt = Date.now();
+  let trace = {};
+  let text;
+  try {
+    const out = await engine.respond(session, body, { channel: "sms" });
+    trace = out.turn;
+    text = toWrittenText(out.text || `Sorry, I didn’t catch that. Call us at ${writtenPhone(TRANSFER_NUMBER)}.`, currentFacts());
+  } catch (e) {
+    console.error("SMS answer error:", e.message);
+    trace = { error: `sms: ${e.message}` };
+    text = `Sorry, something went wrong on our end. Call us at ${writtenPhone(TRANSFER_NUMBER)}.`;
+  }
+
+  const { branch = null, ...rest } = trace;
+  const record = {
+    channel: "sms",
+    utterance: body,
+    branch,
+    intent: session.lastIntent || null,
+    reply: text,
+    // A text has no first reply before the full one, so only totalMs is real; null keeps SMS out of the latency rings
+    latencyMs: null,
+    totalMs: Date.now() - startedAt,
+    ...rest,
+  };
+  recordTurn(session.id, record);
+  observeTurn(record);
+  return text;
+}
+
 // ---------- Call status logs ----------
-app.post("/twilio/status", (req, res) => {
-  console.log("Call status:", req.body?.CallStatus, req.body?.CallSid);
+app.post("/twilio/status", twilioOnly, (req, res) => {
+  const status = req.body?.CallStatus;
+  console.log("Call status:", status, req.body?.CallSid);
+  // Final statuses close the call record
+  if (/^(completed|busy|failed|no-answer|canceled)$/.test(String(status))) {
+    const duration = Number(req.body?.CallDuration);
+    recordCallEnd(req.body?.CallSid, { status, durationSec: Number.isFinite(duration) ? duration : null });
+    observeCallEnd(status);
+  }
   res.sendStatus(200);
 });
 
+// ---------- Call review (admin) ----------
+// GET /admin/calls?limit=50&offset=0&status=completed&branch=openai&errors=1
+app.get("/admin/calls", requireAdmin, (req, res) => {
+  const { status, branch, errors } = req.query;
+  res.json(
+    listCalls({
+      limit: Math.min(Number(req.query.limit) || 50, 500),
+      offset: Number(req.query.offset) || 0,
+      status: status || undefined,
+      branch: branch || undefined,
+      errors: errors === "1" || errors === "true",
+    })
+  );
+});
+
+app.get("/admin/calls/:callSid", requireAdmin, (req, res) => {
+  const call = getCall(req.params.callSid);
+  if (!call) return res.status(404).json({ error: "Call not found" });
+  res.json(call);
+});
+
+// ---------- Business facts (admin) ----------
+// GET    /admin/facts                  every fact, English and Spanish, with who last edited it
+// GET    /admin/facts/audit?key=&limit=
+// GET    /admin/facts/console          the HTML editor
+// GET    /admin/facts/:key?lang=es
+// POST   /admin/facts                  { key, value, lang }   a new fact
+// PUT    /admin/facts/:key             { value, lang }        change a fact
+// DELETE /admin/facts/:key?lang=es     drop the edit (back to the environment value)
+// Writes take JSON or the X-Requested-With header, never a form post (requireAdminWrite)
+app.get("/admin/facts", requireAdmin, (_req, res) => res.json({ facts: listFacts() }));
+
+app.get("/admin/facts/audit", requireAdmin, (req, res) => {
+  res.json({
+    changes: factsAudit({
+      limit: Math.min(Number(req.query.limit) || 100, 1000),
+      key: req.query.key ? String(req.query.key) : undefined,
+    }),
+  });
+});
+
+app.get("/admin/facts/console", requireAdmin, (_req, res) => res.type("html").send(factsConsolePage()));
+
+app.get("/admin/facts/:key", requireAdmin, (req, res) => {
+  const fact = getFact(req.params.key, String(req.query.lang || "en"));
+  if (!fact) return res.status(404).json({ error: "Fact not found" });
+  res.json(fact);
+});
+
+app.post("/admin/facts", requireAdminWrite, (req, res) => {
+  const { key, value, lang = "en" } = req.body || {};
+  sendAdminResult(res, setFact(key, value, { lang, actor: adminActor(req), create: true }), "fact", 201);
+});
+
+app.put("/admin/facts/:key", requireAdminWrite, (req, res) => {
+  const { value, lang = "en" } = req.body || {};
+  sendAdminResult(res, setFact(req.params.key, value, { lang, actor: adminActor(req) }), "fact");
+});
+
+app.delete("/admin/facts/:key", requireAdminWrite, (req, res) => {
+  const lang = String(req.query.lang || req.body?.lang || "en");
+  sendAdminResult(res, deleteFact(req.params.key, { lang, actor: adminActor(req) }), "fact");
+});
+
+// ---------- Specials (admin) ----------
+// GET    /admin/specials                         every deal on file, flagged when it runs today
+// GET    /admin/specials/today?at=&brand=&category=   what the bot reads out (for that store-local time)
+// GET    /admin/specials/:id
+// POST   /admin/specials                         { title, titleEs, brands, categories, days, start, end, finePrint, finePrintEs }
+// PUT    /admin/specials/:id                     the fields to change
+// DELETE /admin/specials/:id
+// POST   /admin/specials/import?replace=1        a JSON array, or CSV with Content-Type: text/csv
+// Writes take JSON, CSV or the X-Requested-With header, never a form post (requireAdminWrite)
+app.get("/admin/specials", requireAdmin, (_req, res) => {
+  const today = schedule.status().at;
+  const running = new Set(dealsOn(today).map((d) => d.id));
+  res.json({
+    today: today.date,
+    ...specialsStatus(),
+    deals: listDeals().map((d) => ({ ...d, runningToday: running.has(d.id) })),
+  });
+});
+
+app.get("/admin/specials/today", requireAdmin, (req, res) => {
+  const at = req.query.at ? new Date(String(req.query.at)) : undefined;
+  if (at && Number.isNaN(at.getTime())) return res.status(400).json({ error: "at must be an ISO date/time" });
+  const day = schedule.status(at).at;
+  const target = {
+    // "steezy" → STIIIZY, the way the bot hears it
+    brand: req.query.brand ? parseProductQuery(String(req.query.brand)).brand || String(req.query.brand) : null,
+    category: req.query.category ? normalizeCategory(String(req.query.category)) : null,
+  };
+  res.json({ date: day.date, weekday: day.weekday, deals: dealsOn(day, target) });
+});
+
+app.get("/admin/specials/:id", requireAdmin, (req, res) => {
+  const deal = getDeal(req.params.id);
+  if (!deal) return res.status(404).json({ error: "Deal not found" });
+  res.json(deal);
+});
+
+app.post("/admin/specials", requireAdminWrite, (req, res) => {
+  sendAdminResult(res, addDeal(req.body || {}, { actor: adminActor(req) }), "deal", 201);
+});
+
+app.put("/admin/specials/:id", requireAdminWrite, (req, res) => {
+  sendAdminResult(res, updateDeal(req.params.id, req.body || {}, { actor: adminActor(req) }), "deal");
+});
+
+app.delete("/admin/specials/:id", requireAdminWrite, (req, res) => {
+  sendAdminResult(res, removeDeal(req.params.id, { actor: adminActor(req) }), "deal");
+});
+
+app.post(
+  "/admin/specials/import",
+  requireAdminWrite,
+  bodyParser.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  (req, res) => {
+    const format = req.is("text/csv") || req.query.format === "csv" ? "csv" : "json";
+    const replace = req.query.replace === "1" || req.query.replace === "true";
+    sendAdminResult(res, importDeals(req.body, { format, replace, actor: adminActor(req) }));
+  }
+);
+
+// ---------- Phone orders (admin) ----------
+// GET /admin/orders?status=pending&limit=50   orders taken on calls, newest first (CN_ORDERS_FILE)
+app.get("/admin/orders", requireAdmin, (req, res) => {
+  const orders = listOrders({
+    status: req.query.status ? String(req.query.status) : undefined,
+    limit: Math.min(Number(req.query.limit) || 50, 500),
+  });
+  res.json({ handoff: orderHandoff(), count: orders.length, orders });
+});
+
+// GET /admin/order-status?phone=+19165550142 | ?order=482193   what the bot would read to that caller
+app.get("/admin/order-status", requireAdmin, async (req, res) => {
+  const phone = req.query.phone ? String(req.query.phone) : null;
+  const id = req.query.order ? String(req.query.order) : null;
+  if (!phone && !id) return res.status(400).json({ error: "phone or order is required" });
+  try {
+    const orders = await orderStatus.lookup(id ? { id } : { phone });
+    res.json({ provider: orderStatus.name, stats: orderStatus.stats(), orders });
+  } catch (e) {
+    res.status(502).json({ provider: orderStatus.name, error: e.message });
+  }
+});
+
+// { ok: false, status, error, errors? } → that status; otherwise result[key] (or the whole result)
+function sendAdminResult(res, result, key = null, status = 200) {
+  if (!result.ok) return res.status(result.status).json({ error: result.error, errors: result.errors });
+  res.status(status).json(key ? result[key] || { ok: true } : result);
+}
+
+// ---------- Metrics + insights (admin) ----------
+// Prometheus scrape target (use bearer_token or basic_auth with CN_ADMIN_TOKEN)
+app.get("/metrics", requireAdmin, (_req, res) => {
+  const breaker = menu.stats()?.breaker;
+  res.type("text/plain; version=0.0.4").send(
+    renderMetrics({
+      cn_active_sessions: { help: "Relay sessions currently open", value: sessionCount() },
+      cn_menu_breaker_open: { help: "1 while the menu circuit breaker is open", value: breaker?.state === "open" ? 1 : 0 },
+    })
+  );
+});
+
+// Unanswered-question clusters from the call store. ?since=2026-01-01&threshold=0.5&limit=25
+app.get("/admin/insights", requireAdmin, (req, res) => {
+  const report = buildInsights(allTurns({ since: req.query.since }), {
+    threshold: Number(req.query.threshold) || 0.5,
+    limit: Math.min(Number(req.query.limit) || 25, 200),
+  });
+  res.json({ sinceRestart: rates(), ...report });
+});
+
 // ---------- Start HTTP ----------
 const server = app.listen(PORT, () => {
   console.log("Server listening on port", PORT);
+  for (const { level, message } of securityReport({ baseUrl: BASE_URL })) {
+    const log = level === "error" ? console.error : level === "warn" ? console.warn : console.log;
+    log(`Security ${level}: ${message}`);
+  }
 });
 
+// Full-menu refresh (Jane's fallback snapshot) — also rebuilds the product lexicon
+if (JANE_LOOKUPS_ENABLED && menu.configured()) {
+  menu.startRefresh(Number(process.env.JANE_SNAPSHOT_REFRESH_MS || 10 * 60 * 1000), updateCatalog);
+}
+
 server.on("upgrade", (req) => {
-  console.log("HTTP upgrade (WS) ->", req.url);
+  console.log("HTTP upgrade (WS) ->", redactRelayUrl(req.url));
 });
 
 // ---------- WebSocket Bridge ----------
-const wss = new WebSocketServer({ server, path: "/relay" });
+const wss = new WebSocketServer({ server, path: "/relay", verifyClient: verifyRelayClient });
 
 wss.on("error", (err) => {
   console.error("WSS server error:", err?.message || err);
 });
 
-wss.on("connection", async (twilioWS) => {
+wss.on("connection", async (twilioWS, req) => {
   console.log("Twilio connected to Conversation Relay (HTTPS Chat + local intents)");
 
   let currentCallSid = null;
+  let session = null;
+  let inflight = null; // AbortController for the reply being generated
+
+  const cancelInflight = (reason) => {
+    if (inflight && !inflight.signal.aborted) inflight.abort(reason);
+    inflight = null;
+  };
+
+  // The caller turn being answered, for the call store: which branch answered, what we said, how fast.
+  // `trace` is the engine's { branch, source, outcome, error, department } for the turn.
+  let turn = null;
+  const finishTurn = (t, extra = {}) => {
+    if (!t || t.done) return;
+    t.done = true;
+    const { branch = null, ...trace } = t.trace;
+    const record = {
+      channel: t.channel,
+      utterance: t.utterance,
+      branch,
+      intent: session?.lastIntent || null,
+      reply: t.replies.join(" "),
+      latencyMs: t.firstReplyAt ? t.firstReplyAt - t.startedAt : null,
+      totalMs: Date.now() - t.startedAt,
+      ...trace,
+      ...(t.interrupted ? { interrupted: true } : {}),
+      ...extra,
+    };
+    recordTurn(session?.id, record);
+    observeTurn(record);
+  };
+  const startTurn = (utterance, channel = "speech") => {
+    finishTurn(turn, { cancelled: true }); // still running: the caller moved on
+    turn = { utterance, channel, startedAt: Date.now(), firstReplyAt: null, trace: {}, replies: [] };
+    return turn;
+  };
+  const spoke = (text) => {
+    if (!turn || turn.done) return;
+    turn.firstReplyAt ??= Date.now();
+    if (text) turn.replies.push(text);
+  };
+
+  // Switch ConversationRelay's voice and transcription before the first reply in a new language
+  let relayLang = "en";
+  const speakIn = (lang) => {
+    if (lang === relayLang || !persona.languages[lang]) return;
+    relayLang = lang;
+    const { code } = persona.languages[lang];
+    safeSend(twilioWS, { type: "language", ttsLanguage: code, transcriptionLanguage: code });
+    console.log("Relay language ->", code, "CallSid:", currentCallSid);
+  };
+
+  const say = (text) => {
+    spoke(text);
+    const lang = languageOf(session);
+    speakIn(lang);
+    safeSend(twilioWS, { type: "text", token: brandVoice(text, lang, persona.style), last: true });
+  };
+
+  // Lines the adapter adds on its own (a side effect failed): spoken and kept in the turn history
+  const reply = (text) => {
+    pushTurn(session, "assistant", text, { intent: session?.lastIntent || null });
+    say(text);
+  };
+
+  // A turn that threw (a provider down, a bug): logged and recorded, and the caller hears an apology
+  // instead of the call dropping
+  const turnFailed = (t, e) => {
+    console.error("Turn failed. CallSid:", currentCallSid, "-", e?.stack || e?.message || e);
+    t.trace = { ...t.trace, error: `turn: ${e?.message || e}` };
+    reply(
+      languageOf(session) === "es"
+        ? "Lo siento, tuve un problema de mi lado. ¿Me lo puede repetir?"
+        : "Sorry, something went wrong on my end. Could you say that again?"
+    );
+  };
+
+  // ---------- Engine actions ----------
+  // Texts go out before the reply (a failed send changes what we say); transfer and hang-up after it.
+  // A language action needs nothing here: say() switches the relay when the session's language changed.
+  const deliver = async (out) => {
+    let text = out.text;
+    for (const action of out.actions) {
+      if (action.type === "send_sms" && !(await sendFollowUp(action))) {
+        text = action.fallback;
+        // The history should hold what the caller actually heard
+        const last = session.history[session.history.length - 1];
+        if (last?.role === "assistant") last.text = text;
+      }
+    }
+    if (text && !out.streamed) say(text);
+    for (const action of out.actions) {
+      if (action.type === "transfer") await transferNow(action);
+      else if (action.type === "end_call") endCall(action);
+    }
+  };
+
+  const sendFollowUp = async ({ to, body, kind, consent }) => {
+    try {
+      await sendSms({ to, body });
+    } catch (e) {
+      console.error("SMS follow-up failed:", e.message);
+      return false;
+    }
+    // Only a text that went out counts: a failed one is offered again and leaves no opt-in on file
+    session.sms.sent.push(kind);
+    // Saying yes on the call is the opt-in; keep a record of it
+    if (consent) {
+      recordConsent(to, { status: "opted_in", source: `call:${session.id}`, text: consent.text });
+      recordCallNote(session.id, { kind: "sms_consent", from: to, text: consent.text });
+    }
+    recordCallNote(session.id, { kind: "sms_sent", topic: kind });
+    return true;
+  };
+
+  const transferNow = async ({ department, fallback }) => {
+    try {
+      await transferLiveCall(currentCallSid, department);
+      console.log("Live transfer initiated for CallSid:", currentCallSid);
+    } catch (e) {
+      console.error("Transfer error:", e.message);
+      if (turn && !turn.done) turn.trace.error = `transfer: ${e.message}`;
+      reply(fallback);
+    }
+  };
+
+  // Give the goodbye time to play before ending the relay session (Twilio then hangs up)
+  const endCall = ({ reason }) => {
+    const t = setTimeout(() => safeSend(twilioWS, { type: "end", handoffData: JSON.stringify({ reason }) }), 3000);
+    t.unref?.();
+  };
+
+  // Keypad: 0 = team member, 1 = hours, 2 = español, otherwise the digits of a ZIP (# sends early, * starts over).
+  // After "what's the order number?" every digit is part of the number: six, like lib/orders.js assigns.
+  let keyed = "";
+  let keyedAt = 0;
+  const orderNumberWanted = () => session?.pending?.slot === "order_number";
+  const handleDtmf = async (digit) => {
+    if (!session) session = openSession(currentCallSid);
+    if (keyed && Date.now() - keyedAt > 15000) keyed = "";
+    keyedAt = Date.now();
+
+    let keys;
+    if (digit === "*") {
+      keyed = "";
+      keys = "*";
+    } else if (!keyed && !orderNumberWanted() && (digit === "0" || digit === "1" || digit === "2")) {
+      keys = digit;
+    } else {
+      const want = orderNumberWanted() ? 6 : 5;
+      if (/^\d$/.test(digit)) keyed += digit;
+      if (keyed.length < want && digit !== "#") return;
+      keys = keyed.slice(0, want);
+      keyed = "";
+    }
+
+    const t = startTurn(`[keypad ${keys}]`, "dtmf");
+    cancelInflight(`keypad ${keys}`);
+    try {
+      const out = await engine.keypad(session, keys);
+      t.trace = out.turn;
+      await deliver(out);
+    } catch (e) {
+      turnFailed(t, e);
+    } finally {
+      finishTurn(t);
+    }
+  };
 
   twilioWS.on("message", async (buf) => {
     let msg;
@@ -340,139 +792,72 @@ wss.on("connection", async (twilioWS) => {
     if (msg.type === "setup") {
       currentCallSid =
         msg.callSid || msg.start?.callSid || msg.start?.twilio?.callSid || null;
+      // The relay token was signed for one call; don't let it open another
+      if (req.relayCallSid && currentCallSid !== req.relayCallSid) {
+        console.warn("Relay setup CallSid does not match its token:", currentCallSid);
+        twilioWS.close(1008, "CallSid mismatch");
+        return;
+      }
+      session = openSession(currentCallSid);
+      session.caller = msg.from || getCall(currentCallSid)?.from || null;
       console.log("Setup received. CallSid:", currentCallSid);
       return;
     }
 
-    if (msg.type === "prompt" && msg.voicePrompt) {
-      const userText = msg.voicePrompt.trim().toLowerCase();
-      console.log("Caller said:", userText);
-
-      // ---------- 0) Product lookup via Jane (before local intents) ----------
-      const productIntent = detectProductQuery(userText);
-
-      if (productIntent && JANE_LOOKUPS_ENABLED) {
-        const ac = new AbortController();
-        const to = setTimeout(() => ac.abort(), 5000);
-        try {
-          const results = await janeMenuSearch(productIntent, 12, ac.signal);
-          clearTimeout(to);
-
-          const list = formatJaneItems(results, 3);
-          const sum = summarizeJaneResults(results);
-
-          let headline;
-          if (sum.count > 0) {
-            const minS = money(sum.min);
-            const maxS = money(sum.max);
-            if (minS && maxS && minS !== maxS) {
-              headline = `I’m seeing about ${sum.count} items right now. Current price range is ${minS} to ${maxS}.`;
-            } else if (minS && (!maxS || minS === maxS)) {
-              headline = `I’m seeing about ${sum.count} items right now. Current price is around ${minS}.`;
-            } else {
-              headline = `I’m seeing about ${sum.count} items right now. Pricing varies by strain.`;
-            }
-          } else {
-            headline = `I didn’t see that available right now.`;
-          }
-
-          const msgOut =
-            sum.count > 0
-              ? list
-                ? `Yes — we carry ${productIntent}. ${headline} Top picks: ${list}. You can order at Crystal Nugs dot com.`
-                : `Yes — we carry ${productIntent}. ${headline} You can check varieties and prices at Crystal Nugs dot com.`
-              : `I didn’t see ${productIntent} available right now. Please check Crystal Nugs dot com for live inventory.`;
-
-          safeSend(twilioWS, {
-            type: "text",
-            token: brandVoice(msgOut),
-            last: true,
-          });
-        } catch (e) {
-          clearTimeout(to);
-          console.error("Jane lookup error:", e.message);
-          // Nice fallback: still answer yes generically if brand matched
-          const softYes = /maven/i.test(productIntent)
-            ? "Yes — we carry Maven. You can check current varieties and prices at Crystal Nugs dot com."
-            : "I couldn’t reach our live menu just now. Please check Crystal Nugs dot com for current stock.";
-          safeSend(twilioWS, {
-            type: "text",
-            token: brandVoice(softYes),
-            last: true,
-          });
-        }
-        return;
-      } else if (productIntent && !JANE_LOOKUPS_ENABLED) {
-        const soft = /maven/i.test(productIntent)
-          ? "Yes — we carry Maven. Check Crystal Nugs dot com for varieties and prices."
-          : "We carry that brand. Check Crystal Nugs dot com for live inventory.";
-        safeSend(twilioWS, { type: "text", token: brandVoice(soft), last: true });
-        return;
-      }
-
-      // ---------- 1) Local intents (fast path) ----------
-      const local = handleLocalIntent(userText);
-
-      // Immediate transfer branch
-      if (local === "__TRANSFER_NOW__") {
-        safeSend(twilioWS, {
-          type: "text",
-          token: brandVoice("No problem. Transferring you now."),
-          last: true,
-        });
-        try {
-          await transferLiveCall(currentCallSid);
-          console.log("Live transfer initiated for CallSid:", currentCallSid);
-        } catch (e) {
-          console.error("Transfer error:", e.message);
-          safeSend(twilioWS, {
-            type: "text",
-            token: brandVoice(
-              `I couldn’t transfer the call just now. Here’s our direct line: ${speakPhone(
-                TRANSFER_NUMBER
-              )}.`
-            ),
-            last: true,
-          });
-        }
-        return;
+    // Barge-in: drop whatever we were about to say
+    if (msg.type === "interrupt") {
+      console.log("Caller interrupted. CallSid:", currentCallSid, "heard:", msg.utteranceUntilInterrupt || "");
+      cancelInflight("interrupted");
+      if (turn) turn.interrupted = true;
+      const lastTurn = session?.history?.[session.history.length - 1];
+      if (lastTurn?.role === "assistant") {
+        lastTurn.interrupted = true;
+        lastTurn.heard = msg.utteranceUntilInterrupt || "";
       }
+      return;
+    }
 
-      if (local) {
-        safeSend(twilioWS, {
-          type: "text",
-          token: brandVoice(local),
-          last: true,
-        });
-        return;
-      }
+    if (msg.type === "dtmf") {
+      console.log("Keypad:", msg.digit, "CallSid:", currentCallSid);
+      await handleDtmf(String(msg.digit || ""));
+      return;
+    }
 
-      // ---------- 2) OpenAI fallback ----------
-      if (!OPENAI_API_KEY) {
-        safeSend(twilioWS, {
-          type: "text",
-          token: brandVoice("Sorry, I’m having trouble connecting right now."),
-          last: true,
-        });
-        return;
-      }
+    if (msg.type === "error") {
+      console.error("Relay error. CallSid:", currentCallSid, "-", msg.description || JSON.stringify(msg));
+      return;
+    }
 
+    if (msg.type === "prompt" && msg.voicePrompt) {
+      const rawText = msg.voicePrompt.trim();
+      console.log("Caller said:", rawText.toLowerCase());
+      if (!session) session = openSession(currentCallSid);
+      cancelInflight("new prompt");
+      const t = startTurn(rawText);
+      const ac = new AbortController();
+      inflight = ac;
       try {
-        const answer = await askOpenAI(userText);
-        safeSend(twilioWS, {
-          type: "text",
-          token: brandVoice(answer),
-          last: true,
+        const out = await engine.respond(session, rawText, {
+          channel: "voice",
+          signal: ac.signal,
+          // Stream sentence-sized chunks so the caller isn't left in dead air
+          onChunk: (text, last) => {
+            if (ac.signal.aborted) return;
+            spoke(text);
+            const lang = languageOf(session);
+            speakIn(lang);
+            const token = text ? brandVoice(text, lang, persona.style) : "";
+            safeSend(twilioWS, { type: "text", token: last ? token : `${token} `, last });
+          },
         });
+        t.trace = out.turn;
+        if (!ac.signal.aborted) await deliver(out);
       } catch (e) {
-        console.error("OpenAI HTTPS error:", e.message);
-        safeSend(twilioWS, {
-          type: "text",
-          token: brandVoice(
-            "Sorry, our assistant is currently busy. Please call back shortly."
-          ),
-          last: true,
-        });
+        if (ac.signal.aborted) console.log("Turn failed after the caller moved on:", e?.message || e);
+        else turnFailed(t, e);
+      } finally {
+        if (inflight === ac) inflight = null;
+        finishTurn(t);
       }
     }
   });
@@ -480,293 +865,47 @@ wss.on("connection", async (twilioWS) => {
   twilioWS.on("error", (err) =>
     console.error("Twilio WS error:", err?.message || err)
   );
-  twilioWS.on("close", (code, reason) =>
-    console.log("Twilio WS closed:", code, reason?.toString())
-  );
-});
-
-// ---------- Local Intent Handler ----------
-function handleLocalIntent(q = "") {
-  const maybeZip = extractZip(q);
-
-  // Ask-for-human
-  const wantsHuman = /\b(representative|agent|human|person|operator|manager|associate|someone|live\s*agent)\b/.test(
-    q
-  );
-  if (wantsHuman) return "__TRANSFER_NOW__";
-
-  // Delivery question types
-  const asksMin = /\b(min|minimum|order minimum|what.*minimum)\b/.test(q);
-  const asksFee = /\b(fee|delivery fee|charge|cost)\b/.test(q);
-  const asksDelivery = /\b(deliver|delivery|zone|area|order|eta|time|how long|arrive)\b/.test(
-    q
-  );
-
-  const asksDeliverTo =
-    /\b(can|do|will|y['’]?all|you)\s*(?:.*\s)?(deliver|drop\s?off|bring|meet)\s*(?:to|at)\b/.test(
-      q
-    ) ||
-    /\bdeliver\s*(?:to|at)\b/.test(q) ||
-    /\bdo you deliver\b/.test(q);
-
-  const mentionsHotel = /\b(hotel|motel|inn|suite|resort|lodg(e|ing)|air\s?bnb|airbnb)\b/.test(
-    q
-  );
-  const mentionsVenue = /\b(restaurant|bar|club|truck\s?stop|truckstop|gas\s?station|parking\s?lot|diner|cafe|pub)\b/.test(
-    q
-  );
-
-  // Venue-specific answer when explicitly asked if we deliver *to* them
-  if (asksDeliverTo && (mentionsHotel || mentionsVenue)) {
-    const z = maybeZip ? speakZip(maybeZip) : null;
-    const placeLabel = venueLabel({ mentionsHotel, mentionsVenue });
-
-    if (z) {
-      const rec = deliveryByZip(maybeZip);
-      if (rec) {
-        const min = formatMoney(rec.minimum);
-        const fee = formatMoney(rec.fee);
-        const win = rec.window || computeEtaWindow(rec.minimum, maybeZip);
-        return `Yes — we deliver to ${placeLabel} in ZIP ${z}. ETA ${win}. Minimum ${min}. Fee ${fee}. ${LAST_CALL}`;
-      }
-      return `Yes — we deliver to ${placeLabel} in that area. For ZIP ${z}, I don’t have a record on file. Share a nearby ZIP and I’ll confirm ETA, minimum, and fee.`;
-    }
-
-    return `${DELIVERY_PLACES} What’s your 5-digit ZIP so I can confirm ETA, minimum, and fee? For example: 9-5-8-1-6.`;
-  }
-
-  // ZIP-specific minimum/fee/ETA
-  if ((asksMin || asksFee || asksDelivery) && maybeZip) {
-    const rec = deliveryByZip(maybeZip);
-    const z = speakZip(maybeZip);
-    if (rec) {
-      const min = formatMoney(rec.minimum);
-      const fee = formatMoney(rec.fee);
-      const win = rec.window || computeEtaWindow(rec.minimum, maybeZip);
-      return `For ZIP ${z}: estimated delivery ${win}. Delivery minimum ${min}. Delivery fee ${fee}. ${LAST_CALL}`;
-    }
-    return `For ZIP ${z}: I don’t have a set delivery policy. Share a nearby ZIP and I’ll confirm your window, minimum, and fee.`;
-  }
-
-  // Ask for ZIP first if they want delivery details but didn’t give one
-  if (asksMin || asksFee || asksDelivery) {
-    return `What’s your 5-digit ZIP so I can confirm your delivery window, minimum, and fee? For example: 9-5-8-1-6.`;
-  }
-
-  // Generic intents
-  if (/\bhour|open|close|when\b/.test(q)) return `${HOURS} ${LAST_CALL}`;
-  if (/\baddress|location|where|directions|how to get\b/.test(q)) return MAP_URL;
-  if (/\bwebsite|site|url|online|menu\b/.test(q))
-    return "You can visit us online at Crystal Nugs dot com.";
-  if (/\bid|identification|age|21\b/.test(q)) return `${ID_RULES} ${MED_PTS}`;
-  if (/\bdeliver|delivery|zone|area|minimum|fee|charge\b/.test(q))
-    return `${DELIVERY} ${DELIV_MIN} ${DELIV_FEE}`;
-  if (/\bparking|park\b/.test(q)) return PARKING;
-  if (/\bpay|payment|cash|card|debit|atm|jane ?pay\b/.test(q)) return PAYMENT;
-  if (/\bdeal|special|discount|offer|promotion|promo\b/.test(q)) return SPECIALS;
-  if (/\breturn|exchange|refund|defective|replace|swap\b/.test(q)) return RETURNS;
-  if (/\bvendor|brand|wholesale|distributor|buyer\b/.test(q)) return VENDOR_INFO;
-  if (/\bdemo|activation|in-?store|pop-?up|event\b/.test(q)) return VENDOR_DEMO;
-  return null;
-}
-
-// ---------- OpenAI Chat fallback ----------
-async function askOpenAI(userText) {
-  const systemPrompt = `
-You are the Crystal Nugs Sacramento AI voice assistant.
-Speak in a warm, concierge tone. Keep sentences short. Use natural pauses.
-Never read raw URLs. Say "Crystal Nugs dot com" instead of a link.
-If asked for a person, say “No problem, transferring you now.”
-Store hours: ${HOURS}
-Address: ${ADDRESS}
-Website: ${toSpokenText(WEBSITE)}
-Delivery: ${DELIVERY}
-ID rules: ${ID_RULES}
-Payment: ${PAYMENT}
-Returns: ${RETURNS}
-  `;
-
-  const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: OPENAI_CHAT_MODEL,
-      temperature: 0.4,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userText },
-      ],
-    }),
+  twilioWS.on("close", (code, reason) => {
+    console.log("Twilio WS closed:", code, reason?.toString());
+    cancelInflight("socket closed");
+    finishTurn(turn, { cancelled: true });
+    endSession(session?.id);
   });
+});
 
-  if (!resp.ok) {
-    const errText = await resp.text().catch(() => "");
-    throw new Error(
-      `OpenAI ${resp.status} ${resp.statusText}: ${errText.slice(0, 500)}`
-    );
-  }
-
-  const data = await resp.json().catch(() => null);
-  const answer = data?.choices?.[0]?.message?.content?.trim();
-  return answer || "Sorry, I didn’t catch that.";
-}
-
-// ---------- Jane helpers ----------
-
-// Canonicalize base to api.iheartjane.com
-function canonicalJaneBase(input) {
-  const def = "https://api.iheartjane.com";
-  let u = String(input || "").trim().toLowerCase();
-  if (!u) return def;
-  if (u.includes("iheartjane.com") && !u.includes("api.iheartjane.com")) return def;
-  if (!/^https?:\/\//.test(u)) u = `https://${u}`;
-  return u.replace(/\/+$/, "");
+// ---------- Transfer routing ----------
+// What staff see on the transfer leg: the caller's own number (CN_TRANSFER_CALLER_ID overrides)
+function transferCallerId(body = {}) {
+  return process.env.CN_TRANSFER_CALLER_ID || body.From || undefined;
 }
 
-async function janeMenuSearch(q, limit = 6, signal) {
-  const base = canonicalJaneBase(
-    process.env.JANE_API_BASE || "https://api.iheartjane.com"
-  );
-  const storeId = process.env.JANE_STORE_ID;
-  const token = process.env.JANE_API_TOKEN;
-  if (!token || !storeId) throw new Error("Missing Jane API env vars");
-
-  const url = new URL(`/v1/stores/${storeId}/menu/items`, base);
-  if (q) url.searchParams.set("q", q);
-  url.searchParams.set("limit", String(limit));
-  url.searchParams.set("availability", "available");
-
-  const resp = await fetch(url.toString(), {
-    headers: {
-      Authorization: `Bearer ${token}`,
-      Accept: "application/json",
-      "User-Agent": "CrystalNugs-VoiceBot/1.0",
-    },
-    signal,
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => "");
-    if (resp.status === 403 || /cloudflare/i.test(text)) {
-      throw new Error(
-        "Jane API blocked (403). Check JANE_API_BASE and token; may need IP allowlist."
-      );
-    }
-    throw new Error(`Jane ${resp.status}: ${text.slice(0, 300)}`);
+// Closed or no answer: customer-facing teams offer a text-back callback first, then voicemail
+function missedCallTwiml(vr, dept) {
+  if (dept.fallback === "callback") {
+    const gather = vr.gather({
+      numDigits: 1,
+      timeout: 6,
+      action: absUrl(`/twilio/transfer/callback?dept=${dept.key}`),
+      method: "POST",
+    });
+    gather.say("Press 1 and we’ll text you to set up a callback, or stay on the line to leave a message.");
   }
-
-  const data = await resp.json();
-  return Array.isArray(data) ? data : data?.items || [];
-}
-
-// Ignore $0 and quantity 0
-function centsToMoney(cents) {
-  const n = Number(cents);
-  if (!Number.isFinite(n) || n <= 0) return null;
-  const s = (n / 100).toFixed(2);
-  return s.endsWith(".00") ? `$${parseInt(s, 10)}` : `$${s}`;
+  voicemailTwiml(vr, dept);
 }
 
-// Only keep items that have >0 price and >0 quantity (item or variant)
-function validJaneItems(items = []) {
-  return items.filter((it) => {
-    const price = it?.price?.price || 0;
-    const qty = it?.quantity_available ?? it?.quantity ?? 0;
-    if (price > 0 && qty > 0) return true;
-
-    const vars = Array.isArray(it?.variants) ? it.variants : [];
-    return vars.some(
-      (v) =>
-        Number(v?.price?.price) > 0 &&
-        Number(v?.quantity_available ?? v?.quantity ?? 0) > 0
-    );
+function voicemailTwiml(vr, dept) {
+  vr.say("Please leave your name, number and message after the tone.");
+  vr.record({
+    maxLength: router.voicemailMaxSec,
+    playBeep: true,
+    transcribe: true,
+    transcribeCallback: absUrl(`/twilio/voicemail/transcription?dept=${dept.key}`),
+    action: absUrl(`/twilio/voicemail?dept=${dept.key}`),
+    method: "POST",
   });
-}
-
-function deriveItemPrice(item) {
-  const directQty = item?.quantity_available ?? item?.quantity ?? 0;
-  const direct = centsToMoney(item?.price?.price);
-  if (direct && directQty > 0) return direct;
-
-  const vars = Array.isArray(item?.variants) ? item.variants : [];
-  for (const v of vars) {
-    const qty = v?.quantity_available ?? v?.quantity ?? 0;
-    if (qty > 0) {
-      const p = centsToMoney(v?.price?.price);
-      if (p) return p;
-    }
-  }
-  return null;
-}
-
-function formatJaneItems(items = [], max = 3) {
-  const valid = validJaneItems(items);
-  const priced = [];
-  for (const it of valid) {
-    const price = deriveItemPrice(it);
-    if (!price) continue;
-    const brand = it?.brand?.name ? `${it.brand.name} ` : "";
-    const name = it?.name || "product";
-    priced.push(`${brand}${name} at ${price}`);
-    if (priced.length >= max) break;
-  }
-  return priced.length ? priced.join(", ") : null;
-}
-
-function summarizeJaneResults(items = []) {
-  const valid = validJaneItems(items);
-  const nums = [];
-  for (const it of valid) {
-    const p = Number((it?.price?.price || 0) / 100);
-    if (p > 0) nums.push(p);
-
-    const vars = Array.isArray(it?.variants) ? it.variants : [];
-    for (const v of vars) {
-      const qty = v?.quantity_available ?? v?.quantity ?? 0;
-      const vp = Number((v?.price?.price || 0) / 100);
-      if (vp > 0 && qty > 0) nums.push(vp);
-    }
-  }
-  nums.sort((a, b) => a - b);
-  if (!nums.length) return { count: valid.length, min: null, max: null };
-  return { count: valid.length, min: nums[0], max: nums[nums.length - 1] };
-}
-
-function money(num) {
-  if (!Number.isFinite(num) || num <= 0) return null;
-  const s = num.toFixed(2);
-  return s.endsWith(".00") ? `$${parseInt(s, 10)}` : `$${s}`;
-}
-
-// Smarter brand detector with misspellings
-function detectProductQuery(text = "") {
-  const t = text.toLowerCase();
-  const askedCarry = /\b(carry|have|stock|sell|do you (have|carry))\b/.test(t);
-  const wantsPreroll = /(pre[\s-]?rolls?|joints?|infused pre[\s-]?rolls?)/i.test(t);
-
-  const normalized = t
-    .replace(/\bsteezy\b/g, "stiiizy")
-    .replace(/\bstizzy\b/g, "stiiizy");
-
-  const brands = [];
-  if (/\bmaven(\s+genetics)?\b/i.test(normalized)) brands.push("Maven");
-  if (/\bstii?izy\b/i.test(normalized)) brands.push("STIIIZY");
-  if (/\braw\s+garden\b/i.test(normalized)) brands.push("Raw Garden");
-
-  if (brands.length && (askedCarry || wantsPreroll)) {
-    if (/\bflower|eighth|7g|3\.5g\b/.test(normalized)) return `${brands[0]} flower`;
-    if (/\bvape|pod|cart|cartridge\b/.test(normalized)) return `${brands[0]} vape`;
-    return `${brands[0]} pre-rolls`;
-  }
-
-  if ((askedCarry || wantsPreroll) && /\b(gelato|zkittlez|blueberry|infused)\b/i.test(normalized)) {
-    const term = normalized.match(/\b(gelato|zkittlez|blueberry|infused)\b/i)?.[0];
-    return `${term} pre-rolls`;
-  }
-  return null;
+  // <Record> skips its action when nothing was said
+  vr.say("We didn’t get a message. Goodbye!");
+  vr.hangup();
 }
 
 // ---------- Utils ----------
@@ -778,109 +917,3 @@ function safeSend(ws, obj) {
     console.error("WS send error:", e.message);
   }
 }
-
-function escapeXml(str = "") {
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/"/g, "&quot;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
-}
-
-function speakZip(zip = "") {
-  const z = String(zip).replace(/[^\d]/g, "").slice(0, 5);
-  return z.split("").join("-");
-}
-
-function extractZip(text = "") {
-  const m = String(text).match(/\b\d{5}\b/);
-  return m ? m[0] : null;
-}
-
-function deliveryByZip(zip) {
-  return DELIVERY_TABLE.find((r) => r.zip === zip) || null;
-}
-
-function formatMoney(n) {
-  const num = Number(n);
-  if (Number.isNaN(num)) return String(n);
-  const s = num.toFixed(2);
-  return s.endsWith(".00") ? `$${parseInt(s, 10)}` : `$${s}`;
-}
-
-function computeEtaWindow(minimum) {
-  const m = Number(minimum) || 0;
-  if (m <= 40) return "30–60 minutes";
-  if (m <= 50) return "45–90 minutes";
-  if (m <= 70) return "60–120 minutes";
-  if (m <= 90) return "75–150 minutes";
-  if (m <= 110) return "90–180 minutes";
-  return "120–240 minutes";
-}
-
-function toSpokenText(text = "") {
-  if (!text) return "";
-  let out = String(text);
-  out = out.replace(/https?:\/\/(www\.)?crystalnugs\.com\/?/gi, "Crystal Nugs dot com");
-  out = out.replace(/\bwww\.crystalnugs\.com\b/gi, "Crystal Nugs dot com");
-  out = out.replace(/\bcrystalnugs\.com\b/gi, "Crystal Nugs dot com");
-  out = out.replace(
-    /\b([a-z0-9._%+-]+)@crystalnugs\.com\b/gi,
-    (_m, user) => `${user} at crystal nugs dot com`
-  );
-  out = out.replace(/https?:\/\//gi, "");
-  return out;
-}
-
-function venueLabel({ mentionsHotel, mentionsVenue }) {
-  if (mentionsHotel && mentionsVenue)
-    return "hotels, motels, restaurants, bars, and truck stops";
-  if (mentionsHotel) return "hotels and motels";
-  return "restaurants, bars, and truck stops";
-}
-
-// Brand voice: plain or SSML
-function brandVoice(raw = "") {
-  const cleaned = toSpokenText(raw).trim();
-
-  if (!USE_SSML) {
-    return cleaned
-      .replace(/\s+/g, " ")
-      .replace(/\s-\s/g, " — ")
-      .replace(/:\s+/g, ": ")
-      .replace(/,{2,}/g, ",")
-      .replace(/\.\s*\./g, ".")
-      .replace(/\s{2,}/g, " ");
-  }
-
-  const parts = cleaned
-    .split(/(?<=[\.\?!])\s+/)
-    .map((s) => s.trim())
-    .filter(Boolean);
-
-  const ssmlBody = parts.map((s) => emphasisLead(s, 3)).join('<break time="240ms"/>');
-
-  return `<speak>
-    <prosody rate="fast" pitch="+8%" volume="medium">
-      ${ssmlBody}
-    </prosody>
-  </speak>`;
-}
-
-function emphasisLead(sentence = "", n = 3) {
-  const tokens = sentence.split(/\s+/).filter(Boolean);
-  const lead = tokens.slice(0, n).join(" ");
-  const tail = tokens.slice(n).join(" ");
-  const leadEsc = escapeSSML(lead);
-  const tailEsc = escapeSSML(tail);
-  return tail
-    ? `<emphasis level="moderate">${leadEsc}</emphasis> ${tailEsc}`
-    : `<emphasis level="moderate">${leadEsc}</emphasis>`;
-}
-
-function escapeSSML(str = "") {
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
-}
@@ -0,0 +1,46 @@
+// test/callStore.test.js — Startup replay reads only the tail of a large call log
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadCallStore, getCall, listCalls } from "../lib/callStore.js";
+
+function writeLog(file, n) {
+  const lines = [];
+  for (let i = 0; i < n; i++) lines.push(JSON.stringify({ type: "call", callSid: `CA${i}`, at: "2026-01-01T00:00:00.000Z", from: "+19165550100" }));
+  fs.writeFileSync(file, `${lines.join("\n")}\n`);
+}
+
+test("a log over the byte limit replays only its newest lines and rotates", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "calls-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+  process.env.CN_CALL_LOG_MAX_BYTES = "2000";
+  t.after(() => delete process.env.CN_CALL_LOG_MAX_BYTES);
+  const file = path.join(dir, "calls.jsonl");
+  writeLog(file, 200);
+  const before = fs.statSync(file).size;
+
+  const loaded = loadCallStore(file);
+  assert.ok(loaded > 0 && loaded < 200);
+  assert.ok(getCall("CA199"));
+  assert.equal(getCall("CA0"), null);
+  assert.equal(listCalls().total, loaded);
+  assert.equal(fs.statSync(`${file}.1`).size, before);
+  assert.ok(fs.statSync(file).size <= 2000);
+
+  // The restarted file loads the same calls with no partial line
+  assert.equal(loadCallStore(file), loaded);
+});
+
+test("a log under the limit is replayed whole and left in place", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "calls-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+  const file = path.join(dir, "calls.jsonl");
+  writeLog(file, 20);
+
+  assert.equal(loadCallStore(file), 20);
+  assert.equal(fs.existsSync(`${file}.1`), false);
+});
@@ -0,0 +1,17 @@
+// test/insights.test.js — Key terms for clustering missed questions, English and Spanish
+import test from "node:test";
+import assert from "node:assert/strict";
+import { keyTerms } from "../lib/insights.js";
+
+test("English wording keeps its content words", () => {
+  assert.deepEqual(keyTerms("Do you guys have any pre-rolls that're cheap?"), ["guys", "pre", "rolls", "thatre", "cheap"]);
+});
+
+test("accented Spanish words stay whole", () => {
+  assert.deepEqual(keyTerms("¿Qué hora abren mañana?"), ["hora", "abren", "manana"]);
+  assert.deepEqual(keyTerms("¿Cuánto cuesta el envío a Elk Grove?"), ["cuanto", "cuesta", "envio", "elk", "grove"]);
+});
+
+test("the same question with and without accents clusters on the same terms", () => {
+  assert.deepEqual(keyTerms("¿Hacen envíos los domingos?"), keyTerms("hacen envios los domingos"));
+});
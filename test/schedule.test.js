@@ -0,0 +1,114 @@
+// test/schedule.test.js — Open/closed answers on the store's clock (America/Los_Angeles, PDT in these dates)
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createSchedule, loadScheduleConfig } from "../lib/schedule.js";
+
+// Fri 2026-10-16 … Sun 2026-10-18; Tue 2026-10-20 is a holiday
+const CONFIG = {
+  timezone: "America/Los_Angeles",
+  store: {
+    default: { open: "09:00", close: "21:00" },
+    fri: { open: "10:00", close: "02:00" },
+    sat: { open: "10:00", close: "02:00" },
+  },
+  delivery: { default: { start: "08:30", end: "20:30", lastCall: "20:15" } },
+  holidays: [
+    { date: "2026-10-20", name: "Founders Day", closed: true },
+    { date: "2026-10-22", name: "Inventory Day", close: "17:00" },
+  ],
+};
+const schedule = createSchedule(CONFIG);
+const at = (iso) => new Date(iso);
+
+test("overnight close: still open after midnight on the night before's hours", () => {
+  const friLate = schedule.status(at("2026-10-17T06:30:00Z")); // Fri 11:30 PM
+  assert.equal(friLate.storeOpen, true);
+  assert.equal(friLate.minutesToClose, 150);
+
+  const satEarly = schedule.status(at("2026-10-17T08:30:00Z")); // Sat 1:30 AM
+  assert.equal(satEarly.storeOpen, true);
+  assert.equal(satEarly.minutesToClose, 30);
+  assert.equal(
+    schedule.openNowAnswer(at("2026-10-17T08:30:00Z")),
+    "Yes — we’re open right now for another 30 minutes, until 2 AM."
+  );
+  assert.match(schedule.openNowAnswer(at("2026-10-17T08:30:00Z"), "es"), /hasta las 2 de la mañana/);
+});
+
+test("overnight close: closed from the late close until the next open", () => {
+  assert.equal(schedule.status(at("2026-10-17T09:00:00Z")).storeOpen, false); // Sat 2 AM
+  assert.equal(schedule.openNowAnswer(at("2026-10-17T10:00:00Z")), "We’re not open yet — we open today at 10 AM.");
+});
+
+test("overnight close: Sunday's early hours belong to Saturday night, then the regular day", () => {
+  assert.equal(schedule.status(at("2026-10-18T08:00:00Z")).storeOpen, true); // Sun 1 AM
+  assert.equal(schedule.status(at("2026-10-19T04:30:00Z")).storeOpen, false); // Sun 9:30 PM
+  assert.equal(schedule.status(at("2026-10-19T07:30:00Z")).storeOpen, false); // Mon 12:30 AM
+});
+
+test("holiday override: closed all day, reopening the next day", () => {
+  const tue = at("2026-10-20T19:00:00Z"); // Tue noon
+  assert.equal(schedule.status(tue).storeOpen, false);
+  assert.equal(schedule.status(tue).deliveryOpen, false);
+  assert.equal(schedule.openNowAnswer(tue), "We’re closed today for Founders Day. We open again tomorrow at 9 AM.");
+  assert.equal(schedule.lastCallAnswer(tue), "There’s no delivery today.");
+});
+
+test("holiday override: shorter hours replace the regular close", () => {
+  assert.equal(schedule.status(at("2026-10-22T23:30:00Z")).storeOpen, true); // Thu 4:30 PM
+  assert.equal(schedule.status(at("2026-10-23T00:30:00Z")).storeOpen, false); // Thu 5:30 PM
+});
+
+test("are you open now, near closing", () => {
+  assert.equal(
+    schedule.openNowAnswer(at("2026-10-20T03:50:00Z")), // Mon 8:50 PM
+    "Yes — we’re open right now for another 10 minutes, until 9 PM."
+  );
+  assert.equal(
+    schedule.openNowAnswer(at("2026-10-20T03:59:00Z")), // Mon 8:59 PM
+    "Yes — we’re open right now for another 1 minute, until 9 PM."
+  );
+  // Mon 9 PM: closed, and tomorrow is the holiday
+  assert.equal(schedule.openNowAnswer(at("2026-10-20T04:00:00Z")), "We’re closed right now. We open again Wednesday at 9 AM.");
+});
+
+test("hours answer reads the week from the schedule, with the coming holidays", () => {
+  const mon = at("2026-10-19T17:00:00Z");
+  assert.equal(
+    schedule.hoursAnswer(mon),
+    "We’re open Monday to Thursday from 9 AM to 9 PM, Friday and Saturday from 10 AM to 2 AM, and Sunday from 9 AM to 9 PM. " +
+      "Delivery runs daily from 8:30 AM to 8:30 PM. " +
+      "We’re closed tomorrow for Founders Day. Thursday is Inventory Day: we’re open from 9 AM to 5 PM."
+  );
+  assert.match(schedule.hoursAnswer(mon, "es"), /^Abrimos de lunes a jueves de las 9 de la mañana a las 9 de la noche/);
+  assert.equal(
+    createSchedule({ ...CONFIG, store: { default: { open: "09:00", close: "21:00" } }, holidays: [] }).hoursAnswer(mon),
+    "We’re open daily from 9 AM to 9 PM. Delivery runs daily from 8:30 AM to 8:30 PM."
+  );
+});
+
+test("a time that doesn't parse closes that day instead of running it past midnight", () => {
+  const broken = createSchedule({ ...CONFIG, store: { default: { open: "09:00", close: "21:00" }, mon: { open: "9am", close: "" } } });
+  const mon = broken.day("2026-10-19");
+  assert.equal(mon.closed, true);
+  assert.equal(mon.overnight, false);
+  assert.equal(mon.delivery, null);
+  assert.equal(broken.status(at("2026-10-19T19:00:00Z")).storeOpen, false); // Mon noon
+  assert.equal(broken.status(at("2026-10-20T08:00:00Z")).storeOpen, false); // Tue 1 AM: no spill from Monday
+  assert.equal(broken.openNowAnswer(at("2026-10-19T19:00:00Z")), "We’re closed right now. We open again Wednesday at 9 AM.");
+  assert.match(broken.hoursAnswer(at("2026-10-19T17:00:00Z")), /closed Monday/);
+});
+
+test("loading a schedule with a bad time reports it", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "schedule-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "schedule.json");
+  fs.writeFileSync(file, JSON.stringify({ ...CONFIG, store: { default: { open: "09:00", close: "9pm" } } }));
+  const errors = t.mock.method(console, "error", () => {});
+  loadScheduleConfig(file);
+  assert.equal(errors.mock.callCount(), 1);
+  assert.match(errors.mock.calls[0].arguments[0], /store\.default\.close "9pm"/);
+});
@@ -0,0 +1,40 @@
+// test/specials.test.js — CSV re-imports: blank cells keep what's on file
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadSpecials, importDeals, getDeal } from "../lib/specials.js";
+
+const HEADER = "id,title,title_es,brands,categories,days,start,end,fine_print,fine_print_es,active";
+
+test("blank active and fine_print cells leave the stored deal unchanged", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "specials-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  loadSpecials(path.join(dir, "specials.json"));
+
+  const first = importDeals(
+    `${HEADER}\nstiiizy-pods,20% off all STIIIZY pods,20% de descuento,STIIIZY,vape,fri|sat,,,"While supplies last, limit 4",Hasta agotar existencias,false\n`,
+    { format: "csv" }
+  );
+  assert.equal(first.ok, true);
+  const before = { ...getDeal("stiiizy-pods"), updatedAt: null, updatedBy: null };
+  assert.equal(before.active, false);
+
+  const again = importDeals(`${HEADER}\n,20% off all STIIIZY pods,,,,,,,,,\n`, { format: "csv" });
+  assert.deepEqual(again, { ok: true, created: 0, updated: 1, removed: 0 });
+  assert.deepEqual({ ...getDeal("stiiizy-pods"), updatedAt: null, updatedBy: null }, before);
+});
+
+test("a filled cell still updates", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "specials-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  loadSpecials(path.join(dir, "specials.json"));
+
+  importDeals(`${HEADER}\nkiva,Kiva gummies $5 off,,Kiva,edible,,,,Limit 2,,false\n`, { format: "csv" });
+  importDeals(`${HEADER}\nkiva,,,,,,,,Limit 3,,true\n`, { format: "csv" });
+  const deal = getDeal("kiva");
+  assert.equal(deal.title, "Kiva gummies $5 off");
+  assert.equal(deal.finePrint, "Limit 3");
+  assert.equal(deal.active, true);
+});
@@ -0,0 +1,61 @@
+// test/spokenNumbers.test.js — extractZip / extractOrderNumber on the shapes callers actually say
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractZip, extractOrderNumber } from "../lib/spokenNumbers.js";
+
+const ZIPS = [
+  // [utterance, expected ZIP]
+  ["95816", "95816"],
+  ["my zip is 95816", "95816"],
+  ["95816-1234", "95816"],
+  ["nine five eight one six", "95816"],
+  ["nine five eight oh one", "95801"],
+  ["oh nine five eight one", "09581"],
+  ["9-5-8-1-6", "95816"],
+  ["my zip is 9 5 8 1 6", "95816"],
+  ["ninety five eight sixteen", "95816"],
+  ["nine five eight double one", "95811"],
+  ["nueve cinco ocho uno seis", "95816"],
+  ["noventa y cinco ocho dieciséis", "95816"],
+  // separated digit groups
+  ["958 16", "95816"],
+  ["95 816", "95816"],
+  ["nine five eight, one six", "95816"],
+  // a typed ZIP followed by more talk
+  ["my zip is 95816 one sec", "95816"],
+  ["95816, oh and also", "95816"],
+  ["95816 two of them", "95816"],
+  // prices next to ZIPs
+  ["$40 95816", "95816"],
+  ["95816 $40", "95816"],
+  ["it was $40 and my zip is nine five eight one six", "95816"],
+  ["95816 and I have 20 dollars", "95816"],
+  // not a ZIP
+  ["oh what time do you close", null],
+  ["$95816", null],
+  ["95816 dollars", null],
+  ["916 701 9777", null],
+  ["(916) 555-0142", null],
+  ["9581", null],
+  ["958161", null],
+];
+
+for (const [said, zip] of ZIPS) {
+  test(`extractZip(${JSON.stringify(said)}) → ${zip}`, () => {
+    assert.equal(extractZip(said), zip);
+  });
+}
+
+const ORDER_NUMBERS = [
+  ["order 731904", "731904"],
+  ["it's seven three one nine oh four", "731904"],
+  ["4821", "4821"],
+  ["I paid $48.21", null],
+  ["I don't have it", null],
+];
+
+for (const [said, id] of ORDER_NUMBERS) {
+  test(`extractOrderNumber(${JSON.stringify(said)}) → ${id}`, () => {
+    assert.equal(extractOrderNumber(said), id);
+  });
+}